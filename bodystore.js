@@ -0,0 +1,206 @@
+// BodyStore keeps all bodies in flat typed arrays (structure of arrays)
+// so the hot loops can iterate them without allocating
+class BodyStore {
+    constructor(capacity = 1024) {
+        this.count = 0;
+        this.capacity = 0;
+        this.nextId = 0;         // Id given to the next body added
+        this._views = [];        // Cached Body-compatible views, see get()
+        this._viewList = [];     // Cached array returned by views()
+        this._allocate(Math.max(1, capacity));
+    }
+
+    // Grow the arrays to the given capacity, keeping existing bodies
+    _allocate(capacity) {
+        const grow = (old, Type = Float64Array) => {
+            const array = new Type(capacity);
+            if (old) array.set(old.subarray(0, this.count));
+            return array;
+        };
+
+        this.x = grow(this.x);
+        this.y = grow(this.y);
+        this.vx = grow(this.vx);
+        this.vy = grow(this.vy);
+        this.ax = grow(this.ax);
+        this.ay = grow(this.ay);
+        this.mass = grow(this.mass);
+        this.radius = grow(this.radius);
+        this.id = grow(this.id, Int32Array);  // Stable id: unlike the index, kept when bodies are removed
+        this.capacity = capacity;
+    }
+
+    // Make room for at least the given number of bodies
+    reserve(capacity) {
+        if (capacity > this.capacity) {
+            this._allocate(Math.max(capacity, this.capacity * 2));
+        }
+    }
+
+    // Remove all bodies (keeps the allocated arrays)
+    clear() {
+        this.count = 0;
+        this.nextId = 0;
+    }
+
+    // Append a body and return its index
+    add(x, y, vx, vy, mass, radius) {
+        this.reserve(this.count + 1);
+
+        const i = this.count++;
+        this.x[i] = x;
+        this.y[i] = y;
+        this.vx[i] = vx;
+        this.vy[i] = vy;
+        this.ax[i] = 0;
+        this.ay[i] = 0;
+        this.mass[i] = mass;
+        this.radius[i] = radius;
+        this.id[i] = this.nextId++;
+        return i;
+    }
+
+    // Append a copy of a Body object and return its index
+    addBody(body) {
+        const i = this.add(body.pos.x, body.pos.y, body.vel.x, body.vel.y, body.mass, body.radius);
+        this.ax[i] = body.acc.x;
+        this.ay[i] = body.acc.y;
+        return i;
+    }
+
+    // Remove the bodies whose flag is set in `removed` (indexed like the store),
+    // keeping the others in order. Later bodies move to lower indices, so views and
+    // saved indices refer to different bodies afterwards; ids stay with their bodies.
+    // Returns the number of bodies removed.
+    compact(removed) {
+        const arrays = [this.x, this.y, this.vx, this.vy, this.ax, this.ay, this.mass, this.radius, this.id];
+        let count = 0;
+        for (let i = 0; i < this.count; i++) {
+            if (removed[i]) continue;
+            if (count !== i) {
+                for (const array of arrays) {
+                    array[count] = array[i];
+                }
+            }
+            count++;
+        }
+
+        const removedCount = this.count - count;
+        this.count = count;
+        return removedCount;
+    }
+
+    // Body-compatible view of the body at an index
+    // Views are cached per index and read/write through to the arrays
+    get(index) {
+        let view = this._views[index];
+        if (view === undefined) {
+            view = new BodyView(this, index);
+            this._views[index] = view;
+        }
+        return view;
+    }
+
+    // Array of views for all bodies, for code that still expects Body objects
+    views() {
+        const list = this._viewList;
+        if (list.length !== this.count) {
+            list.length = this.count;
+            for (let i = 0; i < this.count; i++) {
+                list[i] = this.get(i);
+            }
+        }
+        return list;
+    }
+}
+
+// Vec2-compatible view onto one (x, y) pair of BodyStore arrays
+class StoreVec2 {
+    constructor(store, index, xKey, yKey) {
+        this.store = store;
+        this.index = index;
+        this.xKey = xKey;
+        this.yKey = yKey;
+    }
+
+    get x() {
+        return this.store[this.xKey][this.index];
+    }
+
+    set x(value) {
+        this.store[this.xKey][this.index] = value;
+    }
+
+    get y() {
+        return this.store[this.yKey][this.index];
+    }
+
+    set y(value) {
+        this.store[this.yKey][this.index] = value;
+    }
+}
+
+// Inherit the Vec2 arithmetic (add, sub, addInPlace, ...)
+Object.setPrototypeOf(StoreVec2.prototype, Vec2.prototype);
+
+// Body-compatible view of one body in a BodyStore
+class BodyView {
+    constructor(store, index) {
+        this.store = store;
+        this.index = index;
+        this._pos = new StoreVec2(store, index, 'x', 'y');
+        this._vel = new StoreVec2(store, index, 'vx', 'vy');
+        this._acc = new StoreVec2(store, index, 'ax', 'ay');
+    }
+
+    // Assigning a vector copies its components into the store
+    get pos() {
+        return this._pos;
+    }
+
+    set pos(vec) {
+        this._pos.x = vec.x;
+        this._pos.y = vec.y;
+    }
+
+    get vel() {
+        return this._vel;
+    }
+
+    set vel(vec) {
+        this._vel.x = vec.x;
+        this._vel.y = vec.y;
+    }
+
+    get acc() {
+        return this._acc;
+    }
+
+    set acc(vec) {
+        this._acc.x = vec.x;
+        this._acc.y = vec.y;
+    }
+
+    get mass() {
+        return this.store.mass[this.index];
+    }
+
+    set mass(value) {
+        this.store.mass[this.index] = value;
+    }
+
+    get radius() {
+        return this.store.radius[this.index];
+    }
+
+    set radius(value) {
+        this.store.radius[this.index] = value;
+    }
+
+    get id() {
+        return this.store.id[this.index];
+    }
+}
+
+// Inherit the Body methods (clone, update)
+Object.setPrototypeOf(BodyView.prototype, Body.prototype);
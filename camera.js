@@ -0,0 +1,252 @@
+// Camera decides which part of the simulation the renderer shows. The view is a
+// square `scale` half-wide around `offset`, in the camera frame: a frame whose
+// origin follows a target (see Camera.MODES) and which may turn at a fixed
+// angular speed, for a co-rotating view. Axes of the frame point right and up
+// on screen. Moves asked for through targetOffset / targetScale, and changes of
+// frame, are eased in over about Camera.SMOOTHING seconds.
+class Camera {
+    constructor() {
+        this.mode = 'free';
+        this.followId = -1;             // Body id followed in 'body' mode
+        this.rotationSpeed = 0;         // Radians per unit of simulation time, counter-clockwise
+        this.rotationStart = 0;         // Simulation time at which the frame had baseAngle
+        this.baseAngle = 0;
+        this.frameVersion = 0;          // Changes with the frame, so state kept in it can be dropped
+        this._setup = -1;               // simulation.setupCount of the followed id
+
+        this.origin = new Vec2(0, 0);   // Frame origin in world coordinates
+        this.frameAngle = 0;            // Angle of the frame axes
+        this.angleOffset = 0;           // Shown angle minus frame angle, eased to 0
+
+        this.offset = new Vec2(0, 0);   // View centre in frame coordinates
+        this.scale = 50;
+        this.targetOffset = new Vec2(0, 0);
+        this.targetScale = 50;
+
+        this._densityGrid = null;       // Reused by densestPoint
+    }
+
+    // Angle of the view: the frame's, plus what is left of a change of frame
+    get angle() {
+        return this.frameAngle + this.angleOffset;
+    }
+
+    // World position of the view centre
+    center() {
+        const cos = Math.cos(this.angle);
+        const sin = Math.sin(this.angle);
+        return new Vec2(
+            this.origin.x + cos * this.offset.x - sin * this.offset.y,
+            this.origin.y + sin * this.offset.x + cos * this.offset.y);
+    }
+
+    // Frame coordinates of a world position, with the frame axes at an angle
+    toFrame(x, y, angle = this.angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = x - this.origin.x;
+        const dy = y - this.origin.y;
+        return new Vec2(cos * dx + sin * dy, cos * dy - sin * dx);
+    }
+
+    // Move the frame to where it is at the simulation's current time
+    updateFrame(simulation) {
+        const store = simulation.store;
+        if (this.mode === 'body' && (this._setup !== simulation.setupCount || this._followedIndex(store) === -1)) {
+            // The body merged into another or the bodies were replaced
+            this.setMode('free', simulation);
+        }
+
+        this.frameAngle = this.baseAngle + this.rotationSpeed * (simulation.time - this.rotationStart);
+        if (this.mode === 'body') {
+            const i = this._followedIndex(store);
+            this.origin = new Vec2(store.x[i], store.y[i]);
+        } else if (this.mode === 'centerOfMass') {
+            this.origin = Camera.centerOfMass(store);
+        } else if (this.mode === 'free') {
+            this.origin = new Vec2(0, 0);
+        }
+        // The densest region jumps between grid cells, so update() eases it along
+    }
+
+    // Follow the frame and ease towards the targets over `elapsed` seconds.
+    // Returns whether the view is still moving relative to the frame.
+    update(simulation, elapsed) {
+        this.updateFrame(simulation);
+        const k = 1 - Math.exp(-elapsed / Camera.SMOOTHING);
+        if (this.mode === 'densest' && simulation.store.count > 0) {
+            const densest = this.densestPoint(simulation.store);
+            this.origin = this.origin.add(densest.sub(this.origin).mul(k));
+        }
+
+        const dx = this.targetOffset.x - this.offset.x;
+        const dy = this.targetOffset.y - this.offset.y;
+        const zoom = this.targetScale / this.scale;
+        if (Math.hypot(dx, dy) < Camera.SETTLED * this.scale && Math.abs(zoom - 1) < Camera.SETTLED &&
+            Math.abs(this.angleOffset) < Camera.SETTLED) {
+            this.offset = this.targetOffset.clone();
+            this.scale = this.targetScale;
+            this.angleOffset = 0;
+            return false;
+        }
+        this.offset = new Vec2(this.offset.x + dx * k, this.offset.y + dy * k);
+        this.scale *= zoom ** k;
+        this.angleOffset *= 1 - k;
+        return true;
+    }
+
+    // Follow something else (see Camera.MODES); 'body' follows the body with id
+    // followId. The view stays where it is and then eases onto the new target.
+    setMode(mode, simulation, followId = -1) {
+        if (!(mode in Camera.MODES)) {
+            throw new Error(`Unknown camera mode: ${mode}`);
+        }
+        const center = this.center();
+        this.mode = mode;
+        this.followId = mode === 'body' ? followId : -1;
+        this._setup = simulation.setupCount;
+        this.frameVersion++;
+
+        if (mode === 'densest' && simulation.store.count > 0) {
+            this.origin = this.densestPoint(simulation.store);
+        }
+        this.updateFrame(simulation);
+        this.offset = this.toFrame(center.x, center.y);
+        this.targetOffset = mode === 'free' ? this.offset.clone() : new Vec2(0, 0);
+    }
+
+    // Turn the frame at a new angular speed. Starting keeps the current angle;
+    // stopping turns the view back to the world axes.
+    setRotation(speed, simulation) {
+        const before = this.angle;
+        this.baseAngle = speed !== 0 ? this.frameAngle : 0;
+        this.rotationSpeed = speed;
+        this.rotationStart = simulation.time;
+        this.frameVersion++;
+        this.updateFrame(simulation);
+        this.angleOffset = before - this.frameAngle;
+    }
+
+    // Move the view by a distance in frame coordinates, eased or at once
+    pan(dx, dy, smooth = false) {
+        this.targetOffset = new Vec2(this.targetOffset.x + dx, this.targetOffset.y + dy);
+        if (!smooth) {
+            this.offset = new Vec2(this.offset.x + dx, this.offset.y + dy);
+        }
+    }
+
+    // Zoom by a factor (below 1 zooms in), keeping the frame point (x, y) in place
+    // on screen, eased or at once
+    zoom(factor, x = this.targetOffset.x, y = this.targetOffset.y, smooth = false) {
+        this.targetScale *= factor;
+        this.targetOffset = new Vec2(x + (this.targetOffset.x - x) * factor, y + (this.targetOffset.y - y) * factor);
+        if (!smooth) {
+            this.scale *= factor;
+            this.offset = new Vec2(x + (this.offset.x - x) * factor, y + (this.offset.y - y) * factor);
+        }
+    }
+
+    // Ease the view onto the smallest square holding all bodies
+    fit(store) {
+        if (store.count === 0) return;
+        const quad = Quad.newContaining(store);
+        const angle = this.frameAngle;
+        this.targetOffset = this.toFrame(quad.center.x, quad.center.y, angle);
+        // The square turns with the frame; this holds it at the current angle
+        this.targetScale = quad.size / 2 * (Math.abs(Math.cos(angle)) + Math.abs(Math.sin(angle))) * Camera.FIT_MARGIN;
+    }
+
+    _followedIndex(store) {
+        for (let i = 0; i < store.count; i++) {
+            if (store.id[i] === this.followId) return i;
+        }
+        return -1;
+    }
+
+    static centerOfMass(store) {
+        let mass = 0;
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < store.count; i++) {
+            mass += store.mass[i];
+            x += store.mass[i] * store.x[i];
+            y += store.mass[i] * store.y[i];
+        }
+        return mass > 0 ? new Vec2(x / mass, y / mass) : new Vec2(0, 0);
+    }
+
+    // Centre of mass of the densest part of the system: the block of 3 × 3 cells of
+    // a DENSITY_GRID² grid over all bodies that holds the most mass
+    densestPoint(store) {
+        const size = Camera.DENSITY_GRID;
+        if (!this._densityGrid) {
+            this._densityGrid = {
+                mass: new Float64Array(size * size),
+                x: new Float64Array(size * size),
+                y: new Float64Array(size * size)
+            };
+        }
+        const grid = this._densityGrid;
+        grid.mass.fill(0);
+        grid.x.fill(0);
+        grid.y.fill(0);
+
+        const quad = Quad.newContaining(store);
+        const minX = quad.center.x - quad.size / 2;
+        const minY = quad.center.y - quad.size / 2;
+        const cellsPerUnit = size / quad.size;
+        for (let i = 0; i < store.count; i++) {
+            const column = Math.min(size - 1, Math.floor((store.x[i] - minX) * cellsPerUnit));
+            const row = Math.min(size - 1, Math.floor((store.y[i] - minY) * cellsPerUnit));
+            const cell = row * size + column;
+            const m = store.mass[i];
+            grid.mass[cell] += m;
+            grid.x[cell] += m * store.x[i];
+            grid.y[cell] += m * store.y[i];
+        }
+
+        // Mass, and mass-weighted position, of the 3 × 3 block around a cell
+        const block = (row, column, field) => {
+            let sum = 0;
+            for (let r = Math.max(0, row - 1); r <= Math.min(size - 1, row + 1); r++) {
+                for (let c = Math.max(0, column - 1); c <= Math.min(size - 1, column + 1); c++) {
+                    sum += field[r * size + c];
+                }
+            }
+            return sum;
+        };
+        let bestRow = 0;
+        let bestColumn = 0;
+        let bestMass = -1;
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                if (grid.mass[row * size + column] === 0) continue;
+                const mass = block(row, column, grid.mass);
+                if (mass > bestMass) {
+                    bestMass = mass;
+                    bestRow = row;
+                    bestColumn = column;
+                }
+            }
+        }
+        return new Vec2(block(bestRow, bestColumn, grid.x) / bestMass, block(bestRow, bestColumn, grid.y) / bestMass);
+    }
+}
+
+// What the camera frame follows
+Camera.MODES = {
+    free: 'Free',
+    body: 'Selected body',
+    centerOfMass: 'Centre of mass',
+    densest: 'Densest region'
+};
+
+// Time constant of the easing in seconds, and the relative difference below which it stops
+Camera.SMOOTHING = 0.15;
+Camera.SETTLED = 1e-4;
+
+// Room left around the bodies by fit()
+Camera.FIT_MARGIN = 1.1;
+
+// Cells per side of the grid used to find the densest region
+Camera.DENSITY_GRID = 32;
@@ -0,0 +1,104 @@
+// DiagnosticsChart plots the relative drift of conserved quantities over time
+class DiagnosticsChart {
+    constructor(canvas, diagnostics) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.diagnostics = diagnostics;
+        this.drawnVersion = -1;
+
+        // Plotted series: history field, label and colour
+        this.series = [
+            { key: 'energyDrift', label: 'ΔE/|E₀|', color: '#ff6b6b' },
+            { key: 'angularMomentumDrift', label: 'ΔL/|L₀|', color: '#4dabf7' },
+            { key: 'momentumDrift', label: '|ΔP|/Σm|v|', color: '#69db7c' }
+        ];
+    }
+
+    // Redraw if there are new measurements
+    update() {
+        if (this.diagnostics.version === this.drawnVersion) return;
+        this.drawnVersion = this.diagnostics.version;
+        this.draw();
+    }
+
+    // Draw all series against time with a symmetric linear scale
+    draw() {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const history = this.diagnostics.history;
+        const padding = { left: 56, right: 8, top: 8, bottom: 44 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = '11px Arial';
+
+        if (history.length === 0) {
+            ctx.fillStyle = '#aaa';
+            ctx.fillText('No measurements yet', padding.left, padding.top + plotHeight / 2);
+            return;
+        }
+
+        // Scale
+        const t0 = history[0].time;
+        const t1 = Math.max(history[history.length - 1].time, t0 + 1e-12);
+        let maxDrift = 1e-12;
+        for (const sample of history) {
+            for (const { key } of this.series) {
+                maxDrift = Math.max(maxDrift, Math.abs(sample[key]));
+            }
+        }
+        const toX = t => padding.left + (t - t0) / (t1 - t0) * plotWidth;
+        const toY = v => padding.top + (0.5 - v / (2 * maxDrift)) * plotHeight;
+
+        // Axes: zero line and the ±max labels
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, toY(0));
+        ctx.lineTo(padding.left + plotWidth, toY(0));
+        ctx.stroke();
+        ctx.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+
+        ctx.fillStyle = '#aaa';
+        ctx.textAlign = 'right';
+        ctx.fillText(`+${maxDrift.toExponential(1)}`, padding.left - 4, padding.top + 10);
+        ctx.fillText('0', padding.left - 4, toY(0) + 4);
+        ctx.fillText(`-${maxDrift.toExponential(1)}`, padding.left - 4, padding.top + plotHeight);
+        ctx.textAlign = 'left';
+
+        // Series
+        for (const { key, color } of this.series) {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            for (let i = 0; i < history.length; i++) {
+                const x = toX(history[i].time);
+                const y = toY(history[i][key]);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+        }
+
+        // Legend with the latest values, and the virial ratio
+        const latest = history[history.length - 1];
+        let legendX = padding.left;
+        const legendY = height - 24;
+        for (const { key, label, color } of this.series) {
+            ctx.fillStyle = color;
+            const text = `${label} ${latest[key].toExponential(2)}`;
+            ctx.fillText(text, legendX, legendY);
+            legendX += ctx.measureText(text).width + 12;
+        }
+        ctx.fillStyle = '#ddd';
+        const method = this.diagnostics.usesExactPotential() ? 'exact' : 'tree';
+        ctx.fillText(`2K/|W| ${latest.virialRatio.toFixed(3)}   W: ${method}   t: ${t0.toFixed(2)} – ${t1.toFixed(2)}`,
+            padding.left, height - 8);
+    }
+}
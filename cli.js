@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+// Command-line runner: runs a scenario (or a saved state) for a number of steps
+// and writes snapshots and diagnostics to disk. See `node cli.js --help`.
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { Simulation, Snapshot, BodyFormat, Generator } = require('./headless');
+
+const USAGE = `Usage: node cli.js [options]
+
+Scenario
+  --scenario <name>          Initial conditions (${Object.keys(Generator.registry).join(', ')}); default spiral
+  --param <key=value>        Scenario parameter, repeatable (e.g. --param Q=1.2)
+  --bodies <n>               Number of bodies; default 1000
+  --seed <n>                 Random seed; default random (printed at the start)
+  --input <file>             Start from a file instead: a snapshot (.json / .nbsn), or
+                             another code's file with --input-format
+  --input-format <name>      ${Object.keys(BodyFormat.formats).join(', ')}
+  --input-units <system>     Unit system of an --input-format file, converted into --units
+                             (or taken as the simulation's units without --units)
+
+Physics
+  --steps <n>                Steps to run; default 1000
+  --dt <t>                   Time step
+  --theta <θ>                Opening angle of the tree
+  --epsilon <ε>              Softening length
+  --softening <kernel>       Softening kernel
+  --integrator <name>        Integrator; default leapfrog
+  --timestep <mode>          fixed, adaptive or block
+  --forces <method>          tree, direct or fmm
+  --fmm-order <p>            Expansion order of the fmm backend
+  --opening <criterion>      Cell-opening criterion of the tree
+  --collisions <mode>        elastic, merge or none
+  --units <system>           Unit system
+  --g <G>                    Gravitational constant
+
+Output
+  --out <dir>                Output directory; default output
+  --format <name>            Snapshot format: json, binary, ${Object.keys(BodyFormat.formats)
+        .filter(name => BodyFormat.get(name).canWrite()).join(', ')}; default json
+  --snapshot-every <k>       Also write a snapshot every k steps (the final state is always written)
+  --diagnostics-every <k>    Append conserved quantities to diagnostics.csv every k steps; default 10, 0 for none
+  --quiet                    Only print errors
+  --help                     Show this help`;
+
+const OPTIONS = {
+    scenario: { type: 'string' },
+    param: { type: 'string', multiple: true },
+    bodies: { type: 'string' },
+    seed: { type: 'string' },
+    input: { type: 'string' },
+    'input-format': { type: 'string' },
+    'input-units': { type: 'string' },
+    steps: { type: 'string', default: '1000' },
+    dt: { type: 'string' },
+    theta: { type: 'string' },
+    epsilon: { type: 'string' },
+    softening: { type: 'string' },
+    integrator: { type: 'string' },
+    timestep: { type: 'string' },
+    forces: { type: 'string' },
+    'fmm-order': { type: 'string' },
+    opening: { type: 'string' },
+    collisions: { type: 'string' },
+    units: { type: 'string' },
+    g: { type: 'string' },
+    out: { type: 'string', default: 'output' },
+    format: { type: 'string', default: 'json' },
+    'snapshot-every': { type: 'string', default: '0' },
+    'diagnostics-every': { type: 'string', default: '10' },
+    quiet: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false }
+};
+
+// Diagnostics columns written to diagnostics.csv
+const DIAGNOSTICS_COLUMNS = [
+    'time', 'bodies', 'kineticEnergy', 'potentialEnergy', 'totalEnergy', 'energyDrift',
+    'angularMomentum', 'angularMomentumDrift', 'momentumDrift', 'virialRatio'
+];
+
+function number(values, name, { integer = false, min = -Infinity, above = -Infinity } = {}) {
+    const value = Number(values[name]);
+    if (values[name] === '' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) ||
+        value < min || value <= above) {
+        const bound = above > -Infinity ? ` greater than ${above}` : min > -Infinity ? ` of at least ${min}` : '';
+        throw new Error(`--${name} must be ${integer ? 'an integer' : 'a number'}${bound}: ${values[name]}`);
+    }
+    return value;
+}
+
+// Physics options given on the command line, as Simulation options
+function physicsOptions(values) {
+    const options = {};
+    if (values['fmm-order'] !== undefined) options.fmmOrder = number(values, 'fmm-order', { integer: true, min: 1 });
+    // A time step or G of 0 can't run; theta and epsilon of 0 mean exact forces and no softening
+    for (const flag of ['dt', 'g']) {
+        if (values[flag] !== undefined) options[flag] = number(values, flag, { above: 0 });
+    }
+    for (const flag of ['theta', 'epsilon']) {
+        if (values[flag] !== undefined) options[flag] = number(values, flag, { min: 0 });
+    }
+    const named = {
+        integrator: 'integrator', softening: 'softening', timestep: 'timestepMode', forces: 'forceMethod',
+        opening: 'openingCriterion', collisions: 'collisionMode', units: 'units'
+    };
+    for (const [flag, key] of Object.entries(named)) {
+        if (values[flag] !== undefined) options[key] = values[flag];
+    }
+    return options;
+}
+
+// Scenario options given on the command line, as Simulation options
+function scenarioOptions(values) {
+    const options = {};
+    if (values.scenario !== undefined) options.generator = values.scenario;
+    if (values.bodies !== undefined) options.numBodies = number(values, 'bodies', { integer: true, min: 1 });
+    if (values.seed !== undefined) options.seed = number(values, 'seed', { integer: true, min: 0 });
+
+    if (values.param) {
+        options.generatorParams = {};
+        for (const entry of values.param) {
+            const match = /^(\w+)=(.+)$/.exec(entry);
+            if (!match || !Number.isFinite(Number(match[2]))) {
+                throw new Error(`--param must look like key=number: ${entry}`);
+            }
+            options.generatorParams[match[1]] = Number(match[2]);
+        }
+    }
+    return options;
+}
+
+// Read a start state given with --input; other codes' files may be converted from fileUnits into units
+function readInput(file, formatName, fileUnits, units) {
+    const data = fs.readFileSync(file);
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    if (formatName === undefined) {
+        return Snapshot.decode(buffer);
+    }
+    const format = BodyFormat.get(formatName);
+    return format.readSnapshot(format.binary ? buffer : data.toString('utf8'), { fileUnits, units });
+}
+
+// Encode the current state in the output format; returns [contents, extension]
+function encodeSnapshot(simulation, formatName) {
+    const snapshot = Snapshot.capture(simulation);
+    if (formatName === 'json') return [JSON.stringify(snapshot), 'json'];
+    if (formatName === 'binary') return [Buffer.from(snapshot.toBinary()), 'nbsn'];
+    const format = BodyFormat.get(formatName);
+    const contents = format.write(snapshot);
+    return [typeof contents === 'string' ? contents : Buffer.from(contents), format.extension];
+}
+
+function run(argv) {
+    const { values } = parseArgs({ args: argv, options: OPTIONS, strict: true });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    const log = values.quiet ? () => {} : message => console.log(message);
+
+    const steps = number(values, 'steps', { integer: true, min: 0 });
+    const snapshotEvery = number(values, 'snapshot-every', { integer: true, min: 0 });
+    const diagnosticsEvery = number(values, 'diagnostics-every', { integer: true, min: 0 });
+    if (values.format !== 'json' && values.format !== 'binary' && !BodyFormat.get(values.format).canWrite()) {
+        throw new Error(`Can't write ${values.format} files`);
+    }
+
+    const physics = physicsOptions(values);
+    const simulation = new Simulation({
+        integrator: 'leapfrog',
+        ...scenarioOptions(values),
+        ...physics,
+        useWorkers: false,
+        diagnosticsInterval: diagnosticsEvery,
+        generate: values.input === undefined
+    });
+
+    // A loaded state brings its own parameters; the ones given on the command line still win
+    if (values.input !== undefined) {
+        simulation.loadSnapshot(readInput(values.input, values['input-format'], values['input-units'], physics.units));
+        simulation.updateParameters(physics);
+    }
+    const origin = values.input !== undefined
+        ? `from ${values.input}`
+        : `${simulation.generator.name} scenario, seed ${simulation.seed}`;
+    log(`${simulation.store.count} bodies ${origin}, ${simulation.forceMethod} forces, ` +
+        `${simulation.integrator.name}, dt ${simulation.dt}`);
+
+    fs.mkdirSync(values.out, { recursive: true });
+    const writeSnapshot = step => {
+        const [contents, extension] = encodeSnapshot(simulation, values.format);
+        const file = path.join(values.out, `snapshot-${String(step).padStart(6, '0')}.${extension}`);
+        fs.writeFileSync(file, contents);
+        return file;
+    };
+
+    // Diagnostics rows are appended as they are measured (the history only keeps the latest ones)
+    let diagnosticsFile = null;
+    let measuredVersion = -1;
+    const writeDiagnostics = step => {
+        const diagnostics = simulation.diagnostics;
+        if (diagnostics.version === measuredVersion || diagnostics.latest === null) return;
+        measuredVersion = diagnostics.version;
+        const sample = diagnostics.latest;
+        fs.writeSync(diagnosticsFile, [step, ...DIAGNOSTICS_COLUMNS.map(key => sample[key])].join(',') + '\n');
+    };
+    if (diagnosticsEvery > 0) {
+        diagnosticsFile = fs.openSync(path.join(values.out, 'diagnostics.csv'), 'w');
+        fs.writeSync(diagnosticsFile, ['step', ...DIAGNOSTICS_COLUMNS].join(',') + '\n');
+        simulation.diagnostics.measure();
+        writeDiagnostics(0);
+    }
+
+    const start = Date.now();
+    let lastReport = start;
+    try {
+        if (snapshotEvery > 0) writeSnapshot(0);
+        for (let step = 1; step <= steps; step++) {
+            simulation.step();
+            if (diagnosticsFile !== null) writeDiagnostics(step);
+            if (snapshotEvery > 0 && step % snapshotEvery === 0 && step !== steps) writeSnapshot(step);
+
+            if (Date.now() - lastReport > 5000) {
+                lastReport = Date.now();
+                log(`step ${step}/${steps}, t = ${simulation.time.toFixed(4)}`);
+            }
+        }
+    } finally {
+        if (diagnosticsFile !== null) fs.closeSync(diagnosticsFile);
+    }
+
+    const file = writeSnapshot(steps);
+    const latest = simulation.diagnostics.latest;
+    log(`${steps} steps in ${((Date.now() - start) / 1000).toFixed(1)} s, t = ${simulation.time.toFixed(4)}` +
+        `${latest ? `, energy drift ${latest.energyDrift.toExponential(2)}` : ''}; final state in ${file}`);
+}
+
+try {
+    run(process.argv.slice(2));
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,298 @@
+// CollisionPairs is a growable list of overlapping body pairs (i < j, store indices)
+class CollisionPairs {
+    constructor(capacity = 256) {
+        this.count = 0;
+        this.keys = new Float64Array(capacity);  // i * n + j, so sorting orders pairs by (i, j)
+        this.bodyCount = 0;                      // n used in the keys
+    }
+
+    // Start a new list for a store with n bodies
+    clear(bodyCount) {
+        this.count = 0;
+        this.bodyCount = bodyCount;
+    }
+
+    // Add the pair (i, j) with i < j
+    push(i, j) {
+        if (this.count === this.keys.length) {
+            const keys = new Float64Array(this.keys.length * 2);
+            keys.set(this.keys);
+            this.keys = keys;
+        }
+        this.keys[this.count++] = i * this.bodyCount + j;
+    }
+
+    // Put the pairs in (i, j) order, the order the O(n²) scan finds them in
+    sort() {
+        this.keys.subarray(0, this.count).sort();
+    }
+
+    first(k) {
+        return Math.floor(this.keys[k] / this.bodyCount);
+    }
+
+    second(k) {
+        return this.keys[k] % this.bodyCount;
+    }
+}
+
+// SpatialHash is the broad phase for collision detection. Bodies go into square
+// cells of a uniform grid; cell coordinates are hashed to integers into a table
+// that is filled with a counting sort, so a pass allocates nothing once warm.
+//
+// The cell size is twice the largest radius of the "normal" bodies, so two
+// overlapping normal bodies are always in the same or neighbouring cells.
+// Bodies much larger than the typical radius (like the central mass) would
+// blow up the cell size; the largest MAX_OVERSIZED of them are tested against
+// every body instead, and any others go into the grid with larger cells.
+// Together the two passes report exactly the pairs the O(n²) scan finds.
+class SpatialHash {
+    constructor() {
+        this.cellSize = 0;
+        this.tableSize = 0;
+        this.capacity = 0;
+
+        // Radius above which a body counts as oversized, from the last pass
+        this.oversizeRadius = 0;
+        this.oversized = new Int32Array(0);
+        this.oversizedCount = 0;
+
+        this._samples = new Float64Array(SpatialHash.RADIUS_SAMPLES);
+        this._visited = new Int32Array(9);  // Table slots already scanned for the current body
+    }
+
+    // Per-body arrays
+    _ensureCapacity(capacity) {
+        if (this.capacity >= capacity) return;
+        this.cellX = new Int32Array(capacity);
+        this.cellY = new Int32Array(capacity);
+        this.bucket = new Int32Array(capacity);   // Hash table slot of each body (-1 if oversized)
+        this.sorted = new Int32Array(capacity);   // Bodies ordered by slot
+        this.oversized = new Int32Array(capacity);
+        this._oversizedRadii = new Float64Array(capacity);
+        this.capacity = capacity;
+    }
+
+    // Hash table with at least twice as many slots as bodies (a power of two)
+    _ensureTable(count) {
+        let size = 16;
+        while (size < 2 * count) size *= 2;
+        if (size === this.tableSize) return;
+        this.tableSize = size;
+        this.bucketStart = new Int32Array(size + 1);
+    }
+
+    // Table slot of a cell
+    _hash(cellX, cellY) {
+        return (Math.imul(cellX, 73856093) ^ Math.imul(cellY, 19349663)) & (this.tableSize - 1);
+    }
+
+    // Median radius of the bodies that have one, estimated from evenly spaced bodies.
+    // Points are left out: if they were most of the bodies, every body with a radius
+    // would count as oversized and be tested against all others.
+    _typicalRadius(store) {
+        const n = store.count;
+        const sampleCount = Math.min(n, this._samples.length);
+        const samples = this._samples.subarray(0, sampleCount);
+        for (let k = 0; k < sampleCount; k++) {
+            samples[k] = store.radius[Math.floor(k * n / sampleCount)];
+        }
+        samples.sort();
+        let first = 0;
+        while (first < sampleCount && samples[first] <= 0) first++;
+        return first < sampleCount ? samples[(first + sampleCount) >> 1] : 0;
+    }
+
+    // Find all pairs of overlapping bodies (distance < r_i + r_j) in a store
+    findPairs(store, pairs) {
+        const n = store.count;
+        pairs.clear(n);
+        if (n < 2) return;
+
+        this._ensureCapacity(store.capacity);
+        this._ensureTable(n);
+
+        // Split off oversized bodies; the largest remaining radius sets the cell size
+        this.oversizeRadius = SpatialHash.OVERSIZE_FACTOR * this._typicalRadius(store);
+        let maxRadius = this._splitOversized(store);
+        if (this.oversizedCount > SpatialHash.MAX_OVERSIZED) {
+            // A whole population of large bodies: testing each against all others would
+            // be O(n²) again, so only the largest stay out of the grid
+            const radii = this._oversizedRadii.subarray(0, this.oversizedCount);
+            for (let k = 0; k < radii.length; k++) {
+                radii[k] = store.radius[this.oversized[k]];
+            }
+            radii.sort();
+            this.oversizeRadius = radii[radii.length - SpatialHash.MAX_OVERSIZED - 1];
+            maxRadius = this._splitOversized(store);
+        }
+        // A touching pair is closer than 2 * maxRadius; the small margin keeps rounding in
+        // x / cellSize from ever putting it two cells apart
+        this.cellSize = 2 * maxRadius * (1 + 1e-6);
+
+        this._findOversizedPairs(store, pairs);
+
+        // Bodies without extent can't overlap anything normal-sized
+        if (this.cellSize > 0) {
+            this._fillTable(store);
+            this._findGridPairs(store, pairs);
+        }
+    }
+
+    // List the bodies above oversizeRadius; returns the largest radius of the others
+    _splitOversized(store) {
+        this.oversizedCount = 0;
+        let maxRadius = 0;
+        for (let i = 0; i < store.count; i++) {
+            const radius = store.radius[i];
+            if (radius > this.oversizeRadius) {
+                this.oversized[this.oversizedCount++] = i;
+            } else {
+                maxRadius = Math.max(maxRadius, radius);
+            }
+        }
+        return maxRadius;
+    }
+
+    // Test every oversized body against all others
+    _findOversizedPairs(store, pairs) {
+        const n = store.count;
+        const oversizeRadius = this.oversizeRadius;
+
+        for (let k = 0; k < this.oversizedCount; k++) {
+            const i = this.oversized[k];
+            const xi = store.x[i];
+            const yi = store.y[i];
+            const ri = store.radius[i];
+
+            for (let j = 0; j < n; j++) {
+                // Pairs of two oversized bodies are found once, from the lower index
+                if (j === i || (store.radius[j] > oversizeRadius && j < i)) continue;
+
+                const dx = store.x[j] - xi;
+                const dy = store.y[j] - yi;
+                const minDistance = ri + store.radius[j];
+                if (dx * dx + dy * dy < minDistance * minDistance) {
+                    if (i < j) {
+                        pairs.push(i, j);
+                    } else {
+                        pairs.push(j, i);
+                    }
+                }
+            }
+        }
+    }
+
+    // Counting sort of the normal bodies into the hash table
+    _fillTable(store) {
+        const n = store.count;
+        const start = this.bucketStart;
+        const inverseCellSize = 1 / this.cellSize;
+        start.fill(0);
+
+        for (let i = 0; i < n; i++) {
+            if (store.radius[i] > this.oversizeRadius) {
+                this.bucket[i] = -1;
+                continue;
+            }
+            const cellX = Math.floor(store.x[i] * inverseCellSize);
+            const cellY = Math.floor(store.y[i] * inverseCellSize);
+            this.cellX[i] = cellX;
+            this.cellY[i] = cellY;
+            const bucket = this._hash(cellX, cellY);
+            this.bucket[i] = bucket;
+            start[bucket + 1]++;
+        }
+
+        // Prefix sums: start[b] is where slot b begins
+        for (let b = 0; b < this.tableSize; b++) {
+            start[b + 1] += start[b];
+        }
+
+        // Place the bodies in increasing index order; start[b] ends up at the end of slot b
+        for (let i = 0; i < n; i++) {
+            const bucket = this.bucket[i];
+            if (bucket !== -1) {
+                this.sorted[start[bucket]++] = i;
+            }
+        }
+        for (let b = this.tableSize; b > 0; b--) {
+            start[b] = start[b - 1];
+        }
+        start[0] = 0;
+    }
+
+    // Test each normal body against the later bodies in its own and the 8 neighbouring cells
+    _findGridPairs(store, pairs) {
+        const n = store.count;
+        const start = this.bucketStart;
+        const visited = this._visited;
+
+        for (let i = 0; i < n; i++) {
+            if (this.bucket[i] === -1) continue;
+            const xi = store.x[i];
+            const yi = store.y[i];
+            const ri = store.radius[i];
+            const cellX = this.cellX[i];
+            const cellY = this.cellY[i];
+            let visitedCount = 0;
+
+            for (let offsetY = -1; offsetY <= 1; offsetY++) {
+                for (let offsetX = -1; offsetX <= 1; offsetX++) {
+                    // Different cells may share a slot; scan each slot once
+                    const bucket = this._hash(cellX + offsetX, cellY + offsetY);
+                    let seen = false;
+                    for (let v = 0; v < visitedCount; v++) {
+                        if (visited[v] === bucket) {
+                            seen = true;
+                            break;
+                        }
+                    }
+                    if (seen) continue;
+                    visited[visitedCount++] = bucket;
+
+                    for (let k = start[bucket]; k < start[bucket + 1]; k++) {
+                        const j = this.sorted[k];
+                        if (j <= i) continue;
+
+                        const dx = store.x[j] - xi;
+                        const dy = store.y[j] - yi;
+                        const minDistance = ri + store.radius[j];
+                        if (dx * dx + dy * dy < minDistance * minDistance) {
+                            pairs.push(i, j);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Reference broad phase: test all n(n-1)/2 pairs
+    static findPairsBruteForce(store, pairs) {
+        const n = store.count;
+        pairs.clear(n);
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                // Quick distance check to avoid unnecessary calculations
+                const dx = store.x[j] - store.x[i];
+                const dy = store.y[j] - store.y[i];
+                const minDistance = store.radius[i] + store.radius[j];
+
+                // Square comparison to avoid square root calculation
+                if (dx * dx + dy * dy < minDistance * minDistance) {
+                    pairs.push(i, j);
+                }
+            }
+        }
+    }
+}
+
+// Bodies with a radius above this multiple of the median (non-zero) radius are oversized
+SpatialHash.OVERSIZE_FACTOR = 4;
+
+// Most bodies tested against all others; larger ones beyond these go into the grid
+SpatialHash.MAX_OVERSIZED = 16;
+
+// Number of radii sampled for the median
+SpatialHash.RADIUS_SAMPLES = 255;
@@ -0,0 +1,70 @@
+// ColorMap turns values in [0, 1] into colours, interpolating evenly spaced stops
+// into a 256-entry lookup table
+class ColorMap {
+    constructor(name, label, stops) {
+        this.name = name;
+        this.label = label;
+        this.stops = stops;
+
+        // RGB lookup table, 3 bytes per entry
+        this.table = new Uint8Array(ColorMap.SIZE * 3);
+        const rgb = stops.map(hex => [1, 3, 5].map(k => parseInt(hex.slice(k, k + 2), 16)));
+        for (let entry = 0; entry < ColorMap.SIZE; entry++) {
+            const position = entry / (ColorMap.SIZE - 1) * (stops.length - 1);
+            const stop = Math.min(stops.length - 2, Math.floor(position));
+            const fraction = position - stop;
+            for (let c = 0; c < 3; c++) {
+                this.table[entry * 3 + c] = Math.round(rgb[stop][c] + (rgb[stop + 1][c] - rgb[stop][c]) * fraction);
+            }
+        }
+    }
+
+    // Table entry for a value; values outside [0, 1] are clamped
+    index(t) {
+        if (!(t > 0)) return 0;
+        if (t >= 1) return ColorMap.SIZE - 1;
+        return Math.floor(t * ColorMap.SIZE);
+    }
+
+    // CSS colour for a value
+    css(t) {
+        const k = this.index(t) * 3;
+        return `rgb(${this.table[k]}, ${this.table[k + 1]}, ${this.table[k + 2]})`;
+    }
+
+    // Look up a colour map by name
+    static get(name) {
+        const map = ColorMap.maps[name];
+        if (!map) {
+            throw new Error(`Unknown colour map: ${name}`);
+        }
+        return map;
+    }
+}
+
+ColorMap.SIZE = 256;
+
+// Perceptually uniform maps from matplotlib, sampled at 10 evenly spaced points
+ColorMap.maps = {
+    viridis: new ColorMap('viridis', 'Viridis', [
+        '#440154', '#482878', '#3e4989', '#31688e', '#26828e',
+        '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'
+    ]),
+    magma: new ColorMap('magma', 'Magma', [
+        '#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f',
+        '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'
+    ]),
+    inferno: new ColorMap('inferno', 'Inferno', [
+        '#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60',
+        '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'
+    ]),
+    plasma: new ColorMap('plasma', 'Plasma', [
+        '#0d0887', '#46039f', '#7201a8', '#9c179e', '#bd3786',
+        '#d8576b', '#ed7953', '#fb9f3a', '#fdca26', '#f0f921'
+    ]),
+    cividis: new ColorMap('cividis', 'Cividis', [
+        '#00224e', '#123570', '#3b496c', '#575d6d', '#707173',
+        '#8a8678', '#a59c74', '#c3b369', '#e1cc55', '#fee838'
+    ]),
+    greys: new ColorMap('greys', 'Greys', ['#000000', '#ffffff'])
+};
@@ -0,0 +1,143 @@
+// ColorMode computes the per-body quantity that bodies are coloured by.
+// compute(simulation, values) writes one value per store index; logarithmic
+// modes are shown on a log scale. `dimension` is the UnitSystem dimension
+// used to label the legend (null for quantities without one).
+class ColorMode {
+    constructor(name, label, dimension, logarithmic, compute) {
+        this.name = name;
+        this.label = label;
+        this.dimension = dimension;
+        this.logarithmic = logarithmic;
+        this.compute = compute;
+    }
+
+    // Range [low, high] of the values to map onto the colour map: the 1st and
+    // 99th percentiles, so a few extreme bodies (the central mass) don't wash
+    // out the rest. Percentiles are taken from an evenly strided sample.
+    range(values, count) {
+        const step = Math.max(1, Math.floor(count / ColorMode.RANGE_SAMPLES));
+        const sample = [];
+        for (let i = 0; i < count; i += step) {
+            const value = this.logarithmic ? Math.log10(values[i]) : values[i];
+            if (Number.isFinite(value)) sample.push(value);
+        }
+        if (sample.length === 0) return [0, 1];
+
+        sample.sort((a, b) => a - b);
+        let low = sample[Math.floor(0.01 * (sample.length - 1))];
+        let high = sample[Math.ceil(0.99 * (sample.length - 1))];
+        if (!(high > low)) {
+            low -= 0.5;
+            high += 0.5;
+        }
+        return this.logarithmic ? [10 ** low, 10 ** high] : [low, high];
+    }
+
+    // Position of a value within a range, in [0, 1]
+    normalize(value, low, high) {
+        const t = this.logarithmic
+            ? Math.log(value / low) / Math.log(high / low)
+            : (value - low) / (high - low);
+        return t > 0 ? Math.min(1, t) : 0;
+    }
+
+    // Look up a colour mode by name
+    static get(name) {
+        const mode = ColorMode.modes[name];
+        if (!mode) {
+            throw new Error(`Unknown colour mode: ${name}`);
+        }
+        return mode;
+    }
+
+    // Surface density around every body of a built tree: the mass of the tree node
+    // holding the body's leaf, over its area. Using the parent of the leaf smooths
+    // over a few neighbours; a leaf holds a single body (or a few coincident ones).
+    static leafDensity(tree, values) {
+        for (let node = 0; node < tree.nodeCount; node++) {
+            const first = tree.firstChild[node];
+            if (first === -1) {
+                // A lone root leaf
+                if (node === tree.root) ColorMode.fillLeaf(tree, node, node, values);
+                continue;
+            }
+            for (let child = first; child < first + 4; child++) {
+                if (tree.isLeaf(child)) ColorMode.fillLeaf(tree, child, node, values);
+            }
+        }
+    }
+
+    // Tree over the bodies for the density mode. The simulation's own tree is
+    // current while its forces are; otherwise a separate one is rebuilt every
+    // DENSITY_REBUILD_FRAMES frames, and at once when the bodies are added,
+    // removed or replaced. In between, bodies keep the density of their old node.
+    static densityTree(simulation) {
+        if (simulation.forcesValid) return simulation.quadtree;
+
+        const cache = ColorMode.densityCache;
+        const store = simulation.store;
+        cache.age++;
+        if (cache.simulation !== simulation || cache.setupCount !== simulation.setupCount ||
+            cache.count !== store.count || cache.age >= ColorMode.DENSITY_REBUILD_FRAMES) {
+            if (!cache.tree) cache.tree = new Quadtree();
+            cache.tree.build(store);
+            cache.simulation = simulation;
+            cache.setupCount = simulation.setupCount;
+            cache.count = store.count;
+            cache.age = 0;
+        }
+        return cache.tree;
+    }
+
+    // Give the bodies of a leaf the surface density of a node
+    static fillLeaf(tree, leaf, node, values) {
+        const density = tree.mass[node] / (tree.size[node] * tree.size[node]);
+        for (let i = tree.firstBody[leaf]; i !== -1; i = tree.nextBody[i]) {
+            values[i] = density;
+        }
+    }
+}
+
+// Bodies sampled to find the colour range
+ColorMode.RANGE_SAMPLES = 4096;
+
+// Tree used for the density mode when the simulation's is out of date (see
+// densityTree), with the bodies it was built over and the frames since
+ColorMode.densityCache = { tree: null, simulation: null, setupCount: -1, count: -1, age: 0 };
+ColorMode.DENSITY_REBUILD_FRAMES = 10;
+
+ColorMode.modes = {
+    speed: new ColorMode('speed', 'Speed', 'velocity', false, (simulation, values) => {
+        const store = simulation.store;
+        for (let i = 0; i < store.count; i++) {
+            values[i] = Math.sqrt(store.vx[i] * store.vx[i] + store.vy[i] * store.vy[i]);
+        }
+    }),
+
+    acceleration: new ColorMode('acceleration', 'Acceleration', 'acceleration', true, (simulation, values) => {
+        const store = simulation.store;
+        for (let i = 0; i < store.count; i++) {
+            values[i] = Math.sqrt(store.ax[i] * store.ax[i] + store.ay[i] * store.ay[i]);
+        }
+    }),
+
+    density: new ColorMode('density', 'Local density', 'surfaceDensity', true, (simulation, values) => {
+        ColorMode.leafDensity(ColorMode.densityTree(simulation), values);
+    }),
+
+    // Distance from the centre of mass when the bodies were set up, to follow mixing
+    initialRadius: new ColorMode('initialRadius', 'Initial radius', 'length', false, (simulation, values) => {
+        const store = simulation.store;
+        const initialRadius = simulation.initialRadius;
+        for (let i = 0; i < store.count; i++) {
+            values[i] = initialRadius[store.id[i]];
+        }
+    }),
+
+    kineticEnergy: new ColorMode('kineticEnergy', 'Kinetic energy', 'energy', true, (simulation, values) => {
+        const store = simulation.store;
+        for (let i = 0; i < store.count; i++) {
+            values[i] = 0.5 * store.mass[i] * (store.vx[i] * store.vx[i] + store.vy[i] * store.vy[i]);
+        }
+    })
+};
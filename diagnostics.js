@@ -0,0 +1,229 @@
+// Diagnostics measures conserved quantities of a Simulation: energy, linear
+// momentum and angular momentum, plus the virial ratio. Measurements are kept
+// as a history of drifts relative to the first measurement after a reset.
+class Diagnostics {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.interval = options.interval || 0;                // Measure every k steps (0 = on demand only)
+        this.method = options.method || 'auto';               // Potential energy: 'exact', 'tree' or 'auto'
+        this.exactThreshold = options.exactThreshold || 2000; // 'auto' sums pairs exactly up to this many bodies
+        this.maxHistory = options.maxHistory || 2000;
+
+        this.reset();
+    }
+
+    // Forget the reference state and history (e.g. after the bodies were replaced)
+    reset() {
+        this.initial = null;
+        this.history = [];
+        this.stepsSinceMeasure = 0;
+        this.version = 0;  // Bumped on every new measurement, for redraws
+    }
+
+    // Called by the simulation after every step
+    afterStep() {
+        if (this.interval <= 0) return;
+
+        this.stepsSinceMeasure++;
+        if (this.stepsSinceMeasure >= this.interval) {
+            this.measure();
+        }
+    }
+
+    // Measure now, record drifts against the reference state and return the sample
+    measure() {
+        const sample = Diagnostics.compute(this.simulation, this.usesExactPotential());
+        this.stepsSinceMeasure = 0;
+
+        if (this.initial === null) {
+            this.initial = sample;
+        }
+
+        const initial = this.initial;
+        sample.energyDrift = (sample.totalEnergy - initial.totalEnergy) / Math.abs(initial.totalEnergy || 1);
+        sample.angularMomentumDrift = (sample.angularMomentum - initial.angularMomentum) /
+            Math.abs(initial.angularMomentum || 1);
+
+        // Momentum may start at zero, so compare against the total |p| of the bodies
+        const dpx = sample.momentumX - initial.momentumX;
+        const dpy = sample.momentumY - initial.momentumY;
+        sample.momentumDrift = Math.sqrt(dpx * dpx + dpy * dpy) / (initial.momentumScale || 1);
+
+        this.history.push(sample);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+        this.version++;
+        return sample;
+    }
+
+    // Most recent measurement, or null
+    get latest() {
+        return this.history.length > 0 ? this.history[this.history.length - 1] : null;
+    }
+
+    // Check if the potential energy is summed exactly with the current settings
+    usesExactPotential() {
+        if (this.method === 'exact') return true;
+        if (this.method === 'tree') return false;
+        return this.simulation.store.count <= this.exactThreshold;
+    }
+
+    // Compute all conserved quantities of a simulation's current state
+    static compute(sim, exactPotential) {
+        const store = sim.store;
+        const n = store.count;
+
+        // Centre of mass, its velocity, momentum and kinetic energy
+        let mass = 0;
+        let comX = 0;
+        let comY = 0;
+        let momentumX = 0;
+        let momentumY = 0;
+        let momentumScale = 0;
+        let kinetic = 0;
+        for (let i = 0; i < n; i++) {
+            const m = store.mass[i];
+            const vx = store.vx[i];
+            const vy = store.vy[i];
+            mass += m;
+            comX += m * store.x[i];
+            comY += m * store.y[i];
+            momentumX += m * vx;
+            momentumY += m * vy;
+            momentumScale += m * Math.sqrt(vx * vx + vy * vy);
+            kinetic += 0.5 * m * (vx * vx + vy * vy);
+        }
+        if (mass > 0) {
+            comX /= mass;
+            comY /= mass;
+        }
+        const comVx = mass > 0 ? momentumX / mass : 0;
+        const comVy = mass > 0 ? momentumY / mass : 0;
+
+        // Angular momentum (z component) about the centre of mass, in the centre-of-mass frame
+        let angularMomentum = 0;
+        for (let i = 0; i < n; i++) {
+            const rx = store.x[i] - comX;
+            const ry = store.y[i] - comY;
+            const vx = store.vx[i] - comVx;
+            const vy = store.vy[i] - comVy;
+            angularMomentum += store.mass[i] * (rx * vy - ry * vx);
+        }
+
+        const potential = exactPotential
+            ? Diagnostics.exactPotentialEnergy(sim)
+            : Diagnostics.treePotentialEnergy(sim);
+
+        // Virial ratio 2K/|W| uses the kinetic energy of the internal motion only
+        const internalKinetic = kinetic - 0.5 * mass * (comVx * comVx + comVy * comVy);
+
+        return {
+            time: sim.time,
+            bodies: n,
+            kineticEnergy: kinetic,
+            potentialEnergy: potential,
+            totalEnergy: kinetic + potential,
+            momentumX,
+            momentumY,
+            momentumScale,
+            angularMomentum,
+            virialRatio: potential !== 0 ? 2 * internalKinetic / Math.abs(potential) : 0,
+            centerOfMass: { x: comX, y: comY }
+        };
+    }
+
+    // Relative force error of the approximate backend (the tree when running direct
+    // summation) against direct summation, for up to sampleCount random bodies.
+    // Returns { rms, max, samples, method } with errors |a - a_exact| / |a_exact|
+    static forceError(sim, sampleCount = 256) {
+        const store = sim.store;
+        const n = store.count;
+        const method = sim.forceMethod === 'direct' ? 'tree' : sim.forceMethod;
+        const solver = sim.forceSolvers[method];
+        const reference = sim.forceSolvers.direct;
+        solver.build(store);
+        reference.build(store);
+
+        // Partial Fisher-Yates shuffle picks distinct bodies
+        const count = Math.min(sampleCount, n);
+        const indices = new Int32Array(n);
+        for (let i = 0; i < n; i++) indices[i] = i;
+        for (let k = 0; k < count; k++) {
+            const j = k + Math.floor(Math.random() * (n - k));
+            const index = indices[j];
+            indices[j] = indices[k];
+            indices[k] = index;
+        }
+
+        let sumSquared = 0;
+        let max = 0;
+        let samples = 0;
+        for (let k = 0; k < count; k++) {
+            const i = indices[k];
+            reference.accelerationAt(store.x[i], store.y[i]);
+            const exactX = reference.accX;
+            const exactY = reference.accY;
+            const exact = Math.sqrt(exactX * exactX + exactY * exactY);
+            if (exact === 0) continue;
+
+            // Let the backend write its acceleration to the store as usual (the tree reads
+            // the previous one there for the relative opening criterion), then put it back
+            const ax = store.ax[i];
+            const ay = store.ay[i];
+            solver.calculateAcceleration(i);
+            const error = Math.sqrt((store.ax[i] - exactX) ** 2 + (store.ay[i] - exactY) ** 2) / exact;
+            store.ax[i] = ax;
+            store.ay[i] = ay;
+            sumSquared += error * error;
+            max = Math.max(max, error);
+            samples++;
+        }
+
+        return {
+            rms: samples > 0 ? Math.sqrt(sumSquared / samples) : 0,
+            max,
+            samples,
+            method
+        };
+    }
+
+    // Potential energy by direct pairwise summation, O(N²)
+    static exactPotentialEnergy(sim) {
+        const store = sim.store;
+        const kernel = SofteningKernel.get(sim.softening);
+        const epsilon = sim.epsilon;
+        const n = store.count;
+        let energy = 0;
+
+        for (let i = 0; i < n; i++) {
+            const xi = store.x[i];
+            const yi = store.y[i];
+            let sum = 0;
+            for (let j = i + 1; j < n; j++) {
+                const dx = store.x[j] - xi;
+                const dy = store.y[j] - yi;
+                const r2 = dx * dx + dy * dy;
+                if (r2 === 0) continue;
+                sum += store.mass[j] * kernel.potential(r2, epsilon);
+            }
+            energy -= store.mass[i] * sum;
+        }
+
+        return energy * sim.gravitationalConstant;
+    }
+
+    // Potential energy from the Barnes-Hut tree, O(N log N): W = ½ Σ m_i φ(x_i)
+    static treePotentialEnergy(sim) {
+        const store = sim.store;
+
+        // The tree must match the current positions
+        sim.buildQuadtree();
+
+        let energy = 0;
+        for (let i = 0; i < store.count; i++) {
+            energy += store.mass[i] * sim.quadtree.potentialAt(store.x[i], store.y[i]);
+        }
+        return 0.5 * energy;
+    }
+}
@@ -0,0 +1,83 @@
+// DirectSummation computes exact accelerations by summing over every pair of bodies, O(N²).
+// It has the same interface as Quadtree, so either can serve as the force backend,
+// and it is the reference the approximate backends are checked against.
+class DirectSummation {
+    constructor(epsilon = 1.0, gravitationalConstant = 1.0, softening = 'plummer') {
+        this.store = null;
+
+        // Result of accelerationAt(), kept in fields to avoid allocating a vector
+        this.accX = 0;
+        this.accY = 0;
+
+        this.setParameters({ epsilon, gravitationalConstant, softening });
+    }
+
+    // Update force parameters; tree-only ones (theta, quadrupole, ...) are ignored
+    setParameters(params) {
+        if (params.epsilon !== undefined) {
+            this.epsilon = params.epsilon;
+        }
+        if (params.softening !== undefined) {
+            this.kernel = SofteningKernel.get(params.softening);
+        }
+        if (params.gravitationalConstant !== undefined) {
+            this.gravitationalConstant = params.gravitationalConstant;
+        }
+    }
+
+    // Nothing to build: remember the bodies to sum over
+    build(store) {
+        this.store = store;
+    }
+
+    // Calculate acceleration on the body at a store index and write it to the store
+    calculateAcceleration(index) {
+        const store = this.store;
+        this.accelerationAt(store.x[index], store.y[index]);
+        store.ax[index] = this.accX;
+        store.ay[index] = this.accY;
+    }
+
+    // Calculate acceleration at a position due to all bodies
+    // The result is left in accX/accY; a body exactly at (x, y) is skipped
+    accelerationAt(x, y) {
+        const store = this.store;
+        const force = this.kernel.force;
+        const epsilon = this.epsilon;
+        let ax = 0;
+        let ay = 0;
+
+        for (let j = 0; j < store.count; j++) {
+            const dx = store.x[j] - x;
+            const dy = store.y[j] - y;
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared === 0) continue;
+
+            const f = store.mass[j] * force(distanceSquared, epsilon);
+            ax += f * dx;
+            ay += f * dy;
+        }
+
+        this.accX = ax * this.gravitationalConstant;
+        this.accY = ay * this.gravitationalConstant;
+    }
+
+    // Gravitational potential at a position due to all bodies
+    potentialAt(x, y) {
+        const store = this.store;
+        const potential = this.kernel.potential;
+        const epsilon = this.epsilon;
+        let phi = 0;
+
+        for (let j = 0; j < store.count; j++) {
+            const dx = store.x[j] - x;
+            const dy = store.y[j] - y;
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared === 0) continue;
+
+            phi -= store.mass[j] * potential(distanceSquared, epsilon);
+        }
+
+        return phi * this.gravitationalConstant;
+    }
+}
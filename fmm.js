@@ -0,0 +1,581 @@
+// FastMultipole implements the Fast Multipole Method on top of the Barnes-Hut quadtree.
+// Cells carry Cartesian Taylor expansions of order p about their centre of mass:
+// multipoles M_m = Σ m (z - s)^m and locals F_k, so that the potential near a cell
+// centre z is Ψ(z + u) = Σ F_k u^k. A dual tree walk turns well-separated cell pairs
+// into mutual multipole-to-local (M2L) interactions and sums everything else
+// directly (P2P), which makes the method O(N) at a fixed order.
+//
+// Accelerations are evaluated for all bodies in build(); calculateAcceleration()
+// only copies them into the store.
+class FastMultipole {
+    constructor(tree = new Quadtree(), order = 4, theta = 0.5, epsilon = 1.0,
+                gravitationalConstant = 1.0, softening = 'plummer') {
+        this.tree = tree;           // Quadtree that provides the cells (may be shared)
+        this.store = null;
+        this.leafSize = 16;         // Cells with at most this many bodies are summed directly
+
+        // Cells of the FMM, numbered in breadth-first order ("slots") so the
+        // non-empty children of a cell are consecutive and come after it
+        this.slotCount = 0;
+        this.slotCapacity = 0;
+        this.nodeCount = new Int32Array(0);  // Bodies below each tree node
+        this.order = null;                   // Store indices, grouped by cell
+
+        // Accelerations of all bodies from the last build
+        this.resultX = new Float64Array(0);
+        this.resultY = new Float64Array(0);
+
+        // Stack of cell pairs for the dual tree walk
+        this._pairs = new Int32Array(1024);
+
+        this.setParameters({ fmmOrder: order, theta, epsilon, gravitationalConstant, softening });
+    }
+
+    // Update force parameters; omitted ones keep their value
+    setParameters(params) {
+        if (params.theta !== undefined) {
+            this.theta = params.theta;      // Cells interact when (r_A + r_B) < θ · distance
+        }
+        if (params.epsilon !== undefined) {
+            this.epsilon = params.epsilon;
+        }
+        if (params.softening !== undefined) {
+            this.kernel = SofteningKernel.get(params.softening);
+            this.softening = params.softening;
+        }
+        if (params.gravitationalConstant !== undefined) {
+            this.gravitationalConstant = params.gravitationalConstant;
+        }
+        if (params.fmmOrder !== undefined && params.fmmOrder !== this.expansionOrder) {
+            FastMultipole.checkOrder(params.fmmOrder);
+            this.expansionOrder = params.fmmOrder;
+            this._buildTables();
+            this.slotCapacity = 0;  // Coefficient arrays change size
+        }
+
+        // Plummer softening has an exact expansion of 1/sqrt(r² + ε²). The spline is
+        // Newtonian beyond its support, so its cells must be at least that far apart.
+        const plummer = this.softening === 'plummer';
+        this.expansionEpsilonSquared = plummer ? this.epsilon * this.epsilon : 0;
+        this.nearFieldRange = this.softening === 'spline' ? SofteningKernel.SPLINE_SUPPORT * this.epsilon : 0;
+    }
+
+    // Reject expansion orders the tables aren't built for
+    static checkOrder(order) {
+        if (!(Number.isInteger(order) && order >= 1 && order <= FastMultipole.MAX_ORDER)) {
+            throw new Error(`FMM order must be an integer between 1 and ${FastMultipole.MAX_ORDER}`);
+        }
+    }
+
+    // Index of the coefficient for the multi-index (kx, ky), ordered by total degree
+    static index(kx, ky) {
+        const n = kx + ky;
+        return n * (n + 1) / 2 + ky;
+    }
+
+    // Precompute multi-indices and the translation tables for the expansion order
+    _buildTables() {
+        const p = this.expansionOrder;
+        const index = FastMultipole.index;
+        this.coefficients = (p + 1) * (p + 2) / 2;
+
+        // Binomial coefficients up to 2p
+        const binomial = [];
+        for (let n = 0; n <= 2 * p; n++) {
+            binomial[n] = [1];
+            for (let k = 1; k <= n; k++) {
+                binomial[n][k] = binomial[n - 1][k - 1] + (k < n ? binomial[n - 1][k] : 0);
+            }
+        }
+
+        // Exponents of each coefficient
+        this.powerX = new Uint8Array(this.coefficients);
+        this.powerY = new Uint8Array(this.coefficients);
+        for (let n = 0; n <= p; n++) {
+            for (let ky = 0; ky <= n; ky++) {
+                this.powerX[index(n - ky, ky)] = n - ky;
+                this.powerY[index(n - ky, ky)] = ky;
+            }
+        }
+
+        // M2L: F_k += C(k+m, k) a_{k+m}(R) M_m for |k| + |m| <= p, with (-1)^|k+m| for the reverse direction
+        const m2l = [];
+        // M2M and L2L: pairs of a multi-index and a smaller one, with C(big, small) and the shift exponents
+        const shift = [];
+        for (let k = 0; k < this.coefficients; k++) {
+            const kx = this.powerX[k];
+            const ky = this.powerY[k];
+            for (let m = 0; m < this.coefficients; m++) {
+                const mx = this.powerX[m];
+                const my = this.powerY[m];
+                if (kx + ky + mx + my <= p) {
+                    const sign = (kx + ky + mx + my) % 2 === 0 ? 1 : -1;
+                    m2l.push(k, m, index(kx + mx, ky + my), binomial[kx + mx][kx] * binomial[ky + my][ky], sign);
+                }
+                if (mx <= kx && my <= ky) {
+                    shift.push(k, m, binomial[kx][mx] * binomial[ky][my], kx - mx, ky - my);
+                }
+            }
+        }
+        this.m2lTable = new Float64Array(m2l);
+        this.shiftTable = new Float64Array(shift);
+
+        // Scratch space
+        this._derivatives = new Float64Array(this.coefficients);
+        this._powersX = new Float64Array(p + 1);
+        this._powersY = new Float64Array(p + 1);
+    }
+
+    // Per-cell arrays, indexed by slot
+    _allocateSlots(capacity) {
+        this.slotNode = new Int32Array(capacity);      // Tree node of the cell
+        this.centerX = new Float64Array(capacity);     // Expansion centre (centre of mass)
+        this.centerY = new Float64Array(capacity);
+        this.radius = new Float64Array(capacity);      // Distance from the centre to the farthest body
+        this.start = new Int32Array(capacity);         // Bodies of the cell: order[start, start + count)
+        this.count = new Int32Array(capacity);
+        this.childStart = new Int32Array(capacity);    // Children are slots [childStart, childStart + childCount)
+        this.childCount = new Int32Array(capacity);    // 0 for cells that are summed directly
+        this.multipole = new Float64Array(capacity * this.coefficients);
+        this.local = new Float64Array(capacity * this.coefficients);
+        this.slotCapacity = capacity;
+    }
+
+    // Compute the accelerations of all bodies in the store
+    // Pass treeIsCurrent when the shared tree was already built from the same positions
+    build(store, treeIsCurrent = false) {
+        this.store = store;
+        if (!treeIsCurrent) {
+            this.tree.build(store);
+        }
+        if (this.resultX.length < store.capacity) {
+            this.resultX = new Float64Array(store.capacity);
+            this.resultY = new Float64Array(store.capacity);
+        }
+        this.resultX.fill(0, 0, store.count);
+        this.resultY.fill(0, 0, store.count);
+        if (store.count === 0) return;
+
+        this._linkCells();
+        this._upwardPass();
+        this._dualTreeWalk();
+        this._downwardPass();
+
+        const g = this.gravitationalConstant;
+        for (let i = 0; i < store.count; i++) {
+            this.resultX[i] *= g;
+            this.resultY[i] *= g;
+        }
+    }
+
+    // Copy the acceleration of the body at a store index into the store
+    calculateAcceleration(index) {
+        this.store.ax[index] = this.resultX[index];
+        this.store.ay[index] = this.resultY[index];
+    }
+
+    // Count bodies per tree node and lay out the cells breadth-first, with the
+    // bodies of every cell contiguous in `order`
+    _linkCells() {
+        const tree = this.tree;
+        const store = this.store;
+
+        if (this.nodeCount.length < tree.nodeCount) {
+            this.nodeCount = new Int32Array(tree.nodeCapacity);
+        }
+        if (this.order === null || this.order.length < store.capacity) {
+            this.order = new Int32Array(store.capacity);
+        }
+
+        // Children have higher ids than their parent, so sweep backwards
+        const nodeCount = this.nodeCount;
+        for (let node = tree.nodeCount - 1; node >= 0; node--) {
+            const first = tree.firstChild[node];
+            let count = 0;
+            if (first === -1) {
+                for (let i = tree.firstBody[node]; i !== -1; i = tree.nextBody[i]) count++;
+            } else {
+                count = nodeCount[first] + nodeCount[first + 1] + nodeCount[first + 2] + nodeCount[first + 3];
+            }
+            nodeCount[node] = count;
+        }
+
+        // There are fewer cells than tree nodes
+        if (this.slotCapacity < tree.nodeCount) {
+            this._allocateSlots(tree.nodeCapacity);
+        }
+
+        this.slotNode[0] = tree.root;
+        this.start[0] = 0;
+        this.count[0] = nodeCount[tree.root];
+        this.slotCount = 1;
+
+        const stack = tree._stack;
+        for (let slot = 0; slot < this.slotCount; slot++) {
+            const node = this.slotNode[slot];
+            const first = tree.firstChild[node];
+
+            if (first === -1 || this.count[slot] <= this.leafSize) {
+                // Directly summed cell: gather the bodies of the whole subtree
+                this.childCount[slot] = 0;
+                let cursor = this.start[slot];
+                let top = 0;
+                stack[top++] = node;
+                while (top > 0) {
+                    const n = stack[--top];
+                    const child = tree.firstChild[n];
+                    if (child === -1) {
+                        for (let i = tree.firstBody[n]; i !== -1; i = tree.nextBody[i]) {
+                            this.order[cursor++] = i;
+                        }
+                    } else {
+                        for (let q = 0; q < 4; q++) {
+                            if (nodeCount[child + q] > 0) stack[top++] = child + q;
+                        }
+                    }
+                }
+                continue;
+            }
+
+            // Non-empty children become the next slots, splitting the body range in order
+            this.childStart[slot] = this.slotCount;
+            this.childCount[slot] = 0;
+            let cursor = this.start[slot];
+            for (let q = 0; q < 4; q++) {
+                const child = first + q;
+                if (nodeCount[child] === 0) continue;
+                const s = this.slotCount++;
+                this.slotNode[s] = child;
+                this.start[s] = cursor;
+                this.count[s] = nodeCount[child];
+                cursor += nodeCount[child];
+                this.childCount[slot]++;
+            }
+        }
+    }
+
+    // P2M for directly summed cells and M2M for the others, children before parents
+    _upwardPass() {
+        const tree = this.tree;
+        const store = this.store;
+        const nc = this.coefficients;
+        const p = this.expansionOrder;
+        const powerX = this.powerX;
+        const powerY = this.powerY;
+        const px = this._powersX;
+        const py = this._powersY;
+        const table = this.shiftTable;
+
+        this.multipole.fill(0, 0, this.slotCount * nc);
+        this.local.fill(0, 0, this.slotCount * nc);
+
+        for (let slot = this.slotCount - 1; slot >= 0; slot--) {
+            const node = this.slotNode[slot];
+            const zx = tree.comX[node];
+            const zy = tree.comY[node];
+            const base = slot * nc;
+            this.centerX[slot] = zx;
+            this.centerY[slot] = zy;
+
+            if (this.childCount[slot] === 0) {
+                // P2M: M_m += m (z - s)^m
+                let radiusSquared = 0;
+                const end = this.start[slot] + this.count[slot];
+                for (let k = this.start[slot]; k < end; k++) {
+                    const i = this.order[k];
+                    const dx = zx - store.x[i];
+                    const dy = zy - store.y[i];
+                    radiusSquared = Math.max(radiusSquared, dx * dx + dy * dy);
+
+                    px[0] = store.mass[i];
+                    py[0] = 1;
+                    for (let j = 1; j <= p; j++) {
+                        px[j] = px[j - 1] * dx;
+                        py[j] = py[j - 1] * dy;
+                    }
+                    for (let c = 0; c < nc; c++) {
+                        this.multipole[base + c] += px[powerX[c]] * py[powerY[c]];
+                    }
+                }
+                this.radius[slot] = Math.sqrt(radiusSquared);
+                continue;
+            }
+
+            // M2M: M_m += Σ C(m, n) (z - z_c)^(m - n) M^c_n
+            let radius = 0;
+            const childEnd = this.childStart[slot] + this.childCount[slot];
+            for (let child = this.childStart[slot]; child < childEnd; child++) {
+                const dx = zx - this.centerX[child];
+                const dy = zy - this.centerY[child];
+                radius = Math.max(radius, Math.sqrt(dx * dx + dy * dy) + this.radius[child]);
+
+                px[0] = 1;
+                py[0] = 1;
+                for (let j = 1; j <= p; j++) {
+                    px[j] = px[j - 1] * dx;
+                    py[j] = py[j - 1] * dy;
+                }
+                const childBase = child * nc;
+                for (let t = 0; t < table.length; t += 5) {
+                    this.multipole[base + table[t]] +=
+                        table[t + 2] * px[table[t + 3]] * py[table[t + 4]] * this.multipole[childBase + table[t + 1]];
+                }
+            }
+
+            // The cell's corners bound its bodies too
+            const size = tree.size[node];
+            const bx = 0.5 * size + Math.abs(zx - tree.centerX[node]);
+            const by = 0.5 * size + Math.abs(zy - tree.centerY[node]);
+            this.radius[slot] = Math.min(radius, Math.sqrt(bx * bx + by * by));
+        }
+    }
+
+    // Taylor coefficients a_n = ∂^n f / n! of f = 1/sqrt(|R|² + ε²) at R = (x, y), from
+    // |n| ρ² a_n + (2|n| - 1) Σ R_i a_{n-e_i} + (|n| - 1) Σ a_{n-2e_i} = 0
+    _computeDerivatives(x, y) {
+        const a = this._derivatives;
+        const index = FastMultipole.index;
+        const inverse = 1 / (x * x + y * y + this.expansionEpsilonSquared);
+        a[0] = Math.sqrt(inverse);
+
+        for (let n = 1; n <= this.expansionOrder; n++) {
+            for (let ky = 0; ky <= n; ky++) {
+                const kx = n - ky;
+                let sum = 0;
+                if (kx > 0) sum += (2 * n - 1) * x * a[index(kx - 1, ky)];
+                if (ky > 0) sum += (2 * n - 1) * y * a[index(kx, ky - 1)];
+                if (kx > 1) sum += (n - 1) * a[index(kx - 2, ky)];
+                if (ky > 1) sum += (n - 1) * a[index(kx, ky - 2)];
+                a[index(kx, ky)] = -sum * inverse / n;
+            }
+        }
+    }
+
+    // Push a cell pair onto the walk stack
+    _pushPair(a, b, top) {
+        if (top + 2 > this._pairs.length) {
+            const pairs = new Int32Array(this._pairs.length * 2);
+            pairs.set(this._pairs);
+            this._pairs = pairs;
+        }
+        this._pairs[top] = a;
+        this._pairs[top + 1] = b;
+        return top + 2;
+    }
+
+    // Dual tree walk (Dehnen 2002): every pair of cells either interacts through
+    // their expansions, is summed directly, or is split into smaller pairs
+    _dualTreeWalk() {
+        const theta = this.theta;
+        const nearFieldRange = this.nearFieldRange;
+        let top = this._pushPair(0, 0, 0);
+
+        while (top > 0) {
+            top -= 2;
+            const a = this._pairs[top];
+            const b = this._pairs[top + 1];
+
+            if (a === b) {
+                const childCount = this.childCount[a];
+                if (childCount === 0) {
+                    this._directSelf(a);
+                    continue;
+                }
+
+                // Every unordered pair of children, including each child with itself
+                const first = this.childStart[a];
+                for (let i = 0; i < childCount; i++) {
+                    for (let j = i; j < childCount; j++) {
+                        top = this._pushPair(first + i, first + j, top);
+                    }
+                }
+                continue;
+            }
+
+            const dx = this.centerX[a] - this.centerX[b];
+            const dy = this.centerY[a] - this.centerY[b];
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const reach = this.radius[a] + this.radius[b];
+
+            if (reach < theta * distance && distance - reach > nearFieldRange) {
+                this._multipoleToLocal(a, b, dx, dy);
+                continue;
+            }
+
+            const leafA = this.childCount[a] === 0;
+            const leafB = this.childCount[b] === 0;
+            if (leafA && leafB) {
+                this._directPair(a, b);
+                continue;
+            }
+
+            // Split the larger cell
+            if (leafB || (!leafA && this.radius[a] >= this.radius[b])) {
+                const end = this.childStart[a] + this.childCount[a];
+                for (let child = this.childStart[a]; child < end; child++) {
+                    top = this._pushPair(child, b, top);
+                }
+            } else {
+                const end = this.childStart[b] + this.childCount[b];
+                for (let child = this.childStart[b]; child < end; child++) {
+                    top = this._pushPair(a, child, top);
+                }
+            }
+        }
+    }
+
+    // Mutual M2L between cells a and b, with R = z_a - z_b
+    _multipoleToLocal(a, b, dx, dy) {
+        this._computeDerivatives(dx, dy);
+        const derivatives = this._derivatives;
+        const table = this.m2lTable;
+        const nc = this.coefficients;
+        const baseA = a * nc;
+        const baseB = b * nc;
+        const multipole = this.multipole;
+        const local = this.local;
+
+        for (let t = 0; t < table.length; t += 5) {
+            const k = table[t];
+            const m = table[t + 1];
+            const coefficient = table[t + 3] * derivatives[table[t + 2]];
+            local[baseA + k] += coefficient * multipole[baseB + m];
+            // a_n(-R) = (-1)^|n| a_n(R)
+            local[baseB + k] += table[t + 4] * coefficient * multipole[baseA + m];
+        }
+    }
+
+    // P2P between all bodies of one cell
+    _directSelf(slot) {
+        const store = this.store;
+        const force = this.kernel.force;
+        const epsilon = this.epsilon;
+        const order = this.order;
+        const end = this.start[slot] + this.count[slot];
+
+        for (let k = this.start[slot]; k < end; k++) {
+            const i = order[k];
+            const xi = store.x[i];
+            const yi = store.y[i];
+            const mi = store.mass[i];
+            let ax = 0;
+            let ay = 0;
+            for (let l = k + 1; l < end; l++) {
+                const j = order[l];
+                const dx = store.x[j] - xi;
+                const dy = store.y[j] - yi;
+                const distanceSquared = dx * dx + dy * dy;
+                if (distanceSquared === 0) continue;
+
+                const f = force(distanceSquared, epsilon);
+                ax += store.mass[j] * f * dx;
+                ay += store.mass[j] * f * dy;
+                this.resultX[j] -= mi * f * dx;
+                this.resultY[j] -= mi * f * dy;
+            }
+            this.resultX[i] += ax;
+            this.resultY[i] += ay;
+        }
+    }
+
+    // P2P between the bodies of two different cells
+    _directPair(a, b) {
+        const store = this.store;
+        const force = this.kernel.force;
+        const epsilon = this.epsilon;
+        const order = this.order;
+        const endA = this.start[a] + this.count[a];
+        const endB = this.start[b] + this.count[b];
+
+        for (let k = this.start[a]; k < endA; k++) {
+            const i = order[k];
+            const xi = store.x[i];
+            const yi = store.y[i];
+            const mi = store.mass[i];
+            let ax = 0;
+            let ay = 0;
+            for (let l = this.start[b]; l < endB; l++) {
+                const j = order[l];
+                const dx = store.x[j] - xi;
+                const dy = store.y[j] - yi;
+                const distanceSquared = dx * dx + dy * dy;
+                if (distanceSquared === 0) continue;
+
+                const f = force(distanceSquared, epsilon);
+                ax += store.mass[j] * f * dx;
+                ay += store.mass[j] * f * dy;
+                this.resultX[j] -= mi * f * dx;
+                this.resultY[j] -= mi * f * dy;
+            }
+            this.resultX[i] += ax;
+            this.resultY[i] += ay;
+        }
+    }
+
+    // L2L to the children and L2P at the bodies, parents before children
+    _downwardPass() {
+        const store = this.store;
+        const nc = this.coefficients;
+        const p = this.expansionOrder;
+        const powerX = this.powerX;
+        const powerY = this.powerY;
+        const px = this._powersX;
+        const py = this._powersY;
+        const table = this.shiftTable;
+        const local = this.local;
+
+        for (let slot = 0; slot < this.slotCount; slot++) {
+            const base = slot * nc;
+            const zx = this.centerX[slot];
+            const zy = this.centerY[slot];
+
+            if (this.childCount[slot] > 0) {
+                // L2L: F^c_n += Σ C(k, n) (z_c - z)^(k - n) F_k
+                const end = this.childStart[slot] + this.childCount[slot];
+                for (let child = this.childStart[slot]; child < end; child++) {
+                    const dx = this.centerX[child] - zx;
+                    const dy = this.centerY[child] - zy;
+                    px[0] = 1;
+                    py[0] = 1;
+                    for (let j = 1; j <= p; j++) {
+                        px[j] = px[j - 1] * dx;
+                        py[j] = py[j - 1] * dy;
+                    }
+                    const childBase = child * nc;
+                    for (let t = 0; t < table.length; t += 5) {
+                        local[childBase + table[t + 1]] +=
+                            table[t + 2] * px[table[t + 3]] * py[table[t + 4]] * local[base + table[t]];
+                    }
+                }
+                continue;
+            }
+
+            // L2P: a = ∇Ψ, with ∂/∂u_x of F_k u^k = k_x F_k u^(k - e_x)
+            const end = this.start[slot] + this.count[slot];
+            for (let k = this.start[slot]; k < end; k++) {
+                const i = this.order[k];
+                const ux = store.x[i] - zx;
+                const uy = store.y[i] - zy;
+                px[0] = 1;
+                py[0] = 1;
+                for (let j = 1; j <= p; j++) {
+                    px[j] = px[j - 1] * ux;
+                    py[j] = py[j - 1] * uy;
+                }
+                let ax = 0;
+                let ay = 0;
+                for (let c = 1; c < nc; c++) {
+                    const kx = powerX[c];
+                    const ky = powerY[c];
+                    if (kx > 0) ax += kx * local[base + c] * px[kx - 1] * py[ky];
+                    if (ky > 0) ay += ky * local[base + c] * px[kx] * py[ky - 1];
+                }
+                this.resultX[i] += ax;
+                this.resultY[i] += ay;
+            }
+        }
+    }
+}
+
+// Highest supported expansion order
+FastMultipole.MAX_ORDER = 10;
@@ -0,0 +1,39 @@
+// Web Worker that computes accelerations for a slice of bodies
+importScripts('vector.js', 'body.js', 'bodystore.js', 'softening.js', 'quadtree.js', 'direct.js');
+
+// Force backends by method name, as in Simulation
+const solvers = {
+    tree: new Quadtree(),
+    direct: new DirectSummation()
+};
+const store = new BodyStore();
+
+self.onmessage = event => {
+    const { jobId, positions, count, start, end, targets, params } = event.data;
+
+    // Unpack the (x, y, m, |a|) buffer into the local store
+    store.clear();
+    store.reserve(count);
+    for (let i = 0; i < count; i++) {
+        store.add(positions[i * 4], positions[i * 4 + 1], 0, 0, positions[i * 4 + 2], 0);
+    }
+
+    // Every worker builds the full tree, but only walks it for its own slice
+    const solver = solvers[params.forceMethod || 'tree'];
+    solver.setParameters(params);
+    solver.build(store);
+
+    // Slice [start, end) of the target list, or of all bodies without one
+    const accelerations = new Float64Array((end - start) * 2);
+    for (let k = 0; k < end - start; k++) {
+        const i = targets ? targets[k] : start + k;
+        solver.accelerationAt(store.x[i], store.y[i], positions[i * 4 + 3]);
+        accelerations[k * 2] = solver.accX;
+        accelerations[k * 2 + 1] = solver.accY;
+    }
+
+    self.postMessage(
+        { jobId, start, end, accelerations, positions },
+        [accelerations.buffer, positions.buffer]
+    );
+};
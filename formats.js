@@ -0,0 +1,349 @@
+// BodyFormat reads and writes file formats of other N-body codes.
+// Reading produces a table of named columns (x, y, z, vx, ..., m for the
+// fixed-layout formats, the header names or column numbers for delimited text);
+// toSnapshot() then maps columns to body fields and scales them, so the same
+// mapping options work for every format. 3D files become 2D by choosing which
+// columns serve as x and y (z is simply dropped by default).
+class BodyFormat {
+    constructor(name, label, extension, binary = false) {
+        this.name = name;
+        this.label = label;
+        this.extension = extension;
+        this.binary = binary;  // read() takes an ArrayBuffer instead of a string
+    }
+
+    // Look up a format by name
+    static get(name) {
+        const format = BodyFormat.formats[name];
+        if (!format) {
+            throw new Error(`Unknown file format: ${name}`);
+        }
+        return format;
+    }
+
+    // Parse file contents into { time, names, columns, count }
+    read(data) {
+        throw new Error(`${this.label} files can't be read`);
+    }
+
+    // Encode a Snapshot; returns a string, or an ArrayBuffer for binary formats
+    write(snapshot) {
+        throw new Error(`${this.label} files can't be written`);
+    }
+
+    canWrite() {
+        return this.write !== BodyFormat.prototype.write;
+    }
+
+    // Read a file and build a Snapshot from it. Options:
+    //   columns: { x, y, vx, vy, mass, radius } - column name or 0-based index per field;
+    //            unmapped fields use a column with a matching name if there is one
+    //   lengthScale, velocityScale, massScale - factors applied to the values read
+    //   fileUnits, units - UnitSystem names of the file and of the simulation; see unitConversion
+    // Missing velocities are 0, a missing mass is 1 and a missing radius is ∛mass.
+    readSnapshot(data, options = {}) {
+        return BodyFormat.toSnapshot(this.read(data), options);
+    }
+
+    static toSnapshot(table, options = {}) {
+        const mapping = options.columns || {};
+        const { factor, parameters } = BodyFormat.unitConversion(options.fileUnits, options.units);
+        const scales = {
+            length: (options.lengthScale !== undefined ? options.lengthScale : 1) * factor('length'),
+            velocity: (options.velocityScale !== undefined ? options.velocityScale : 1) * factor('velocity'),
+            mass: (options.massScale !== undefined ? options.massScale : 1) * factor('mass')
+        };
+
+        const snapshot = new Snapshot(table.time * factor('time'), parameters, table.count);
+        for (const [field, { aliases, dimension, fallback }] of Object.entries(BodyFormat.FIELDS)) {
+            const column = BodyFormat.findColumn(table, field, mapping[field], aliases);
+            const values = snapshot[field];
+
+            if (column === null) {
+                if (field === 'x' || field === 'y') {
+                    throw new Error(`No column for ${field}`);
+                }
+                if (field === 'radius') {
+                    for (let i = 0; i < table.count; i++) values[i] = Math.cbrt(snapshot.mass[i]);
+                } else {
+                    values.fill(fallback * scales[dimension]);
+                }
+                continue;
+            }
+
+            const scale = scales[dimension];
+            for (let i = 0; i < table.count; i++) {
+                values[i] = column[i] * scale;
+            }
+        }
+        return snapshot.validate();
+    }
+
+    // How values in the file's unit system become values in the simulation's:
+    // { factor(dimension), parameters } with the Snapshot parameters to load.
+    // Values are converted when both systems are physical; a simulation without
+    // physical units (or none given) takes the file's units and its G instead.
+    static unitConversion(fileUnits, units) {
+        const from = fileUnits ? UnitSystem.get(fileUnits) : null;
+        const to = units ? UnitSystem.get(units) : null;
+        if (from === null || !from.isPhysical()) {
+            return { factor: () => 1, parameters: {} };
+        }
+        if (to === null || !to.isPhysical()) {
+            return { factor: () => 1, parameters: { units: from.name } };
+        }
+        return { factor: dimension => from.convert(1, dimension, to), parameters: {} };
+    }
+
+    // Column for a field: the mapped one, else the first name in `aliases`
+    static findColumn(table, field, mapped, aliases) {
+        if (mapped !== undefined && mapped !== null && mapped !== '') {
+            const index = typeof mapped === 'number' ? mapped : table.names.indexOf(mapped.toLowerCase());
+            if (index < 0 || index >= table.columns.length) {
+                const column = typeof mapped === 'number' ? mapped + 1 : `"${mapped}"`;
+                throw new Error(`No column ${column} for ${field}`);
+            }
+            return table.columns[index];
+        }
+        for (const alias of aliases) {
+            const index = table.names.indexOf(alias);
+            if (index >= 0) return table.columns[index];
+        }
+        return null;
+    }
+
+    // Table with the given column names and count rows of zeros
+    static emptyTable(names, count, time = 0) {
+        return { time, names, count, columns: names.map(() => new Float64Array(count)) };
+    }
+
+    // Split text into lines, skipping blank lines and '#' comments
+    static dataLines(text) {
+        return text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trimStart().startsWith('#'));
+    }
+
+    static parseNumber(token, where) {
+        const value = Number(token);
+        if (token === undefined || token.trim() === '' || !Number.isFinite(value)) {
+            throw new Error(`Invalid number "${token}" ${where}`);
+        }
+        return value;
+    }
+}
+
+// Delimited text with one body per row, e.g. CSV and TSV.
+// A first row that isn't numeric is a header naming the columns;
+// without one, columns are taken to be x, y, vx, vy, m, r in that order.
+class DelimitedFormat extends BodyFormat {
+    constructor(name, label, extension, delimiter) {
+        super(name, label, extension);
+        this.delimiter = delimiter;
+    }
+
+    read(text) {
+        const lines = BodyFormat.dataLines(text);
+        if (lines.length === 0) {
+            throw new Error('The file has no rows');
+        }
+
+        const split = line => line.split(this.delimiter).map(token => token.trim());
+        const first = split(lines[0]);
+        const hasHeader = first.some(token => token !== '' && !Number.isFinite(Number(token)));
+        const width = first.length;
+        const names = hasHeader
+            ? first.map(name => name.replace(/^"(.*)"$/, '$1').toLowerCase())
+            : first.map((_, k) => BodyFormat.DEFAULT_ORDER[k] || String(k + 1));
+
+        const rows = hasHeader ? lines.slice(1) : lines;
+        const table = BodyFormat.emptyTable(names, rows.length);
+        rows.forEach((line, i) => {
+            const tokens = split(line);
+            if (tokens.length < width) {
+                throw new Error(`Row ${i + 1} has ${tokens.length} columns instead of ${width}`);
+            }
+            for (let k = 0; k < width; k++) {
+                table.columns[k][i] = BodyFormat.parseNumber(tokens[k], `in row ${i + 1}, column ${k + 1}`);
+            }
+        });
+        return table;
+    }
+
+    write(snapshot) {
+        const lines = [BodyFormat.DEFAULT_ORDER.join(this.delimiter)];
+        for (let i = 0; i < snapshot.count; i++) {
+            lines.push([snapshot.x[i], snapshot.y[i], snapshot.vx[i], snapshot.vy[i], snapshot.mass[i], snapshot.radius[i]]
+                .join(this.delimiter));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// ASCII snapshot of NEMO's atos / Barnes' treecode: the body count, the number
+// of dimensions and the time, then all masses, all positions and all velocities.
+// Tokens may be split over lines in any way. Radii aren't part of the format.
+class NemoAsciiFormat extends BodyFormat {
+    constructor() {
+        super('nemo', 'NEMO ASCII', 'dat');
+    }
+
+    read(text) {
+        const tokens = BodyFormat.dataLines(text).join(' ').trim().split(/\s+/);
+        let next = 0;
+        const number = what => BodyFormat.parseNumber(tokens[next++], `for ${what} (token ${next})`);
+
+        const count = number('the body count');
+        const dimensions = number('the number of dimensions');
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`Invalid body count: ${count}`);
+        }
+        if (dimensions !== 2 && dimensions !== 3) {
+            throw new Error(`Expected 2 or 3 dimensions, not ${dimensions}`);
+        }
+        const time = number('the time');
+
+        const axes = ['x', 'y', 'z'].slice(0, dimensions);
+        const names = ['m', ...axes, ...axes.map(axis => `v${axis}`)];
+        const table = BodyFormat.emptyTable(names, count, time);
+        const [mass, ...vectors] = table.columns;
+
+        for (let i = 0; i < count; i++) {
+            mass[i] = number(`the mass of body ${i + 1}`);
+        }
+        for (let block = 0; block < 2; block++) {
+            const what = block === 0 ? 'position' : 'velocity';
+            for (let i = 0; i < count; i++) {
+                for (let d = 0; d < dimensions; d++) {
+                    vectors[block * dimensions + d][i] = number(`the ${what} of body ${i + 1}`);
+                }
+            }
+        }
+        return table;
+    }
+
+    // Written in 3D (z = 0), which is what most tools expect
+    write(snapshot) {
+        const lines = [String(snapshot.count), '3', String(snapshot.time)];
+        for (let i = 0; i < snapshot.count; i++) {
+            lines.push(String(snapshot.mass[i]));
+        }
+        for (let i = 0; i < snapshot.count; i++) {
+            lines.push(`${snapshot.x[i]} ${snapshot.y[i]} 0`);
+        }
+        for (let i = 0; i < snapshot.count; i++) {
+            lines.push(`${snapshot.vx[i]} ${snapshot.vy[i]} 0`);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// GADGET format-1 binary snapshot (the original unformatted Fortran-style
+// records, not HDF5): a 256-byte header, then position, velocity, id and
+// mass blocks. Particles of all types are read, in type order; the mass block
+// only holds masses of types without a fixed mass in the header. Either byte
+// order and single or double precision are accepted. Only the given file of a
+// multi-file snapshot is read.
+class GadgetFormat extends BodyFormat {
+    constructor() {
+        super('gadget', 'GADGET (format 1)', 'gadget', true);
+    }
+
+    read(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 264) {
+            throw new Error('File is too short for a GADGET header');
+        }
+        let littleEndian = true;
+        if (view.getInt32(0, true) !== 256) {
+            if (view.getInt32(0, false) !== 256) {
+                throw new Error('Not a GADGET format-1 snapshot (first record isn\'t a 256-byte header)');
+            }
+            littleEndian = false;
+        }
+
+        // Header (offsets within the record): npart[6] int32, massarr[6] float64, time float64, ...
+        const npart = [];
+        const massarr = [];
+        for (let type = 0; type < 6; type++) {
+            npart.push(view.getInt32(4 + 4 * type, littleEndian));
+            massarr.push(view.getFloat64(28 + 8 * type, littleEndian));
+        }
+        const time = view.getFloat64(76, littleEndian);
+        const count = npart.reduce((sum, n) => sum + n, 0);
+
+        // Each record is framed by its byte length before and after
+        let offset = 264;
+        const record = what => {
+            if (offset + 4 > buffer.byteLength) {
+                throw new Error(`The ${what} block is missing`);
+            }
+            const length = view.getInt32(offset, littleEndian);
+            const start = offset + 4;
+            if (length < 0 || start + length + 4 > buffer.byteLength ||
+                view.getInt32(start + length, littleEndian) !== length) {
+                throw new Error(`The ${what} block is corrupt`);
+            }
+            offset = start + length + 4;
+            return { start, length };
+        };
+        const reader = (block, values, what) => {
+            const size = block.length / values;
+            if (size !== 4 && size !== 8) {
+                throw new Error(`The ${what} block has ${block.length} bytes for ${values} values`);
+            }
+            return size === 4
+                ? k => view.getFloat32(block.start + 4 * k, littleEndian)
+                : k => view.getFloat64(block.start + 8 * k, littleEndian);
+        };
+
+        const table = BodyFormat.emptyTable(['x', 'y', 'z', 'vx', 'vy', 'vz', 'm'], count, time);
+        const [x, y, z, vx, vy, vz, mass] = table.columns;
+
+        const position = reader(record('position'), 3 * count, 'position');
+        const velocity = reader(record('velocity'), 3 * count, 'velocity');
+        for (let i = 0; i < count; i++) {
+            x[i] = position(3 * i);
+            y[i] = position(3 * i + 1);
+            z[i] = position(3 * i + 2);
+            vx[i] = velocity(3 * i);
+            vy[i] = velocity(3 * i + 1);
+            vz[i] = velocity(3 * i + 2);
+        }
+        record('id');
+
+        let variableCount = 0;
+        for (let type = 0; type < 6; type++) {
+            if (massarr[type] === 0) variableCount += npart[type];
+        }
+        const variableMass = variableCount > 0 ? reader(record('mass'), variableCount, 'mass') : null;
+
+        let i = 0;
+        let k = 0;
+        for (let type = 0; type < 6; type++) {
+            for (let n = 0; n < npart[type]; n++) {
+                mass[i++] = massarr[type] !== 0 ? massarr[type] : variableMass(k++);
+            }
+        }
+        return table;
+    }
+}
+
+// Body fields filled by toSnapshot(): column names to look for, unit dimension
+// and the value used when there is no column
+BodyFormat.FIELDS = {
+    x: { aliases: ['x'], dimension: 'length', fallback: 0 },
+    y: { aliases: ['y'], dimension: 'length', fallback: 0 },
+    vx: { aliases: ['vx'], dimension: 'velocity', fallback: 0 },
+    vy: { aliases: ['vy'], dimension: 'velocity', fallback: 0 },
+    mass: { aliases: ['m', 'mass'], dimension: 'mass', fallback: 1 },
+    radius: { aliases: ['r', 'radius'], dimension: 'length', fallback: 0 }
+};
+
+// Column order of delimited files written by us, and assumed for headerless ones
+BodyFormat.DEFAULT_ORDER = ['x', 'y', 'vx', 'vy', 'm', 'r'];
+
+BodyFormat.formats = {
+    csv: new DelimitedFormat('csv', 'CSV', 'csv', ','),
+    tsv: new DelimitedFormat('tsv', 'TSV', 'tsv', '\t'),
+    nemo: new NemoAsciiFormat(),
+    gadget: new GadgetFormat()
+};
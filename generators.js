@@ -0,0 +1,504 @@
+// Generators create the initial bodies of a scenario.
+// Each generator declares its parameters (with defaults and ranges for the
+// settings panel) and fills a BodyStore with a given number of bodies.
+// Velocities are computed with the simulation's G, so every scenario keeps its
+// dynamics in any unit system; `random` returns uniform numbers in [0, 1).
+class Generator {
+    constructor(name, label, parameters) {
+        this.name = name;
+        this.label = label;
+        this.parameters = parameters;  // [{ key, label, value, min, max, step }]
+    }
+
+    // Create a generator by name
+    static create(name) {
+        const GeneratorClass = Generator.registry[name];
+        if (!GeneratorClass) {
+            throw new Error(`Unknown generator: ${name}`);
+        }
+        return new GeneratorClass();
+    }
+
+    // Names and labels of all generators, for the settings panel
+    static list() {
+        return Object.keys(Generator.registry).map(name => ({
+            name,
+            label: Generator.create(name).label
+        }));
+    }
+
+    // Default parameter values, overridden by the given ones
+    resolveParameters(params = {}) {
+        const resolved = {};
+        for (const { key, value } of this.parameters) {
+            resolved[key] = params[key] !== undefined ? params[key] : value;
+        }
+        return resolved;
+    }
+
+    // Fill the store with exactly `count` bodies; central bodies count among them
+    generate(store, count, params, G, random) {
+        throw new Error(`${this.name} does not implement generate()`);
+    }
+
+    // Standard normal deviate (Box-Muller)
+    static gaussian(random) {
+        const u = 1 - random();  // (0, 1], keeps the log finite
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    }
+
+    // Add a body with the radius used for ordinary bodies, Math.cbrt(mass)
+    static addParticle(store, x, y, vx, vy, mass) {
+        return store.add(x, y, vx, vy, mass, Math.cbrt(mass));
+    }
+
+    // Add a central massive body, drawn twice as large as an ordinary body of its mass
+    static addCentralBody(store, x, y, vx, vy, mass) {
+        return store.add(x, y, vx, vy, mass, Generator.centralRadius(mass));
+    }
+
+    static centralRadius(mass) {
+        return Math.cbrt(mass) * 2;
+    }
+
+    // Smallest orbit radius of a body of the given mass that doesn't touch the central body
+    static clearOfCentralBody(centralMass, mass) {
+        return centralMass > 0 ? Generator.centralRadius(centralMass) + Math.cbrt(mass) : 0;
+    }
+
+    // Velocity of a disk body at (x, y) relative to the disk centre.
+    // circularSpeed(r) gives the rotation curve and surfaceDensity(r) the disk's own
+    // surface density. The radial dispersion follows from Toomre's stability parameter,
+    // σ_R = 3.36 Q G Σ / κ, and the tangential one from the epicyclic ratio κ / 2Ω.
+    // The mean rotation is reduced by the radial dispersion (a crude asymmetric drift).
+    // Returns [vx, vy] for counter-clockwise rotation.
+    static diskVelocity(x, y, circularSpeed, surfaceDensity, Q, G, random) {
+        const r = Math.sqrt(x * x + y * y);
+        if (r === 0) return [0, 0];
+
+        const speed = circularSpeed(r);
+        let radialSigma = 0;
+        let tangentialSigma = 0;
+        if (Q > 0 && speed > 0) {
+            // κ² = R dΩ²/dR + 4Ω², by central difference
+            const h = 1e-3 * r;
+            const omegaSquared = rr => (circularSpeed(rr) / rr) ** 2;
+            const omega2 = omegaSquared(r);
+            const kappa2 = r * (omegaSquared(r + h) - omegaSquared(r - h)) / (2 * h) + 4 * omega2;
+            const kappa = Math.sqrt(Math.max(kappa2, 0));
+            if (kappa > 0) {
+                radialSigma = 3.36 * Q * G * surfaceDensity(r) / kappa;
+                tangentialSigma = radialSigma * kappa / (2 * Math.sqrt(omega2));
+            }
+        }
+
+        const rotation = Math.sqrt(Math.max(0, speed * speed - radialSigma * radialSigma));
+        const radial = radialSigma * Generator.gaussian(random);
+        const tangential = rotation + tangentialSigma * Generator.gaussian(random);
+
+        const cos = x / r;
+        const sin = y / r;
+        return [radial * cos - tangential * sin, radial * sin + tangential * cos];
+    }
+
+    // Shift the bodies from index `first` on so their centre of mass rests at the origin,
+    // removing the drift left by random sampling
+    static centerOfMassFrame(store, first = 0) {
+        let mass = 0;
+        let x = 0;
+        let y = 0;
+        let vx = 0;
+        let vy = 0;
+        for (let i = first; i < store.count; i++) {
+            const m = store.mass[i];
+            mass += m;
+            x += m * store.x[i];
+            y += m * store.y[i];
+            vx += m * store.vx[i];
+            vy += m * store.vy[i];
+        }
+        if (mass === 0) return;
+
+        for (let i = first; i < store.count; i++) {
+            store.x[i] -= x / mass;
+            store.y[i] -= y / mass;
+            store.vx[i] -= vx / mass;
+            store.vy[i] -= vy / mass;
+        }
+    }
+
+    // Random point of a sphere of radius r, projected onto the simulation plane
+    static projectedPoint(r, random) {
+        const z = 2 * random() - 1;
+        const phi = 2 * Math.PI * random();
+        const planar = r * Math.sqrt(1 - z * z);
+        return [planar * Math.cos(phi), planar * Math.sin(phi)];
+    }
+}
+
+// The original scenario: a spiral of bodies around a massive centre,
+// deliberately slower than circular so it winds up and falls in
+class SpiralGenerator extends Generator {
+    constructor() {
+        super('spiral', 'Spiral', [
+            { key: 'centralMass', label: 'Central mass', value: 5000, min: 0, max: 100000, step: 100 },
+            { key: 'rotation', label: 'Rotation (× circular)', value: 0.3, min: 0, max: 2, step: 0.05 }
+        ]);
+    }
+
+    generate(store, count, params, G, random) {
+        if (count < 1) return;
+
+        // Create a central massive body
+        const centralMass = params.centralMass;
+        Generator.addCentralBody(store, 0, 0, 0, 0, centralMass);
+
+        // Create spiral galaxy formation
+        const innerRadius = 10;
+        const outerRadius = Math.sqrt(count) * 5;
+
+        for (let i = 1; i < count; i++) {
+            // Spiral distribution
+            const angle = i * 0.5;
+            const t = innerRadius / outerRadius;
+            const r = random() * (1 - t * t) + t * t;
+            const radius = outerRadius * Math.sqrt(r);
+
+            // Spiral position
+            const x = Math.cos(angle) * radius;
+            const y = Math.sin(angle) * radius;
+
+            // Orbital velocity (perpendicular to radial direction)
+            const orbitSpeed = Math.sqrt(G * (centralMass + i) / radius) * params.rotation;
+            const vx = -y / radius * orbitSpeed;
+            const vy = x / radius * orbitSpeed;
+
+            // Create body with mass between 0.1 and 2
+            const mass = 0.1 + random() * 1.9;
+            Generator.addParticle(store, x, y, vx, vy, mass);
+        }
+    }
+}
+
+// Plummer sphere (Aarseth, Hénon & Wielen 1974), sampled in 3D and projected
+// onto the plane. The projection drops the out-of-plane forces, so it is not
+// an exact equilibrium of the planar dynamics.
+class PlummerGenerator extends Generator {
+    constructor() {
+        super('plummer', 'Plummer sphere', [
+            { key: 'mass', label: 'Total mass', value: 5000, min: 1, max: 100000, step: 100 },
+            { key: 'scaleRadius', label: 'Scale radius', value: 50, min: 1, max: 1000, step: 1 }
+        ]);
+    }
+
+    generate(store, count, params, G, random) {
+        const a = params.scaleRadius;
+        const mass = params.mass / count;
+        const velocityScale = Math.sqrt(G * params.mass / a);
+
+        for (let i = 0; i < count; i++) {
+            // Radius from the cumulative mass M(r)/M = r³ / (r² + a²)^(3/2), cut at 10a
+            let r;
+            do {
+                const m = Math.max(random(), 1e-10);
+                r = a / Math.sqrt(Math.pow(m, -2 / 3) - 1);
+            } while (r > 10 * a);
+            const [x, y] = Generator.projectedPoint(r, random);
+
+            // Speed as a fraction q of the local escape speed, q²(1 - q²)^(7/2) by rejection
+            let q;
+            let g;
+            do {
+                q = random();
+                g = 0.1 * random();
+            } while (g > q * q * Math.pow(1 - q * q, 3.5));
+            const speed = q * Math.SQRT2 * Math.pow(1 + r * r / (a * a), -0.25) * velocityScale;
+            const [vx, vy] = Generator.projectedPoint(speed, random);
+
+            Generator.addParticle(store, x, y, vx, vy, mass);
+        }
+        Generator.centerOfMassFrame(store);
+    }
+}
+
+// Uniform disk with velocity dispersion set by Toomre's Q
+// The rotation curve uses the enclosed mass as if it were spherical
+class UniformDiskGenerator extends Generator {
+    constructor() {
+        super('uniformDisk', 'Uniform disk (Toomre Q)', [
+            { key: 'mass', label: 'Disk mass', value: 5000, min: 1, max: 100000, step: 100 },
+            { key: 'radius', label: 'Radius', value: 150, min: 1, max: 5000, step: 1 },
+            { key: 'centralMass', label: 'Central mass', value: 1000, min: 0, max: 100000, step: 100 },
+            { key: 'Q', label: 'Toomre Q', value: 1.5, min: 0, max: 5, step: 0.1 }
+        ]);
+    }
+
+    generate(store, count, params, G, random) {
+        if (count < 1) return;
+        const R = params.radius;
+        const diskCount = params.centralMass > 0 ? count - 1 : count;
+        const mass = params.mass / diskCount;
+        const density = params.mass / (Math.PI * R * R);
+        const circularSpeed = r => Math.sqrt(G * (params.centralMass + params.mass * Math.min(1, r * r / (R * R))) / r);
+        const surfaceDensity = r => (r <= R ? density : 0);
+
+        const inner = Math.min(Generator.clearOfCentralBody(params.centralMass, mass), R);
+
+        if (params.centralMass > 0) {
+            Generator.addCentralBody(store, 0, 0, 0, 0, params.centralMass);
+        }
+        for (let i = 0; i < diskCount; i++) {
+            const r = Math.sqrt(inner * inner + random() * (R * R - inner * inner));
+            const angle = 2 * Math.PI * random();
+            const x = r * Math.cos(angle);
+            const y = r * Math.sin(angle);
+            const [vx, vy] = Generator.diskVelocity(x, y, circularSpeed, surfaceDensity, params.Q, G, random);
+            Generator.addParticle(store, x, y, vx, vy, mass);
+        }
+        Generator.centerOfMassFrame(store);
+    }
+}
+
+// Exponential disk with a Hernquist bulge, the usual model of a disk galaxy
+class ExponentialDiskGenerator extends Generator {
+    constructor() {
+        super('exponentialDisk', 'Exponential disk + bulge', [
+            { key: 'mass', label: 'Total mass', value: 5000, min: 1, max: 100000, step: 100 },
+            { key: 'scaleLength', label: 'Disk scale length', value: 40, min: 1, max: 1000, step: 1 },
+            { key: 'bulgeFraction', label: 'Bulge fraction', value: 0.2, min: 0, max: 1, step: 0.05 },
+            { key: 'bulgeRadius', label: 'Bulge scale radius', value: 10, min: 0.1, max: 500, step: 0.5 },
+            { key: 'Q', label: 'Toomre Q', value: 1.5, min: 0, max: 5, step: 0.1 }
+        ]);
+    }
+
+    generate(store, count, params, G, random) {
+        ExponentialDiskGenerator.addGalaxy(store, count, params, G, random, 0, 0, 0, 0, 1);
+        Generator.centerOfMassFrame(store);
+    }
+
+    // Add a galaxy of `count` bodies centred on (x, y) moving with (vx, vy);
+    // spin is 1 for counter-clockwise and -1 for clockwise rotation.
+    // A bulge fraction of 0 with centralMass gives a point-mass centre instead.
+    static addGalaxy(store, count, params, G, random, centerX, centerY, centerVx, centerVy, spin) {
+        if (count < 1) return;
+        const h = params.scaleLength;
+        const a = params.bulgeRadius;
+        const centralMass = params.centralMass || 0;
+        const particleCount = centralMass > 0 ? count - 1 : count;
+        const bulgeCount = Math.round(particleCount * params.bulgeFraction);
+        const diskCount = particleCount - bulgeCount;
+        const stellarMass = params.mass - centralMass;
+        const bulgeMass = stellarMass * params.bulgeFraction;
+        const diskMass = stellarMass - bulgeMass;
+        const maxRadius = 6 * h;
+        const diskParticleMass = diskCount > 0 ? diskMass / diskCount : 0;
+        const bulgeParticleMass = bulgeCount > 0 ? bulgeMass / bulgeCount : 0;
+        const diskInner = Math.min(Generator.clearOfCentralBody(centralMass, diskParticleMass), maxRadius / 2);
+        const bulgeInner = Math.min(Generator.clearOfCentralBody(centralMass, bulgeParticleMass), maxRadius / 2);
+
+        // Rotation curve from the enclosed mass of each component
+        const enclosed = r => centralMass +
+            diskMass * (1 - (1 + r / h) * Math.exp(-r / h)) +
+            bulgeMass * r * r / ((r + a) * (r + a));
+        const circularSpeed = r => Math.sqrt(G * enclosed(r) / r);
+        const surfaceDensity = r => diskMass / (2 * Math.PI * h * h) * Math.exp(-r / h);
+
+        if (centralMass > 0) {
+            Generator.addCentralBody(store, centerX, centerY, centerVx, centerVy, centralMass);
+        }
+
+        // Disk: the radial density r e^(-r/h) is a Gamma(2) distribution
+        for (let i = 0; i < diskCount; i++) {
+            let r;
+            do {
+                r = -h * Math.log((1 - random()) * (1 - random()));
+            } while (r > maxRadius || r < diskInner);
+            const angle = 2 * Math.PI * random();
+            const x = r * Math.cos(angle);
+            const y = r * Math.sin(angle);
+            const [vx, vy] = Generator.diskVelocity(x, y, circularSpeed, surfaceDensity, params.Q, G, random);
+            Generator.addParticle(store, centerX + x, centerY + y,
+                centerVx + vx * spin, centerVy + vy * spin, diskParticleMass);
+        }
+
+        // Bulge: M(<r) ∝ r² / (r + a)², isotropic and roughly isothermal (σ² = v_c² / 2)
+        for (let i = 0; i < bulgeCount; i++) {
+            let r;
+            do {
+                const s = Math.sqrt(random());
+                r = a * s / (1 - s);
+            } while (r > maxRadius || r < bulgeInner);
+            const [x, y] = Generator.projectedPoint(r, random);
+            const sigma = r > 0 ? circularSpeed(r) * Math.SQRT1_2 : 0;
+            Generator.addParticle(store, centerX + x, centerY + y,
+                centerVx + sigma * Generator.gaussian(random), centerVy + sigma * Generator.gaussian(random),
+                bulgeParticleMass);
+        }
+    }
+}
+
+// Two disk galaxies with central masses on a collision course, each spinning
+// with (prograde) or against (retrograde) their orbit
+class GalaxyCollisionGenerator extends Generator {
+    constructor() {
+        super('collision', 'Galaxy collision', [
+            { key: 'mass', label: 'Mass per galaxy', value: 5000, min: 1, max: 100000, step: 100 },
+            { key: 'massRatio', label: 'Mass ratio', value: 0.5, min: 0.05, max: 1, step: 0.05 },
+            { key: 'scaleLength', label: 'Disk scale length', value: 30, min: 1, max: 1000, step: 1 },
+            { key: 'separation', label: 'Separation', value: 400, min: 0, max: 10000, step: 10 },
+            { key: 'impactParameter', label: 'Impact parameter', value: 100, min: 0, max: 5000, step: 5 },
+            { key: 'approachSpeed', label: 'Approach speed', value: 3, min: 0, max: 100, step: 0.1 },
+            { key: 'spinA', label: 'First galaxy spin (±1)', value: 1, min: -1, max: 1, step: 2 },
+            { key: 'spinB', label: 'Second galaxy spin (±1)', value: 1, min: -1, max: 1, step: 2 }
+        ]);
+    }
+
+    // Direction of a galaxy's rotation: 1 counter-clockwise, -1 clockwise. The galaxies
+    // orbit each other counter-clockwise, so -1 makes an encounter retrograde.
+    static spin(value) {
+        return value < 0 ? -1 : 1;
+    }
+
+    generate(store, count, params, G, random) {
+        const massA = params.mass;
+        const massB = params.mass * params.massRatio;
+        const totalMass = massA + massB;
+        // Small counts may leave the lighter galaxy without bodies (and its mass)
+        const countB = Math.round(count * massB / totalMass);
+        const countA = count - countB;
+
+        // Relative orbit of B around A, split about the common centre of mass
+        const dx = params.separation;
+        const dy = params.impactParameter;
+        const dvx = -params.approachSpeed;
+        const shareA = massB / totalMass;
+        const shareB = massA / totalMass;
+
+        // Half of each galaxy's mass sits in its central body
+        const galaxy = (mass, scaleLength) => ({
+            mass,
+            centralMass: 0.5 * mass,
+            scaleLength,
+            bulgeFraction: 0,
+            bulgeRadius: 1,
+            Q: 1.2
+        });
+        ExponentialDiskGenerator.addGalaxy(store, countA, galaxy(massA, params.scaleLength), G, random,
+            -dx * shareA, -dy * shareA, -dvx * shareA, 0, GalaxyCollisionGenerator.spin(params.spinA));
+        ExponentialDiskGenerator.addGalaxy(store, countB, galaxy(massB, params.scaleLength * Math.sqrt(params.massRatio)),
+            G, random, dx * shareB, dy * shareB, dvx * shareB, 0, GalaxyCollisionGenerator.spin(params.spinB));
+        Generator.centerOfMassFrame(store);
+    }
+}
+
+// A binary star on an eccentric orbit with a circumbinary disk of light bodies
+class BinaryStarGenerator extends Generator {
+    constructor() {
+        super('binary', 'Binary star + disk', [
+            { key: 'mass', label: 'Binary mass', value: 5000, min: 1, max: 100000, step: 100 },
+            { key: 'massRatio', label: 'Mass ratio', value: 0.5, min: 0.01, max: 1, step: 0.01 },
+            { key: 'separation', label: 'Semi-major axis', value: 60, min: 1, max: 5000, step: 1 },
+            { key: 'eccentricity', label: 'Eccentricity', value: 0.2, min: 0, max: 0.95, step: 0.05 },
+            { key: 'diskMass', label: 'Disk mass', value: 10, min: 0, max: 10000, step: 1 },
+            { key: 'diskOuter', label: 'Disk outer radius', value: 400, min: 1, max: 10000, step: 10 }
+        ]);
+    }
+
+    generate(store, count, params, G, random) {
+        const massA = params.mass / (1 + params.massRatio);
+        const massB = params.mass - massA;
+        const a = params.separation;
+        const e = params.eccentricity;
+
+        // Start at apocentre, where the relative velocity is perpendicular to the separation
+        const distance = a * (1 + e);
+        const speed = Math.sqrt(G * params.mass * (1 - e) / distance);
+        const shareA = massB / params.mass;
+        const shareB = massA / params.mass;
+        if (count < 1) return;
+        store.add(-distance * shareA, 0, 0, -speed * shareA, massA, Math.cbrt(massA));
+        if (count < 2) return;
+        store.add(distance * shareB, 0, 0, speed * shareB, massB, Math.cbrt(massB));
+
+        // Disk outside the binary's unstable zone (about 2.5 a), on circular orbits around the total mass
+        const diskCount = count - 2;
+        const inner = 2.5 * a * (1 + e);
+        const outer = Math.max(params.diskOuter, inner * 1.1);
+        for (let i = 0; i < diskCount; i++) {
+            const r = Math.sqrt(inner * inner + random() * (outer * outer - inner * inner));
+            const angle = 2 * Math.PI * random();
+            const circular = Math.sqrt(G * params.mass / r);
+            Generator.addParticle(store, r * Math.cos(angle), r * Math.sin(angle),
+                -circular * Math.sin(angle), circular * Math.cos(angle), params.diskMass / diskCount);
+        }
+    }
+}
+
+// A planet (or star) with concentric bands of light bodies on Kepler orbits
+class KeplerRingGenerator extends Generator {
+    constructor() {
+        super('rings', 'Kepler rings', [
+            { key: 'centralMass', label: 'Central mass', value: 5000, min: 1, max: 100000, step: 100 },
+            { key: 'innerRadius', label: 'Inner radius', value: 60, min: 1, max: 5000, step: 1 },
+            { key: 'outerRadius', label: 'Outer radius', value: 200, min: 1, max: 10000, step: 1 },
+            { key: 'ringCount', label: 'Rings', value: 4, min: 1, max: 20, step: 1 },
+            { key: 'ringMass', label: 'Total ring mass', value: 1, min: 0, max: 10000, step: 0.1 }
+        ]);
+    }
+
+    generate(store, count, params, G, random) {
+        if (count < 1) return;
+        Generator.addCentralBody(store, 0, 0, 0, 0, params.centralMass);
+
+        // Each band fills 60% of its share of [inner, outer], leaving gaps between bands
+        const particleCount = count - 1;
+        const bands = Math.max(1, Math.round(params.ringCount));
+        const inner = params.innerRadius;
+        const outer = Math.max(params.outerRadius, inner);
+        const bandWidth = (outer - inner) / bands;
+        for (let i = 0; i < particleCount; i++) {
+            const band = Math.floor(random() * bands);
+            const r = inner + bandWidth * (band + 0.2 + 0.6 * random());
+            const angle = 2 * Math.PI * random();
+            const speed = Math.sqrt(G * params.centralMass / r);
+            Generator.addParticle(store, r * Math.cos(angle), r * Math.sin(angle),
+                -speed * Math.sin(angle), speed * Math.cos(angle), params.ringMass / particleCount);
+        }
+    }
+}
+
+// A cold uniform disk released from rest (optionally with some rotation)
+class ColdCollapseGenerator extends Generator {
+    constructor() {
+        super('collapse', 'Cold collapse', [
+            { key: 'mass', label: 'Total mass', value: 5000, min: 1, max: 100000, step: 100 },
+            { key: 'radius', label: 'Radius', value: 150, min: 1, max: 5000, step: 1 },
+            { key: 'rotation', label: 'Rotation (× circular)', value: 0, min: 0, max: 1, step: 0.05 }
+        ]);
+    }
+
+    generate(store, count, params, G, random) {
+        const R = params.radius;
+        const mass = params.mass / count;
+        for (let i = 0; i < count; i++) {
+            const r = R * Math.sqrt(random());
+            const angle = 2 * Math.PI * random();
+            const speed = r > 0 ? params.rotation * Math.sqrt(G * params.mass * r / (R * R)) : 0;
+            Generator.addParticle(store, r * Math.cos(angle), r * Math.sin(angle),
+                -speed * Math.sin(angle), speed * Math.cos(angle), mass);
+        }
+        Generator.centerOfMassFrame(store);
+    }
+}
+
+// Available generators by name
+Generator.registry = {
+    spiral: SpiralGenerator,
+    plummer: PlummerGenerator,
+    uniformDisk: UniformDiskGenerator,
+    exponentialDisk: ExponentialDiskGenerator,
+    collision: GalaxyCollisionGenerator,
+    binary: BinaryStarGenerator,
+    rings: KeplerRingGenerator,
+    collapse: ColdCollapseGenerator
+};
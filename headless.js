@@ -0,0 +1,41 @@
+// Node.js entry point to the simulation core.
+// The physics files are plain browser scripts that declare global classes. This
+// runs them in index.html order, sharing their classes like <script> tags on a
+// page do, and exports every class they declare:
+//
+//     const { Simulation, Snapshot } = require('./headless');
+//
+// The rendering and UI scripts are left out; the physics scripts never touch
+// the DOM. Web Workers don't exist under Node, so forces are computed on the
+// main thread (ForceWorkerPool.create returns null).
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Scripts that need a page to run
+const BROWSER_SCRIPTS = new Set(['webglrenderer.js', 'renderer.js', 'inspector.js', 'chart.js', 'main.js']);
+
+// Physics script files in index.html order
+function physicsScripts() {
+    const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+        .map(match => match[1])
+        .filter(file => !BROWSER_SCRIPTS.has(file));
+}
+
+// Every class declared so far. Each script is compiled as a function in Node's
+// own context with this object as an outer scope, so the scripts see each other's
+// classes (also ones declared later, once they are) and return values of Node's
+// realm, while nothing is added to Node's global object.
+const classes = {};
+for (const file of physicsScripts()) {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    const names = [...source.matchAll(/^class (\w+)/gm)].map(match => match[1]);
+    const run = vm.compileFunction(`${source}\nreturn { ${names.join(', ')} };`, [], {
+        filename: path.join(__dirname, file),
+        contextExtensions: [classes]
+    });
+    Object.assign(classes, run());
+}
+
+module.exports = { ...classes, physicsScripts };
@@ -0,0 +1,222 @@
+// Inspector shows the bodies selected in the renderer: their mass, position,
+// velocity and acceleration, the orbit of the primary selection around the
+// central body, and its nearest neighbours. While the simulation is paused the
+// mass and velocity of the selected bodies can be edited.
+class Inspector {
+    constructor(panel, renderer, simulation) {
+        this.panel = panel;
+        this.renderer = renderer;
+        this.simulation = simulation;
+        this.tree = new Quadtree();     // Current positions, for the nearest neighbours
+        this.editable = false;
+        this.lastUpdate = -Infinity;
+
+        const find = id => panel.querySelector(`#${id}`);
+        this.title = find('inspectorTitle');
+        this.table = find('inspectorBodies');
+        this.summary = find('inspectorSummary');
+        this.orbit = find('inspectorOrbit');
+        this.neighbours = find('inspectorNeighbours');
+        this.inputs = { mass: find('editMass'), vx: find('editVx'), vy: find('editVy') };
+        this.applyButton = find('applyEditBtn');
+        this.status = find('editStatus');
+
+        find('clearSelectionBtn').addEventListener('click', () => renderer.clearSelection());
+        this.applyButton.addEventListener('click', () => this.applyEdit());
+        this.setEditable(false);
+    }
+
+    // Allow editing; the values only stand still while the simulation is paused
+    setEditable(editable) {
+        this.editable = editable;
+        for (const input of Object.values(this.inputs)) {
+            input.disabled = !editable;
+        }
+        this.applyButton.disabled = !editable;
+        this.status.textContent = editable ? '' : 'Pause to edit';
+        if (editable) this.fillInputs(this.renderer.selectedIndices());
+    }
+
+    // Show a new selection right away
+    selectionChanged() {
+        this.update(performance.now(), true);
+        this.fillInputs(this.renderer.selectedIndices());
+        if (this.editable) this.status.textContent = '';
+    }
+
+    // Refresh the panel every REFRESH_INTERVAL ms, or now if `force` is set
+    update(currentTime, force = false) {
+        if (!force && currentTime - this.lastUpdate < Inspector.REFRESH_INTERVAL) return;
+        this.lastUpdate = currentTime;
+
+        const indices = this.renderer.selectedIndices();
+        this.panel.style.display = indices.length > 0 ? 'block' : 'none';
+        if (indices.length === 0) return;
+
+        const store = this.simulation.store;
+        const primaryId = this.renderer.primarySelection;
+        let primary = indices.find(i => store.id[i] === primaryId);
+        if (primary === undefined) primary = indices[0];
+
+        this.title.textContent = indices.length === 1
+            ? `Body #${store.id[primary]}`
+            : `${indices.length} bodies selected`;
+        this.showBodies(indices, primary);
+        this.showSummary(indices);
+        this.showOrbit(primary);
+        this.showNeighbours(primary);
+    }
+
+    // Table of the selected bodies, the primary one first
+    showBodies(indices, primary) {
+        const store = this.simulation.store;
+        const units = this.simulation.units;
+        const heading = (label, dimension) => {
+            const symbol = units.symbol(dimension);
+            return symbol ? `${label} (${symbol})` : label;
+        };
+        const number = value => units.format(value);
+
+        const rows = [Inspector.row([
+            'Id', heading('Mass', 'mass'), heading('x', 'length'), heading('y', 'length'),
+            heading('vx', 'velocity'), heading('vy', 'velocity'), heading('|a|', 'acceleration')
+        ], 'th')];
+        const listed = [primary, ...indices.filter(i => i !== primary)].slice(0, Inspector.MAX_ROWS);
+        for (const i of listed) {
+            rows.push(Inspector.row([
+                `#${store.id[i]}`, number(store.mass[i]), number(store.x[i]), number(store.y[i]),
+                number(store.vx[i]), number(store.vy[i]), number(Math.hypot(store.ax[i], store.ay[i]))
+            ]));
+        }
+        this.table.replaceChildren(...rows);
+    }
+
+    // Totals of a multiple selection; massless bodies have no centre of mass
+    showSummary(indices) {
+        if (indices.length === 1) {
+            this.summary.textContent = '';
+            return;
+        }
+        const store = this.simulation.store;
+        const units = this.simulation.units;
+        let mass = 0;
+        let x = 0;
+        let y = 0;
+        let vx = 0;
+        let vy = 0;
+        for (const i of indices) {
+            const m = store.mass[i];
+            mass += m;
+            x += m * store.x[i];
+            y += m * store.y[i];
+            vx += m * store.vx[i];
+            vy += m * store.vy[i];
+        }
+        const hidden = indices.length - Inspector.MAX_ROWS;
+        let text = (hidden > 0 ? `${hidden} more not listed. ` : '') + `Total mass ${units.format(mass, 'mass')}`;
+        if (mass > 0) {
+            text += `, centre of mass (${units.format(x / mass, 'length')}, ${units.format(y / mass, 'length')}), ` +
+                `moving at (${units.format(vx / mass, 'velocity')}, ${units.format(vy / mass, 'velocity')})`;
+        }
+        this.summary.textContent = text;
+    }
+
+    // Kepler orbit of the primary body around the most massive one
+    showOrbit(primary) {
+        const store = this.simulation.store;
+        const units = this.simulation.units;
+        if (store.count < 2) {
+            this.orbit.textContent = 'No other body to orbit';
+            return;
+        }
+        const central = OrbitalElements.centralBody(store);
+        if (central === primary) {
+            this.orbit.textContent = `#${store.id[primary]} is the central body`;
+            return;
+        }
+
+        const orbit = OrbitalElements.of(store, primary, central, this.simulation.gravitationalConstant);
+        const around = `#${store.id[central]}`;
+        if (!orbit.bound) {
+            this.orbit.textContent = `Unbound from ${around}: e = ${units.format(orbit.eccentricity)}, ` +
+                `periapsis ${units.format(orbit.periapsis, 'length')}`;
+            return;
+        }
+        const direction = orbit.angularMomentum >= 0 ? 'counter-clockwise' : 'clockwise';
+        const periapsisAngle = orbit.argumentOfPeriapsis * 180 / Math.PI;
+        this.orbit.textContent = `Orbit around ${around}: a = ${units.format(orbit.semiMajorAxis, 'length')}, ` +
+            `e = ${units.format(orbit.eccentricity)}, ` +
+            `periapsis ${units.format(orbit.periapsis, 'length')} at ${periapsisAngle.toFixed(1)}°, ` +
+            `apoapsis ${units.format(orbit.apoapsis, 'length')}, ` +
+            `period ${units.format(orbit.period, 'time')}, ${direction}`;
+    }
+
+    // Closest other bodies to the primary one
+    showNeighbours(primary) {
+        const store = this.simulation.store;
+        const units = this.simulation.units;
+        this.tree.build(store);
+        const nearest = this.tree.nearest(store.x[primary], store.y[primary], Inspector.NEIGHBOURS, Infinity, primary);
+        this.neighbours.textContent = nearest.length === 0 ? '' : 'Nearest: ' + nearest.map(i => {
+            const distance = Math.hypot(store.x[i] - store.x[primary], store.y[i] - store.y[primary]);
+            return `#${store.id[i]} at ${units.format(distance, 'length')}`;
+        }).join(', ');
+    }
+
+    // Put each edited quantity in its input when all selected bodies share it
+    fillInputs(indices) {
+        const store = this.simulation.store;
+        for (const [key, input] of Object.entries(this.inputs)) {
+            const values = new Set(indices.map(i => store[key][i]));
+            const shared = values.size === 1;
+            input.value = shared ? String(values.values().next().value) : '';
+            input.placeholder = shared ? '' : 'mixed';
+        }
+    }
+
+    // Give every selected body the entered mass and velocity; empty inputs leave
+    // that quantity as it is
+    applyEdit() {
+        if (!this.editable) return;
+        const changes = {};
+        for (const [key, input] of Object.entries(this.inputs)) {
+            if (input.value.trim() === '') continue;
+            const value = parseFloat(input.value);
+            if (!Number.isFinite(value)) {
+                this.status.textContent = `Invalid ${key}`;
+                return;
+            }
+            changes[key] = value;
+        }
+
+        const indices = this.renderer.selectedIndices();
+        try {
+            for (const i of indices) {
+                this.simulation.updateBody(i, changes);
+            }
+        } catch (error) {
+            this.status.textContent = error.message;
+            return;
+        }
+        this.status.textContent = indices.length === 1 ? 'Updated' : `Updated ${indices.length} bodies`;
+        this.update(performance.now(), true);
+        this.fillInputs(indices);
+    }
+
+    static row(cells, tag = 'td') {
+        const row = document.createElement('tr');
+        for (const text of cells) {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        return row;
+    }
+}
+
+// Milliseconds between refreshes while the simulation runs
+Inspector.REFRESH_INTERVAL = 250;
+
+// Bodies listed in the table, and neighbours shown for the primary selection
+Inspector.MAX_ROWS = 8;
+Inspector.NEIGHBOURS = 5;
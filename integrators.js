@@ -0,0 +1,210 @@
+// Integrators advance the bodies of a Simulation by one time step.
+// step() is a generator: every `yield` asks the simulation to recompute
+// accelerations (store.ax/ay) at the current positions before resuming.
+// This lets the same integrator run on the synchronous path and on the
+// asynchronous worker path (see Simulation.step and Simulation.stepAsync).
+class Integrator {
+    constructor(name, label, forceEvaluations) {
+        this.name = name;
+        this.label = label;
+        this.forceEvaluations = forceEvaluations;  // Per step, once warmed up
+    }
+
+    // Create an integrator by name
+    static create(name) {
+        const IntegratorClass = Integrator.registry[name];
+        if (!IntegratorClass) {
+            throw new Error(`Unknown integrator: ${name}`);
+        }
+        return new IntegratorClass();
+    }
+
+    // Names and labels of all integrators, for the settings panel
+    static list() {
+        return Object.keys(Integrator.registry).map(name => ({
+            name,
+            label: Integrator.create(name).label
+        }));
+    }
+
+    // v = v + a*dt for the first n bodies
+    static kick(store, n, dt) {
+        for (let i = 0; i < n; i++) {
+            store.vx[i] += store.ax[i] * dt;
+            store.vy[i] += store.ay[i] * dt;
+        }
+    }
+
+    // p = p + v*dt for the first n bodies
+    static drift(store, n, dt) {
+        for (let i = 0; i < n; i++) {
+            store.x[i] += store.vx[i] * dt;
+            store.y[i] += store.vy[i] * dt;
+        }
+    }
+
+    // Advance the simulation by dt, yielding whenever forces are needed
+    *step(sim, dt) {
+        throw new Error(`${this.name} does not implement step()`);
+    }
+}
+
+// Semi-implicit (symplectic) Euler, the original scheme from Body.update
+class EulerIntegrator extends Integrator {
+    constructor() {
+        super('euler', 'Semi-implicit Euler', 1);
+    }
+
+    *step(sim, dt) {
+        const store = sim.store;
+        if (!sim.forcesValid) yield;
+        const n = store.count;
+        Integrator.kick(store, n, dt);
+        Integrator.drift(store, n, dt);
+        sim.forcesValid = false;
+    }
+}
+
+// Kick-drift-kick leapfrog
+// The closing kick reuses the accelerations for the next opening kick
+class LeapfrogIntegrator extends Integrator {
+    constructor() {
+        super('leapfrog', 'Leapfrog (KDK)', 1);
+    }
+
+    *step(sim, dt) {
+        const store = sim.store;
+        if (!sim.forcesValid) yield;
+        const n = store.count;
+        Integrator.kick(store, n, dt * 0.5);
+        Integrator.drift(store, n, dt);
+        yield;
+        Integrator.kick(store, n, dt * 0.5);
+    }
+}
+
+// Velocity Verlet: full position update from (v, a), then velocity from the averaged accelerations
+class VerletIntegrator extends Integrator {
+    constructor() {
+        super('verlet', 'Velocity Verlet', 1);
+        this.oldAx = new Float64Array(0);
+        this.oldAy = new Float64Array(0);
+    }
+
+    *step(sim, dt) {
+        const store = sim.store;
+        if (!sim.forcesValid) yield;
+        const n = store.count;
+
+        if (this.oldAx.length < n) {
+            this.oldAx = new Float64Array(store.capacity);
+            this.oldAy = new Float64Array(store.capacity);
+        }
+
+        // x = x + v*dt + a*dt²/2
+        const halfDtSq = 0.5 * dt * dt;
+        for (let i = 0; i < n; i++) {
+            store.x[i] += store.vx[i] * dt + store.ax[i] * halfDtSq;
+            store.y[i] += store.vy[i] * dt + store.ay[i] * halfDtSq;
+            this.oldAx[i] = store.ax[i];
+            this.oldAy[i] = store.ay[i];
+        }
+
+        yield;
+
+        // v = v + (a_old + a_new)*dt/2
+        const halfDt = 0.5 * dt;
+        for (let i = 0; i < n; i++) {
+            store.vx[i] += (this.oldAx[i] + store.ax[i]) * halfDt;
+            store.vy[i] += (this.oldAy[i] + store.ay[i]) * halfDt;
+        }
+    }
+}
+
+// Classical fourth-order Runge-Kutta on (position, velocity)
+// Accurate per step, but not symplectic: energy still drifts over long runs
+class RK4Integrator extends Integrator {
+    constructor() {
+        super('rk4', 'Runge-Kutta 4', 4);
+        this.capacity = 0;
+    }
+
+    // Scratch arrays: initial state and weighted sums of the stage derivatives
+    _ensureCapacity(capacity) {
+        if (this.capacity >= capacity) return;
+        this.x0 = new Float64Array(capacity);
+        this.y0 = new Float64Array(capacity);
+        this.vx0 = new Float64Array(capacity);
+        this.vy0 = new Float64Array(capacity);
+        this.sumX = new Float64Array(capacity);
+        this.sumY = new Float64Array(capacity);
+        this.sumVx = new Float64Array(capacity);
+        this.sumVy = new Float64Array(capacity);
+        this.capacity = capacity;
+    }
+
+    *step(sim, dt) {
+        const store = sim.store;
+        if (!sim.forcesValid) yield;
+        const n = store.count;
+        this._ensureCapacity(store.capacity);
+
+        for (let i = 0; i < n; i++) {
+            this.x0[i] = store.x[i];
+            this.y0[i] = store.y[i];
+            this.vx0[i] = store.vx[i];
+            this.vy0[i] = store.vy[i];
+            this.sumX[i] = 0;
+            this.sumY[i] = 0;
+            this.sumVx[i] = 0;
+            this.sumVy[i] = 0;
+        }
+
+        // Stages k1..k4: the store holds the stage state (x, v) and its acceleration
+        const stageWeights = [1, 2, 2, 1];
+        const stageOffsets = [0.5, 0.5, 1];
+        for (let stage = 0; stage < 4; stage++) {
+            const weight = stageWeights[stage];
+            for (let i = 0; i < n; i++) {
+                this.sumX[i] += weight * store.vx[i];
+                this.sumY[i] += weight * store.vy[i];
+                this.sumVx[i] += weight * store.ax[i];
+                this.sumVy[i] += weight * store.ay[i];
+            }
+
+            if (stage === 3) break;
+
+            // Move to the next stage state: (x0 + h*v_k, v0 + h*a_k)
+            const h = stageOffsets[stage] * dt;
+            for (let i = 0; i < n; i++) {
+                const vx = store.vx[i];
+                const vy = store.vy[i];
+                store.x[i] = this.x0[i] + h * vx;
+                store.y[i] = this.y0[i] + h * vy;
+                store.vx[i] = this.vx0[i] + h * store.ax[i];
+                store.vy[i] = this.vy0[i] + h * store.ay[i];
+            }
+            yield;
+        }
+
+        // Combine: y = y0 + dt/6 * (k1 + 2k2 + 2k3 + k4)
+        const sixth = dt / 6;
+        for (let i = 0; i < n; i++) {
+            store.x[i] = this.x0[i] + sixth * this.sumX[i];
+            store.y[i] = this.y0[i] + sixth * this.sumY[i];
+            store.vx[i] = this.vx0[i] + sixth * this.sumVx[i];
+            store.vy[i] = this.vy0[i] + sixth * this.sumVy[i];
+        }
+
+        // The stored accelerations belong to the k4 state, not the final positions
+        sim.forcesValid = false;
+    }
+}
+
+// Available integrators by name
+Integrator.registry = {
+    euler: EulerIntegrator,
+    leapfrog: LeapfrogIntegrator,
+    verlet: VerletIntegrator,
+    rk4: RK4Integrator
+};
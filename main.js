@@ -3,33 +3,79 @@ document.addEventListener('DOMContentLoaded', () => {
     // Get canvas element
     const canvas = document.getElementById('simulation');
     
+    // A seed in the URL (?seed=1234) reproduces a shared scenario
+    const urlSeed = Number(new URLSearchParams(window.location.search).get('seed') ?? NaN);
+    
     // Create simulation with initial settings
     const simulation = new Simulation({
+        seed: Number.isInteger(urlSeed) && urlSeed >= 0 && urlSeed <= 0xffffffff ? urlSeed : undefined,
         numBodies: 1000,
         dt: 0.01,
         theta: 0.5,
-        epsilon: 1.0
+        epsilon: 1.0,
+        integrator: 'leapfrog'
     });
     
-    // Create renderer
-    const renderer = new Renderer(canvas, simulation);
+    // Create renderer; bodies can be drawn with WebGL2 into the canvas above it
+    const renderer = new Renderer(canvas, simulation, document.getElementById('bodies-gl'));
+    
+    // Conserved-quantity drift chart
+    const chartCanvas = document.getElementById('diagnostics-chart');
+    const diagnosticsChart = new DiagnosticsChart(chartCanvas, simulation.diagnostics);
+    
+    // Panel showing the bodies selected with the mouse
+    const inspector = new Inspector(document.getElementById('inspector'), renderer, simulation);
+    renderer.onSelectionChange = () => inspector.selectionChanged();
+    
+    // Camera controls, also kept in step by the animation loop
+    const cameraModeSelect = document.getElementById('cameraModeSelect');
     
     // Flag to track if simulation is paused
     let isPaused = false;
     
+    // Pause/Resume; bodies can only be edited while paused, and once a step still
+    // on the workers is done (it would write over the edits)
+    const pauseBtn = document.getElementById('pauseBtn');
+    const setPaused = paused => {
+        isPaused = paused;
+        pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+        if (isPaused) {
+            simulation.whenIdle(() => inspector.setEditable(isPaused));
+        } else {
+            inspector.setEditable(false);
+        }
+    };
+    
     // Set up event listeners
     setupEventListeners(simulation, renderer);
     
     // Main animation loop
     function animate(currentTime) {
-        // Run simulation step if not paused
-        if (!isPaused) {
-            simulation.step();
+        // Run simulation step if not paused and the last one is done
+        if (!isPaused && !simulation.stepping) {
+            simulation.stepAsync().then(() => {
+                renderer.recordTrails();
+            }).catch(error => {
+                // Stop rather than fail again on every frame
+                console.error('Simulation step failed:', error);
+                setPaused(true);
+                alert(`Simulation step failed: ${error.message}`);
+            });
         }
         
         // Render current state
         renderer.render(currentTime);
         
+        if (chartCanvas.style.display === 'block') {
+            diagnosticsChart.update();
+        }
+        inspector.update(currentTime);
+        
+        // The camera stops following a body that merged away
+        if (cameraModeSelect.value !== renderer.camera.mode) {
+            cameraModeSelect.value = renderer.camera.mode;
+        }
+        
         // Schedule next frame
         requestAnimationFrame(animate);
     }
@@ -52,22 +98,21 @@ document.addEventListener('DOMContentLoaded', () => {
         window.addEventListener('resize', () => renderer.resizeCanvas());
         
         // Control panel buttons
-        const pauseBtn = document.getElementById('pauseBtn');
         const resetBtn = document.getElementById('resetBtn');
         const settingsBtn = document.getElementById('settingsBtn');
         const showBodiesCheckbox = document.getElementById('showBodies');
         const showQuadtreeCheckbox = document.getElementById('showQuadtree');
+        const showDiagnosticsCheckbox = document.getElementById('showDiagnostics');
+        const diagnosticsIntervalInput = document.getElementById('diagnosticsInterval');
         const settingsPanel = document.getElementById('settings-panel');
         
         // Pause/Resume button
-        pauseBtn.addEventListener('click', () => {
-            isPaused = !isPaused;
-            pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
-        });
+        const togglePause = () => setPaused(!isPaused);
+        pauseBtn.addEventListener('click', togglePause);
         
-        // Reset button
+        // Reset button; changes to the bodies wait for a step still on the workers
         resetBtn.addEventListener('click', () => {
-            simulation.reset();
+            simulation.whenIdle(() => simulation.reset());
         });
         
         // Settings button
@@ -84,6 +129,94 @@ document.addEventListener('DOMContentLoaded', () => {
             renderer.showQuadtree = showQuadtreeCheckbox.checked;
         });
         
+        // Body drawing backend; the select shows Canvas 2D again if WebGL2 can't be used
+        const bodyRendererSelect = document.getElementById('bodyRendererSelect');
+        for (const [name, label] of Object.entries(Renderer.BODY_RENDERERS)) {
+            bodyRendererSelect.add(new Option(label, name, false, name === renderer.bodyRenderer));
+        }
+        bodyRendererSelect.addEventListener('change', () => {
+            bodyRendererSelect.value = renderer.setBodyRenderer(bodyRendererSelect.value);
+        });
+        
+        // Colouring; the colour map doesn't apply to the mass brightness
+        const colorModeSelect = document.getElementById('colorModeSelect');
+        const colorMapSelect = document.getElementById('colorMapSelect');
+        for (const { name, label } of Renderer.colorModes()) {
+            colorModeSelect.add(new Option(label, name, false, name === renderer.colorMode));
+        }
+        for (const map of Object.values(ColorMap.maps)) {
+            colorMapSelect.add(new Option(map.label, map.name, false, map === renderer.colorMap));
+        }
+        const updateColorMap = () => {
+            colorMapSelect.disabled = renderer.colorMode === 'mass';
+        };
+        updateColorMap();
+        colorModeSelect.addEventListener('change', () => {
+            renderer.setColorMode(colorModeSelect.value);
+            updateColorMap();
+        });
+        colorMapSelect.addEventListener('change', () => {
+            renderer.setColorMap(colorMapSelect.value);
+        });
+        
+        // Trails; the percentage only applies to the random subset
+        const trailModeSelect = document.getElementById('trailModeSelect');
+        const trailLengthInput = document.getElementById('trailLengthInput');
+        const trailPercentInput = document.getElementById('trailPercentInput');
+        for (const [name, label] of Object.entries(Renderer.TRAIL_MODES)) {
+            trailModeSelect.add(new Option(label, name, false, name === renderer.trailMode));
+        }
+        trailLengthInput.value = renderer.trails.length;
+        trailPercentInput.value = renderer.trailFraction * 100;
+        const updateTrailPercent = () => {
+            trailPercentInput.disabled = renderer.trailMode !== 'subset';
+        };
+        updateTrailPercent();
+        trailModeSelect.addEventListener('change', () => {
+            renderer.setTrailMode(trailModeSelect.value);
+            updateTrailPercent();
+        });
+        trailLengthInput.addEventListener('change', () => {
+            const length = Math.min(2000, Math.max(2, parseInt(trailLengthInput.value) || 100));
+            trailLengthInput.value = length;
+            renderer.trails.setLength(length);
+        });
+        trailPercentInput.addEventListener('change', () => {
+            const percent = Math.min(100, Math.max(0.1, parseFloat(trailPercentInput.value) || 5));
+            trailPercentInput.value = percent;
+            renderer.setTrailFraction(percent / 100);
+        });
+        
+        document.getElementById('longExposure').addEventListener('change', event => {
+            renderer.setLongExposure(event.target.checked);
+        });
+        
+        // Camera; following a body needs one to be selected first
+        for (const [name, label] of Object.entries(Camera.MODES)) {
+            cameraModeSelect.add(new Option(label, name, false, name === renderer.camera.mode));
+        }
+        cameraModeSelect.addEventListener('change', () => {
+            cameraModeSelect.value = renderer.setCameraMode(cameraModeSelect.value);
+        });
+        document.getElementById('fitAllBtn').addEventListener('click', () => renderer.fitAll());
+        const frameRotationInput = document.getElementById('frameRotationInput');
+        frameRotationInput.addEventListener('change', () => {
+            const speed = parseFloat(frameRotationInput.value);
+            frameRotationInput.value = Number.isFinite(speed) ? speed : 0;
+            renderer.setFrameRotation(Number.isFinite(speed) ? speed : 0);
+        });
+        
+        // Diagnostics are only measured while the chart is shown
+        const diagnosticsInterval = () => Math.max(1, parseInt(diagnosticsIntervalInput.value) || 10);
+        showDiagnosticsCheckbox.addEventListener('change', () => {
+            const show = showDiagnosticsCheckbox.checked;
+            chartCanvas.style.display = show ? 'block' : 'none';
+            simulation.updateParameters({ diagnosticsInterval: show ? diagnosticsInterval() : 0 });
+            if (show) {
+                simulation.diagnostics.measure();
+            }
+        });
+        
         // Settings sliders
         const particleSlider = document.getElementById('particleSlider');
         const particleValue = document.getElementById('particleValue');
@@ -91,8 +224,169 @@ document.addEventListener('DOMContentLoaded', () => {
         const thetaValue = document.getElementById('thetaValue');
         const dtSlider = document.getElementById('dtSlider');
         const dtValue = document.getElementById('dtValue');
+        const quadrupoleCheckbox = document.getElementById('quadrupoleCheckbox');
+        const forceMethodSelect = document.getElementById('forceMethodSelect');
+        const fmmOrderInput = document.getElementById('fmmOrderInput');
+        const forceErrorBtn = document.getElementById('forceErrorBtn');
+        const forceErrorValue = document.getElementById('forceErrorValue');
+        const openingSelect = document.getElementById('openingSelect');
+        const forceAccuracyInput = document.getElementById('forceAccuracyInput');
+        const epsilonSlider = document.getElementById('epsilonSlider');
+        const epsilonValue = document.getElementById('epsilonValue');
+        const softeningSelect = document.getElementById('softeningSelect');
+        const integratorSelect = document.getElementById('integratorSelect');
+        const timestepSelect = document.getElementById('timestepSelect');
+        const collisionSelect = document.getElementById('collisionSelect');
+        const restitutionInput = document.getElementById('restitutionInput');
+        const unitsSelect = document.getElementById('unitsSelect');
+        const gInput = document.getElementById('gInput');
+        const gUnit = document.getElementById('gUnit');
+        const seedInput = document.getElementById('seedInput');
+        const seedValue = document.getElementById('seedValue');
+        const newSeedBtn = document.getElementById('newSeedBtn');
+        const generatorSelect = document.getElementById('generatorSelect');
+        const generatorParams = document.getElementById('generatorParams');
         const applySettingsBtn = document.getElementById('applySettings');
         
+        // Fill the scenarios; each one shows a row per parameter.
+        // Edited values are kept per scenario while switching between them.
+        const scenarioValues = { [simulation.generator.name]: simulation.generatorParams };
+        for (const { name, label } of Generator.list()) {
+            generatorSelect.add(new Option(label, name, false, name === simulation.generator.name));
+        }
+        const generatorInputs = {};
+        const showGeneratorParameters = () => {
+            const generator = Generator.create(generatorSelect.value);
+            const values = generator.resolveParameters(scenarioValues[generator.name]);
+            generatorParams.replaceChildren();
+            for (const key of Object.keys(generatorInputs)) delete generatorInputs[key];
+            
+            for (const parameter of generator.parameters) {
+                const row = document.createElement('div');
+                row.className = 'settings-row';
+                const label = document.createElement('label');
+                label.htmlFor = `generator-${parameter.key}`;
+                label.textContent = `${parameter.label}:`;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.id = `generator-${parameter.key}`;
+                input.min = parameter.min;
+                input.max = parameter.max;
+                input.step = parameter.step;
+                input.value = values[parameter.key];
+                input.addEventListener('input', () => {
+                    scenarioValues[generator.name] = readGeneratorParameters();
+                });
+                row.append(label, input);
+                generatorParams.append(row);
+                generatorInputs[parameter.key] = input;
+            }
+        };
+        const readGeneratorParameters = () => {
+            const generator = Generator.create(generatorSelect.value);
+            const params = {};
+            for (const parameter of generator.parameters) {
+                const value = parseFloat(generatorInputs[parameter.key].value);
+                params[parameter.key] = Number.isFinite(value)
+                    ? Math.min(parameter.max, Math.max(parameter.min, value))
+                    : parameter.value;
+            }
+            return params;
+        };
+        showGeneratorParameters();
+        generatorSelect.addEventListener('change', showGeneratorParameters);
+        
+        // Show the seed, and keep it in the URL so the address can be shared
+        const showSeed = () => {
+            seedInput.value = simulation.seed;
+            seedValue.textContent = simulation.seed;
+            const url = new URL(window.location.href);
+            url.searchParams.set('seed', simulation.seed);
+            window.history.replaceState(null, '', url);
+        };
+        showSeed();
+        newSeedBtn.addEventListener('click', () => {
+            seedInput.value = Random.randomSeed();
+        });
+        const readSeed = () => {
+            const seed = Number(seedInput.value);
+            return Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff ? seed : simulation.seed;
+        };
+        
+        // Fill the softening kernels
+        for (const kernel of Object.values(SofteningKernel.kernels)) {
+            softeningSelect.add(new Option(kernel.label, kernel.name, false, kernel.name === simulation.softening));
+        }
+        
+        // Fill the force backends
+        for (const [name, label] of Object.entries(Simulation.FORCE_METHODS)) {
+            forceMethodSelect.add(new Option(label, name, false, name === simulation.forceMethod));
+        }
+        fmmOrderInput.value = simulation.fmmOrder;
+        
+        // Sample the approximate forces against direct summation with the applied settings
+        forceErrorBtn.addEventListener('click', () => {
+            const { rms, max, samples, method } = simulation.measureForceError();
+            forceErrorValue.textContent =
+                `${method}: RMS ${rms.toExponential(2)}, max ${max.toExponential(2)} (${samples} bodies)`;
+        });
+        
+        // Fill the cell-opening criteria; α only applies to the relative criterion
+        for (const [name, label] of Object.entries(Quadtree.OPENING_CRITERIA)) {
+            openingSelect.add(new Option(label, name, false, name === simulation.openingCriterion));
+        }
+        forceAccuracyInput.value = simulation.forceAccuracy;
+        const updateForceAccuracy = () => {
+            forceAccuracyInput.disabled = openingSelect.value !== 'relative';
+        };
+        updateForceAccuracy();
+        openingSelect.addEventListener('change', updateForceAccuracy);
+        
+        // Fill the integrator choices
+        for (const { name, label } of Integrator.list()) {
+            integratorSelect.add(new Option(label, name, false, name === simulation.integrator.name));
+        }
+        
+        // Fill the timestep modes
+        for (const [name, label] of Object.entries(Simulation.TIMESTEP_MODES)) {
+            timestepSelect.add(new Option(label, name, false, name === simulation.timestepMode));
+        }
+        
+        // Fill the collision modes; restitution only applies to bouncing
+        for (const [name, label] of Object.entries(Simulation.COLLISION_MODES)) {
+            collisionSelect.add(new Option(label, name, false, name === simulation.collisionMode));
+        }
+        restitutionInput.value = simulation.restitution;
+        const updateRestitution = () => {
+            restitutionInput.disabled = collisionSelect.value !== 'elastic';
+        };
+        updateRestitution();
+        collisionSelect.addEventListener('change', updateRestitution);
+        
+        // Fill the unit systems; choosing one shows its value of G
+        for (const system of Object.values(UnitSystem.presets)) {
+            unitsSelect.add(new Option(system.label, system.name, false, system === simulation.units));
+        }
+        
+        const showGravitationalConstant = (system, g) => {
+            gInput.value = g;
+            gUnit.textContent = system.isPhysical()
+                ? `${system.length.symbol}³ / (${system.mass.symbol} · ${system.time.symbol}²)`
+                : '';
+        };
+        showGravitationalConstant(simulation.units, simulation.gravitationalConstant);
+        
+        unitsSelect.addEventListener('change', () => {
+            const system = UnitSystem.get(unitsSelect.value);
+            showGravitationalConstant(system, system.G);
+        });
+        
+        // A blank or non-positive G falls back to that of the chosen unit system
+        const readGravitationalConstant = () => {
+            const g = parseFloat(gInput.value);
+            return Number.isFinite(g) && g > 0 ? g : UnitSystem.get(unitsSelect.value).G;
+        };
+        
         // Update displayed values when sliders change
         particleSlider.addEventListener('input', () => {
             particleValue.textContent = particleSlider.value;
@@ -106,12 +400,167 @@ document.addEventListener('DOMContentLoaded', () => {
             dtValue.textContent = dtSlider.value;
         });
         
+        epsilonSlider.addEventListener('input', () => {
+            epsilonValue.textContent = epsilonSlider.value;
+        });
+        
+        // Show the simulation's current parameters in the settings panel
+        const showSettings = () => {
+            particleSlider.value = simulation.numBodies;
+            particleValue.textContent = simulation.numBodies;
+            thetaSlider.value = simulation.theta;
+            thetaValue.textContent = simulation.theta;
+            dtSlider.value = simulation.dt;
+            dtValue.textContent = simulation.dt;
+            epsilonSlider.value = simulation.epsilon;
+            epsilonValue.textContent = simulation.epsilon;
+            quadrupoleCheckbox.checked = simulation.quadrupole;
+            forceMethodSelect.value = simulation.forceMethod;
+            fmmOrderInput.value = simulation.fmmOrder;
+            openingSelect.value = simulation.openingCriterion;
+            forceAccuracyInput.value = simulation.forceAccuracy;
+            softeningSelect.value = simulation.softening;
+            integratorSelect.value = simulation.integrator.name;
+            timestepSelect.value = simulation.timestepMode;
+            collisionSelect.value = simulation.collisionMode;
+            restitutionInput.value = simulation.restitution;
+            unitsSelect.value = simulation.units.name;
+            showGravitationalConstant(simulation.units, simulation.gravitationalConstant);
+            generatorSelect.value = simulation.generator.name;
+            scenarioValues[simulation.generator.name] = simulation.generatorParams;
+            showGeneratorParameters();
+            updateForceAccuracy();
+            updateRestitution();
+            showSeed();
+        };
+        
+        // Snapshots: download the current state, or replace it with an uploaded one
+        const saveJsonBtn = document.getElementById('saveJsonBtn');
+        const saveBinaryBtn = document.getElementById('saveBinaryBtn');
+        const loadBtn = document.getElementById('loadBtn');
+        const loadInput = document.getElementById('loadInput');
+        
+        const download = (data, type, extension) => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([data], { type }));
+            link.download = `snapshot-t${simulation.time.toFixed(2)}.${extension}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        };
+        saveJsonBtn.addEventListener('click', () => {
+            download(JSON.stringify(Snapshot.capture(simulation)), 'application/json', 'json');
+        });
+        saveBinaryBtn.addEventListener('click', () => {
+            download(Snapshot.capture(simulation).toBinary(), 'application/octet-stream', 'nbsn');
+        });
+        loadBtn.addEventListener('click', () => loadInput.click());
+        loadInput.addEventListener('change', async () => {
+            const file = loadInput.files[0];
+            loadInput.value = '';  // Loading the same file again still fires 'change'
+            if (!file) return;
+            const data = await file.arrayBuffer();
+            simulation.whenIdle(() => {
+                try {
+                    simulation.loadSnapshot(Snapshot.decode(data));
+                    showSettings();
+                } catch (error) {
+                    alert(`Could not load ${file.name}: ${error.message}`);
+                }
+            });
+        });
+        
+        // Other codes' file formats; import options are set in the settings panel
+        const formatSelect = document.getElementById('formatSelect');
+        const importBtn = document.getElementById('importBtn');
+        const exportBtn = document.getElementById('exportBtn');
+        const importInput = document.getElementById('importInput');
+        const importColumnsInput = document.getElementById('importColumnsInput');
+        const importUnitsSelect = document.getElementById('importUnitsSelect');
+        const importScaleInputs = {
+            lengthScale: document.getElementById('importLengthScale'),
+            velocityScale: document.getElementById('importVelocityScale'),
+            massScale: document.getElementById('importMassScale')
+        };
+        
+        for (const format of Object.values(BodyFormat.formats)) {
+            formatSelect.add(new Option(format.label, format.name));
+        }
+        for (const system of Object.values(UnitSystem.presets)) {
+            if (system.isPhysical()) importUnitsSelect.add(new Option(system.label, system.name));
+        }
+        const updateExport = () => {
+            exportBtn.disabled = !BodyFormat.get(formatSelect.value).canWrite();
+        };
+        updateExport();
+        formatSelect.addEventListener('change', updateExport);
+        
+        // "x, y, vx, vy, m, r" entries: a header name or 1-based column number per field, blank for the default
+        const readImportOptions = () => {
+            const options = { columns: {}, fileUnits: importUnitsSelect.value, units: simulation.units.name };
+            const entries = importColumnsInput.value.split(',').map(entry => entry.trim());
+            Object.keys(BodyFormat.FIELDS).forEach((field, k) => {
+                const entry = entries[k];
+                if (!entry) return;
+                options.columns[field] = /^\d+$/.test(entry) ? parseInt(entry) - 1 : entry;
+            });
+            for (const [key, input] of Object.entries(importScaleInputs)) {
+                const scale = parseFloat(input.value);
+                options[key] = Number.isFinite(scale) ? scale : 1;
+            }
+            return options;
+        };
+        
+        exportBtn.addEventListener('click', () => {
+            const format = BodyFormat.get(formatSelect.value);
+            const type = format.binary ? 'application/octet-stream' : 'text/plain';
+            download(format.write(Snapshot.capture(simulation)), type, format.extension);
+        });
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+            const format = BodyFormat.get(formatSelect.value);
+            const options = readImportOptions();
+            const data = format.binary ? await file.arrayBuffer() : await file.text();
+            simulation.whenIdle(() => {
+                try {
+                    simulation.loadSnapshot(format.readSnapshot(data, options));
+                    showSettings();
+                } catch (error) {
+                    alert(`Could not import ${file.name} as ${format.label}: ${error.message}`);
+                }
+            });
+        });
+        
         // Apply settings button
         applySettingsBtn.addEventListener('click', () => {
-            simulation.updateParameters({
+            const parameters = {
+                seed: readSeed(),
+                generator: generatorSelect.value,
+                generatorParams: readGeneratorParameters(),
                 numBodies: parseInt(particleSlider.value),
                 theta: parseFloat(thetaSlider.value),
-                dt: parseFloat(dtSlider.value)
+                quadrupole: quadrupoleCheckbox.checked,
+                forceMethod: forceMethodSelect.value,
+                fmmOrder: Math.min(FastMultipole.MAX_ORDER, Math.max(1, parseInt(fmmOrderInput.value) || 4)),
+                openingCriterion: openingSelect.value,
+                forceAccuracy: parseFloat(forceAccuracyInput.value) || simulation.forceAccuracy,
+                dt: parseFloat(dtSlider.value),
+                epsilon: parseFloat(epsilonSlider.value),
+                softening: softeningSelect.value,
+                integrator: integratorSelect.value,
+                timestepMode: timestepSelect.value,
+                collisionMode: collisionSelect.value,
+                restitution: Math.min(1, Math.max(0, parseFloat(restitutionInput.value) || 0)),
+                units: unitsSelect.value,
+                g: readGravitationalConstant(),
+                diagnosticsInterval: showDiagnosticsCheckbox.checked ? diagnosticsInterval() : 0
+            };
+            // New settings may regenerate the bodies, so they wait for a step still on the workers
+            simulation.whenIdle(() => {
+                simulation.updateParameters(parameters);
+                showSeed();
             });
             
             settingsPanel.style.display = 'none';
@@ -119,12 +568,22 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Keyboard shortcuts
         document.addEventListener('keydown', e => {
+            // Keys typed into a field are not shortcuts
+            if (e.target.closest('input, select, textarea')) return;
+            
             // Space key toggles pause
             if (e.code === 'Space') {
-                isPaused = !isPaused;
-                pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+                togglePause();
             }
             
+            // Escape clears the selection
+            if (e.code === 'Escape') {
+                renderer.clearSelection();
+            }
+            
+            // Arrow keys, + / - and F move the camera
+            renderer.onKeyDown(e);
+            
             // E key toggles settings panel
             if (e.code === 'KeyE') {
                 settingsPanel.style.display = settingsPanel.style.display === 'none' ? 'block' : 'none';
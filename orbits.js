@@ -0,0 +1,47 @@
+// OrbitalElements describes the two-body (Kepler) orbit of a body around another
+// one, from their relative position and velocity at one instant. Orbits that
+// aren't bound (e ≥ 1) have an infinite period and apoapsis, and a negative
+// semi-major axis when hyperbolic.
+class OrbitalElements {
+    constructor(dx, dy, dvx, dvy, mu) {
+        const r = Math.hypot(dx, dy);
+        const speedSquared = dvx * dvx + dvy * dvy;
+        const radialVelocity = dx * dvx + dy * dvy;
+
+        this.distance = r;
+        this.speed = Math.sqrt(speedSquared);
+        this.specificEnergy = 0.5 * speedSquared - mu / r;
+        this.angularMomentum = dx * dvy - dy * dvx;      // Specific; positive for counter-clockwise orbits
+
+        // Eccentricity vector, pointing at periapsis
+        const ex = ((speedSquared - mu / r) * dx - radialVelocity * dvx) / mu;
+        const ey = ((speedSquared - mu / r) * dy - radialVelocity * dvy) / mu;
+        this.eccentricity = Math.hypot(ex, ey);
+        this.argumentOfPeriapsis = Math.atan2(ey, ex);
+
+        this.bound = this.specificEnergy < 0;
+        this.semiMajorAxis = -mu / (2 * this.specificEnergy);
+        this.periapsis = this.angularMomentum * this.angularMomentum / (mu * (1 + this.eccentricity));
+        this.apoapsis = this.bound ? 2 * this.semiMajorAxis - this.periapsis : Infinity;
+        this.period = this.bound ? 2 * Math.PI * Math.sqrt(this.semiMajorAxis ** 3 / mu) : Infinity;
+    }
+
+    // Orbit of the body at store index `index` around the one at `central`
+    static of(store, index, central, gravitationalConstant) {
+        return new OrbitalElements(
+            store.x[index] - store.x[central], store.y[index] - store.y[central],
+            store.vx[index] - store.vx[central], store.vy[index] - store.vy[central],
+            gravitationalConstant * (store.mass[index] + store.mass[central]));
+    }
+
+    // Store index of the body the others orbit: the most massive one (-1 without bodies)
+    static centralBody(store) {
+        let central = -1;
+        for (let i = 0; i < store.count; i++) {
+            if (central === -1 || store.mass[i] > store.mass[central]) {
+                central = i;
+            }
+        }
+        return central;
+    }
+}
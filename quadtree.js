@@ -5,18 +5,27 @@ class Quad {
         this.size = size;
     }
 
-    // Create a quad that contains all bodies
+    // Create a quad that contains all bodies (an array of bodies or a BodyStore)
     static newContaining(bodies) {
         let minX = Infinity;
         let minY = Infinity;
         let maxX = -Infinity;
         let maxY = -Infinity;
 
-        for (const body of bodies) {
-            minX = Math.min(minX, body.pos.x);
-            minY = Math.min(minY, body.pos.y);
-            maxX = Math.max(maxX, body.pos.x);
-            maxY = Math.max(maxY, body.pos.y);
+        if (bodies instanceof BodyStore) {
+            for (let i = 0; i < bodies.count; i++) {
+                minX = Math.min(minX, bodies.x[i]);
+                minY = Math.min(minY, bodies.y[i]);
+                maxX = Math.max(maxX, bodies.x[i]);
+                maxY = Math.max(maxY, bodies.y[i]);
+            }
+        } else {
+            for (const body of bodies) {
+                minX = Math.min(minX, body.pos.x);
+                minY = Math.min(minY, body.pos.y);
+                maxX = Math.max(maxX, body.pos.x);
+                maxY = Math.max(maxY, body.pos.y);
+            }
         }
 
         // Add some margin to ensure all bodies are fully contained
@@ -38,8 +47,13 @@ class Quad {
 
     // Determine which quadrant a position falls into
     findQuadrant(pos) {
-        const isEast = pos.x > this.center.x;
-        const isSouth = pos.y > this.center.y;
+        return this.findQuadrantXY(pos.x, pos.y);
+    }
+
+    // Same as findQuadrant, without needing a Vec2
+    findQuadrantXY(x, y) {
+        const isEast = x > this.center.x;
+        const isSouth = y > this.center.y;
         
         if (isEast) {
             return isSouth ? 3 : 1;  // SE : NE
@@ -93,165 +107,593 @@ class Quad {
     }
 }
 
-// Node class represents a node in the quadtree
-class Node {
-    constructor(quad) {
-        this.children = null;   // Array of 4 nodes if this is an internal node
-        this.body = null;       // Reference to a body if this is a leaf node
-        this.centerOfMass = Vec2.zero();
-        this.totalMass = 0;
-        this.quad = quad;
+// Quadtree class implements the Barnes-Hut algorithm
+// Nodes live in a preallocated pool of flat typed arrays, indexed by node id.
+// Children of a branch are allocated as 4 consecutive ids, always after their
+// parent, so a reverse sweep over the ids visits children before parents.
+class Quadtree {
+    constructor(theta = 0.5, epsilon = 1.0, gravitationalConstant = 1.0, softening = 'plummer', capacity = 4096) {
+        this.setParameters({
+            theta, epsilon, gravitationalConstant, softening,
+            quadrupole: false,
+            openingCriterion: 'bh-com',
+            forceAccuracy: 0.005
+        });
+        this.store = null;          // BodyStore the tree was built from
+        
+        // Node pool
+        this.nodeCount = 0;
+        this.nodeCapacity = 0;
+        this._allocateNodes(capacity);
+        
+        // Per-body link to the next body in the same leaf (coincident bodies at max depth)
+        this.nextBody = new Int32Array(0);
+        
+        // Traversal stack, reused by every walk
+        this._stack = new Int32Array(4 * Quadtree.MAX_DEPTH + 4);
+        
+        // Result of the last accelerationAt() call
+        this.accX = 0;
+        this.accY = 0;
     }
-
-    // Check if this node is a leaf (has no children)
-    isLeaf() {
-        return this.children === null;
+    
+    // Update force parameters; omitted ones keep their value
+    setParameters(params) {
+        if (params.theta !== undefined) {
+            this.theta = params.theta;          // Accuracy parameter (smaller = more accurate)
+            this.thetaSquared = params.theta * params.theta;
+        }
+        if (params.epsilon !== undefined) {
+            this.epsilon = params.epsilon;      // Softening length
+            this.epsilonSquared = params.epsilon * params.epsilon;
+        }
+        if (params.softening !== undefined) {
+            this.kernel = SofteningKernel.get(params.softening);
+        }
+        if (params.gravitationalConstant !== undefined) {
+            this.gravitationalConstant = params.gravitationalConstant;
+        }
+        if (params.openingCriterion !== undefined) {
+            if (!Quadtree.OPENING_CRITERIA[params.openingCriterion]) {
+                throw new Error(`Unknown opening criterion: ${params.openingCriterion}`);
+            }
+            this.openingCriterion = params.openingCriterion;
+        }
+        if (params.forceAccuracy !== undefined) {
+            this.forceAccuracy = params.forceAccuracy;  // α of the 'relative' criterion
+        }
+        if (params.quadrupole !== undefined) {
+            this.quadrupole = params.quadrupole;  // Add quadrupole moments to the far field
+        }
+        if (params.epsilon !== undefined || params.softening !== undefined) {
+            this._setQuadrupoleSoftening();
+        }
     }
-
-    // Check if this node is a branch (has children)
-    isBranch() {
-        return this.children !== null;
+    
+    // Grow the node pool to the given capacity, keeping existing nodes
+    _allocateNodes(capacity) {
+        const grow = (old, Type) => {
+            const array = new Type(capacity);
+            if (old) array.set(old.subarray(0, this.nodeCount));
+            return array;
+        };
+        
+        this.centerX = grow(this.centerX, Float64Array);    // Geometric centre of the cell
+        this.centerY = grow(this.centerY, Float64Array);
+        this.size = grow(this.size, Float64Array);          // Side length of the cell
+        this.comX = grow(this.comX, Float64Array);          // Centre of mass
+        this.comY = grow(this.comY, Float64Array);
+        this.mass = grow(this.mass, Float64Array);          // Total mass
+        this.quadXX = grow(this.quadXX, Float64Array);      // Quadrupole moment about the centre of mass
+        this.quadXY = grow(this.quadXY, Float64Array);      // Q_ij = Σ m (3 x_i x_j - r² δ_ij), traceless in 3D
+        this.quadYY = grow(this.quadYY, Float64Array);
+        this.firstChild = grow(this.firstChild, Int32Array); // -1 for leaves
+        this.firstBody = grow(this.firstBody, Int32Array);   // -1 for empty leaves and branches
+        this.depth = grow(this.depth, Uint8Array);
+        this.nodeCapacity = capacity;
     }
-
-    // Check if this node is empty (has no body or mass)
-    isEmpty() {
-        return this.totalMass === 0;
+    
+    // Take a new node from the pool
+    _newNode(centerX, centerY, size, depth) {
+        if (this.nodeCount === this.nodeCapacity) {
+            this._allocateNodes(this.nodeCapacity * 2);
+        }
+        
+        const node = this.nodeCount++;
+        this.centerX[node] = centerX;
+        this.centerY[node] = centerY;
+        this.size[node] = size;
+        this.comX[node] = 0;
+        this.comY[node] = 0;
+        this.mass[node] = 0;
+        this.firstChild[node] = -1;
+        this.firstBody[node] = -1;
+        this.depth[node] = depth;
+        return node;
     }
-}
-
-// Quadtree class implements the Barnes-Hut algorithm
-class Quadtree {
-    constructor(theta = 0.5, epsilon = 1.0) {
-        this.theta = theta;         // Accuracy parameter (smaller = more accurate)
-        this.thetaSquared = theta * theta;
-        this.epsilon = epsilon;     // Softening parameter to prevent division by zero
-        this.epsilonSquared = epsilon * epsilon;
-        this.root = null;
-        this.nodes = [];            // For visualization
+    
+    // Root node id (0 once the tree has been built)
+    get root() {
+        return this.nodeCount > 0 ? 0 : -1;
     }
-
-    // Clear the quadtree and initialize with a new root node
-    clear(quad) {
-        this.root = new Node(quad);
-        this.nodes = [this.root];
+    
+    // Check if a node is a leaf (has no children)
+    isLeaf(node) {
+        return this.firstChild[node] === -1;
     }
-
-    // Insert a body into the quadtree
-    insert(body) {
-        this._insert(this.root, body);
+    
+    // Check if a node is empty (has no mass)
+    isEmpty(node) {
+        return this.mass[node] === 0;
     }
-
-    // Recursive helper for inserting a body
-    _insert(node, body) {
-        // If node is empty, put the body here
-        if (node.isEmpty()) {
-            node.body = body;
-            node.centerOfMass = body.pos.clone();
-            node.totalMass = body.mass;
-            return;
+    
+    // Build the tree over all bodies in a store
+    build(store) {
+        this.clear(Quad.newContaining(store), store);
+        
+        // Roughly two nodes per body are needed; reserve up front to avoid regrowing
+        if (this.nodeCapacity < store.count * 3) {
+            this._allocateNodes(store.count * 3);
         }
-
-        // If this is a leaf with a body already in it
-        if (node.isLeaf() && node.body !== null) {
-            const existingBody = node.body;
+        
+        for (let i = 0; i < store.count; i++) {
+            this.insert(i);
+        }
+        
+        this.computeMassDistribution();
+    }
+    
+    // Clear the quadtree and initialize with a new root node
+    clear(quad, store) {
+        this.store = store;
+        this.nodeCount = 0;
+        this._newNode(quad.center.x, quad.center.y, quad.size, 0);
+        
+        if (this.nextBody.length < store.capacity) {
+            this.nextBody = new Int32Array(store.capacity);
+        }
+    }
+    
+    // Split a leaf into four children (NW, NE, SW, SE as in Quad.intoQuadrant)
+    _subdivide(node) {
+        const quarter = this.size[node] * 0.25;
+        const half = this.size[node] * 0.5;
+        const depth = this.depth[node] + 1;
+        const first = this._newNode(this.centerX[node] - quarter, this.centerY[node] - quarter, half, depth);
+        this._newNode(this.centerX[node] + quarter, this.centerY[node] - quarter, half, depth);
+        this._newNode(this.centerX[node] - quarter, this.centerY[node] + quarter, half, depth);
+        this._newNode(this.centerX[node] + quarter, this.centerY[node] + quarter, half, depth);
+        this.firstChild[node] = first;
+    }
+    
+    // Child of a branch that contains a position (same rule as Quad.findQuadrant)
+    _childFor(node, x, y) {
+        const isEast = x > this.centerX[node];
+        const isSouth = y > this.centerY[node];
+        return this.firstChild[node] + (isSouth ? 2 : 0) + (isEast ? 1 : 0);
+    }
+    
+    // Insert the body at a store index into the quadtree (iteratively)
+    // Masses are not updated here; call computeMassDistribution() after all inserts
+    insert(index) {
+        const store = this.store;
+        const x = store.x[index];
+        const y = store.y[index];
+        let node = 0;
+        
+        for (;;) {
+            // Descend through branches
+            if (this.firstChild[node] !== -1) {
+                node = this._childFor(node, x, y);
+                continue;
+            }
             
-            // Subdivide the node
-            node.children = new Array(4);
-            for (let i = 0; i < 4; i++) {
-                node.children[i] = new Node(node.quad.intoQuadrant(i));
-                this.nodes.push(node.children[i]); // For visualization
+            // Empty leaf: put the body here
+            const existing = this.firstBody[node];
+            if (existing === -1) {
+                this.firstBody[node] = index;
+                this.nextBody[index] = -1;
+                return;
             }
             
-            // Re-insert the existing body
-            const quadrant1 = node.quad.findQuadrant(existingBody.pos);
-            this._insert(node.children[quadrant1], existingBody);
+            // Too deep to separate (coincident bodies): chain them in this leaf
+            if (this.depth[node] >= Quadtree.MAX_DEPTH) {
+                this.nextBody[index] = existing;
+                this.firstBody[node] = index;
+                return;
+            }
+            
+            // Occupied leaf: subdivide, push the existing body down and keep descending
+            this._subdivide(node);
+            this.firstBody[node] = -1;
+            const child = this._childFor(node, store.x[existing], store.y[existing]);
+            this.firstBody[child] = existing;
+            this.nextBody[existing] = -1;
+        }
+    }
+    
+    // Compute total mass and centre of mass of every node in one bottom-up pass
+    computeMassDistribution() {
+        const store = this.store;
+        
+        for (let node = this.nodeCount - 1; node >= 0; node--) {
+            let mass = 0;
+            let comX = 0;
+            let comY = 0;
             
-            // Insert the new body
-            const quadrant2 = node.quad.findQuadrant(body.pos);
-            this._insert(node.children[quadrant2], body);
+            if (this.firstChild[node] === -1) {
+                // Leaf: sum its bodies
+                for (let i = this.firstBody[node]; i !== -1; i = this.nextBody[i]) {
+                    mass += store.mass[i];
+                    comX += store.x[i] * store.mass[i];
+                    comY += store.y[i] * store.mass[i];
+                }
+            } else {
+                // Branch: children have higher ids and are already done
+                const first = this.firstChild[node];
+                for (let child = first; child < first + 4; child++) {
+                    mass += this.mass[child];
+                    comX += this.comX[child] * this.mass[child];
+                    comY += this.comY[child] * this.mass[child];
+                }
+            }
             
-            // Clear the body from this node as it's now a branch
-            node.body = null;
-        } 
-        // If this is already a branch node
-        else if (node.isBranch()) {
-            // Determine which quadrant the body belongs to
-            const quadrant = node.quad.findQuadrant(body.pos);
+            this.mass[node] = mass;
+            const single = this.firstBody[node];
+            if (single !== -1 && this.nextBody[single] === -1) {
+                // Exactly the body's position, so walks from that body see distance 0
+                this.comX[node] = store.x[single];
+                this.comY[node] = store.y[single];
+            } else if (mass > 0) {
+                this.comX[node] = comX / mass;
+                this.comY[node] = comY / mass;
+            }
             
-            // Insert the body into the appropriate child
-            this._insert(node.children[quadrant], body);
+            if (this.quadrupole) {
+                this._computeQuadrupole(node);
+            }
+        }
+    }
+    
+    // Quadrupole moment of a node about its centre of mass
+    // Branches combine their children with the parallel-axis theorem
+    _computeQuadrupole(node) {
+        const store = this.store;
+        const comX = this.comX[node];
+        const comY = this.comY[node];
+        let qxx = 0;
+        let qxy = 0;
+        let qyy = 0;
+        
+        // Point mass m at offset (sx, sy), with z = 0
+        const addPoint = (m, sx, sy) => {
+            qxx += m * (2 * sx * sx - sy * sy);
+            qxy += m * 3 * sx * sy;
+            qyy += m * (2 * sy * sy - sx * sx);
+        };
+        
+        if (this.firstChild[node] === -1) {
+            for (let i = this.firstBody[node]; i !== -1; i = this.nextBody[i]) {
+                addPoint(store.mass[i], store.x[i] - comX, store.y[i] - comY);
+            }
+        } else {
+            const first = this.firstChild[node];
+            for (let child = first; child < first + 4; child++) {
+                if (this.mass[child] === 0) continue;
+                qxx += this.quadXX[child];
+                qxy += this.quadXY[child];
+                qyy += this.quadYY[child];
+                addPoint(this.mass[child], this.comX[child] - comX, this.comY[child] - comY);
+            }
+        }
+        
+        this.quadXX[node] = qxx;
+        this.quadXY[node] = qxy;
+        this.quadYY[node] = qyy;
+    }
+
+    // Softening of the quadrupole terms: ε² added to r² in them (quadrupoleSoftening),
+    // and the r² below which they are left out (quadrupoleRange). Cells can be accepted
+    // closer than the softening length, where an unsoftened quadrupole would be far too
+    // strong. Plummer softening has an exact softened expansion (r² → r² + ε² in the
+    // quadrupole terms too); the other kernels are Newtonian outside their support, and
+    // cells accepted inside it get the monopole only.
+    _setQuadrupoleSoftening() {
+        const epsilonSquared = this.epsilon * this.epsilon;
+        this.quadrupoleSoftening = 0;
+        this.quadrupoleRange = 0;
+        if (this.kernel === SofteningKernel.kernels.plummer) {
+            this.quadrupoleSoftening = epsilonSquared;
+        } else if (this.kernel === SofteningKernel.kernels.spline) {
+            this.quadrupoleRange = SofteningKernel.SPLINE_SUPPORT * SofteningKernel.SPLINE_SUPPORT * epsilonSquared;
+        }
+    }
+
+    // Decide whether a branch can be treated as a single (multipole) source for a
+    // target at (x, y). r2 is the squared distance to the centre of mass and
+    // accOld the target's previous |a| (only used by the 'relative' criterion).
+    acceptsNode(node, x, y, r2, accOld) {
+        if (!this._criterionAccepts(node, x, y, r2, accOld)) {
+            return false;
+        }
+        
+        // Checked after the criterion, which rejects most nodes more cheaply.
+        // Never accept a cell the target sits in (or right next to, as in GADGET):
+        // its centre of mass can be far from the target while the cell's own bodies are close
+        const reach = 0.6 * this.size[node];
+        const dx = x - this.centerX[node];
+        const dy = y - this.centerY[node];
+        return dx >= reach || dx <= -reach || dy >= reach || dy <= -reach;
+    }
+    
+    // The selected opening criterion on its own (see Quadtree.OPENING_CRITERIA)
+    _criterionAccepts(node, x, y, r2, accOld) {
+        const size = this.size[node];
+        const sizeSquared = size * size;
+        const criterion = this.openingCriterion;
+        if (criterion === 'bh-com') {
+            // l / d < θ with d measured from the centre of mass
+            return sizeSquared < this.thetaSquared * r2;
+        }
+        if (criterion === 'bmax') {
+            // Salmon & Warren: b_max / d < θ, b_max = distance from the centre of mass to the farthest corner
+            const bx = 0.5 * size + Math.abs(this.comX[node] - this.centerX[node]);
+            const by = 0.5 * size + Math.abs(this.comY[node] - this.centerY[node]);
+            return bx * bx + by * by < this.thetaSquared * r2;
         }
+        if (criterion === 'relative' && accOld > 0) {
+            // GADGET: G M l² / r⁴ <= α |a_old|; without a_old it falls back to the geometric rule
+            return this.gravitationalConstant * this.mass[node] * sizeSquared <=
+                this.forceAccuracy * accOld * r2 * r2;
+        }
+        
+        // 'bh-geometric': l / d < θ with d measured from the geometric centre
+        const gx = this.centerX[node] - x;
+        const gy = this.centerY[node] - y;
+        return sizeSquared < this.thetaSquared * (gx * gx + gy * gy);
+    }
 
-        // Update center of mass and total mass for this node
-        this._updateMass(node);
+    // Calculate acceleration on the body at a store index and write it to the store
+    calculateAcceleration(index) {
+        const store = this.store;
+        const ax = store.ax[index];
+        const ay = store.ay[index];
+        this.accelerationAt(store.x[index], store.y[index], Math.sqrt(ax * ax + ay * ay));
+        store.ax[index] = this.accX;
+        store.ay[index] = this.accY;
     }
 
-    // Update the center of mass and total mass of a node based on its children
-    _updateMass(node) {
-        // If this is a leaf with a body
-        if (node.isLeaf() && node.body !== null) {
-            node.centerOfMass = node.body.pos.clone();
-            node.totalMass = node.body.mass;
-            return;
+    // Calculate acceleration at a position due to all bodies
+    // accOld is the previous |a| at this position, for the 'relative' opening criterion
+    // The result is left in accX/accY so no vector is allocated
+    accelerationAt(x, y, accOld = 0) {
+        const stack = this._stack;
+        const kernel = this.kernel;
+        const epsilon = this.epsilon;
+        const quadrupole = this.quadrupole;
+        const quadrupoleSoftening = this.quadrupoleSoftening;
+        const quadrupoleRange = this.quadrupoleRange;
+        let top = 0;
+        let accX = 0;
+        let accY = 0;
+        
+        if (this.nodeCount > 0) {
+            stack[top++] = 0;
         }
         
-        // If this is a branch, aggregate from children
-        if (node.isBranch()) {
-            node.centerOfMass = Vec2.zero();
-            node.totalMass = 0;
+        while (top > 0) {
+            const node = stack[--top];
+            
+            // If the node is empty, no force
+            if (this.mass[node] === 0) {
+                continue;
+            }
             
-            for (const child of node.children) {
-                if (!child.isEmpty()) {
-                    // Weighted contribution to center of mass
-                    node.centerOfMass.addInPlace(child.centerOfMass.mul(child.totalMass));
-                    node.totalMass += child.totalMass;
+            // Calculate distance to the center of mass
+            const dx = this.comX[node] - x;
+            const dy = this.comY[node] - y;
+            const distanceSquared = dx * dx + dy * dy;
+            const first = this.firstChild[node];
+            
+            // If this is a leaf node or the node is far enough away
+            // to be approximated as a single body
+            if (first === -1 || this.acceptsNode(node, x, y, distanceSquared, accOld)) {
+                // Skip the body itself (and bodies at exactly the same position)
+                if (distanceSquared === 0) {
+                    continue;
+                }
+                
+                // Softened Newtonian gravity (G applied at the end)
+                const forceMagnitude = this.mass[node] * kernel.force(distanceSquared, epsilon);
+                
+                accX += dx * forceMagnitude;
+                accY += dy * forceMagnitude;
+                
+                // Quadrupole correction for accepted cells:
+                // a = -Q·d / r⁵ + (5/2) (d·Q·d) d / r⁷, with d from the target to the centre of mass
+                // (r² softened as in _setQuadrupoleSoftening)
+                if (quadrupole && first !== -1 && distanceSquared >= quadrupoleRange) {
+                    const qdx = this.quadXX[node] * dx + this.quadXY[node] * dy;
+                    const qdy = this.quadXY[node] * dx + this.quadYY[node] * dy;
+                    const r2Inv = 1 / (distanceSquared + quadrupoleSoftening);
+                    const r5Inv = r2Inv * r2Inv * Math.sqrt(r2Inv);
+                    const radial = 2.5 * (dx * qdx + dy * qdy) * r5Inv * r2Inv;
+                    accX += radial * dx - qdx * r5Inv;
+                    accY += radial * dy - qdy * r5Inv;
                 }
+                continue;
             }
             
-            // Normalize to get true center of mass
-            if (node.totalMass > 0) {
-                node.centerOfMass.divInPlace(node.totalMass);
+            // Otherwise, visit each child (pushed in reverse to keep NW, NE, SW, SE order)
+            stack[top++] = first + 3;
+            stack[top++] = first + 2;
+            stack[top++] = first + 1;
+            stack[top++] = first;
+        }
+        
+        this.accX = accX * this.gravitationalConstant;
+        this.accY = accY * this.gravitationalConstant;
+    }
+    
+    // Gravitational potential at a position due to all bodies, using the same
+    // cell-opening rule and softening kernel as accelerationAt()
+    potentialAt(x, y, accOld = 0) {
+        const stack = this._stack;
+        const kernel = this.kernel;
+        const epsilon = this.epsilon;
+        const quadrupoleSoftening = this.quadrupoleSoftening;
+        const quadrupoleRange = this.quadrupoleRange;
+        let top = 0;
+        let potential = 0;
+        
+        if (this.nodeCount > 0) {
+            stack[top++] = 0;
+        }
+        
+        while (top > 0) {
+            const node = stack[--top];
+            if (this.mass[node] === 0) {
+                continue;
+            }
+            
+            const dx = this.comX[node] - x;
+            const dy = this.comY[node] - y;
+            const distanceSquared = dx * dx + dy * dy;
+            const first = this.firstChild[node];
+            
+            if (first === -1 || this.acceptsNode(node, x, y, distanceSquared, accOld)) {
+                if (distanceSquared !== 0) {
+                    potential -= this.mass[node] * kernel.potential(distanceSquared, epsilon);
+                }
+                
+                // Quadrupole term: -(d·Q·d) / (2 r⁵)
+                if (this.quadrupole && first !== -1 && distanceSquared >= quadrupoleRange) {
+                    const dQd = this.quadXX[node] * dx * dx + 2 * this.quadXY[node] * dx * dy +
+                        this.quadYY[node] * dy * dy;
+                    const r2 = distanceSquared + quadrupoleSoftening;
+                    potential -= 0.5 * dQd / (r2 * r2 * Math.sqrt(r2));
+                }
+                continue;
             }
+            
+            stack[top++] = first + 3;
+            stack[top++] = first + 2;
+            stack[top++] = first + 1;
+            stack[top++] = first;
         }
+        
+        return potential * this.gravitationalConstant;
     }
-
-    // Calculate acceleration on a body due to all other bodies
-    calculateAcceleration(body) {
-        return this._calculateAcceleration(this.root, body.pos);
+    
+    // Squared distance from a point to the square of a node (0 inside it)
+    _boxDistanceSquared(node, x, y) {
+        const half = this.size[node] * 0.5;
+        const dx = Math.max(0, Math.abs(x - this.centerX[node]) - half);
+        const dy = Math.max(0, Math.abs(y - this.centerY[node]) - half);
+        return dx * dx + dy * dy;
     }
-
-    // Recursive helper for calculating acceleration
-    _calculateAcceleration(node, pos) {
-        // If the node is empty, no force
-        if (node.isEmpty()) {
-            return Vec2.zero();
+    
+    // Store indices of the `count` bodies nearest to a point, closest first, no
+    // further than maxDistance and skipping the body at index `exclude`.
+    // Nodes further away than the current count-th candidate are not opened.
+    nearest(x, y, count, maxDistance = Infinity, exclude = -1) {
+        const store = this.store;
+        const stack = this._stack;
+        const found = [];
+        const distances = [];
+        let limit = maxDistance * maxDistance;
+        let top = 0;
+        
+        if (this.nodeCount > 0 && count > 0) {
+            stack[top++] = 0;
         }
-
-        // Calculate distance to the center of mass
-        const direction = node.centerOfMass.sub(pos);
-        const distanceSquared = direction.magSq();
-        
-        // If this is a leaf node or the node is far enough away
-        // to be approximated as a single body
-        if (node.isLeaf() || (node.quad.size * node.quad.size) / distanceSquared < this.thetaSquared) {
-            // Prevent division by zero and excessive forces at very small distances
-            if (distanceSquared < 0.0001) {
-                return Vec2.zero();
+        
+        while (top > 0) {
+            const node = stack[--top];
+            if (this.mass[node] === 0 || this._boxDistanceSquared(node, x, y) > limit) {
+                continue;
             }
             
-            // Calculate gravitational force using Newton's law
-            const distance = Math.sqrt(distanceSquared);
-            const forceMagnitude = node.totalMass / (distanceSquared * distance + this.epsilonSquared);
+            const first = this.firstChild[node];
+            if (first !== -1) {
+                stack[top++] = first + 3;
+                stack[top++] = first + 2;
+                stack[top++] = first + 1;
+                stack[top++] = first;
+                continue;
+            }
             
-            return direction.mul(forceMagnitude);
+            for (let i = this.firstBody[node]; i !== -1; i = this.nextBody[i]) {
+                const dx = store.x[i] - x;
+                const dy = store.y[i] - y;
+                const distanceSquared = dx * dx + dy * dy;
+                if (i === exclude || distanceSquared > limit) continue;
+                
+                // Insertion into the sorted candidates, dropping the furthest when full
+                let k = found.length;
+                if (k === count) k--;
+                while (k > 0 && distances[k - 1] > distanceSquared) {
+                    found[k] = found[k - 1];
+                    distances[k] = distances[k - 1];
+                    k--;
+                }
+                found[k] = i;
+                distances[k] = distanceSquared;
+                if (found.length === count) {
+                    limit = distances[count - 1];
+                }
+            }
         }
         
-        // Otherwise, recursively calculate forces from each child
-        let acceleration = Vec2.zero();
-        for (const child of node.children) {
-            acceleration.addInPlace(this._calculateAcceleration(child, pos));
+        return found;
+    }
+    
+    // Store indices of the bodies within a rectangle, appended to `out`
+    bodiesInBox(minX, minY, maxX, maxY, out = []) {
+        const store = this.store;
+        const stack = this._stack;
+        let top = 0;
+        
+        if (this.nodeCount > 0) {
+            stack[top++] = 0;
+        }
+        
+        while (top > 0) {
+            const node = stack[--top];
+            const half = this.size[node] * 0.5;
+            if (this.mass[node] === 0 ||
+                this.centerX[node] + half < minX || this.centerX[node] - half > maxX ||
+                this.centerY[node] + half < minY || this.centerY[node] - half > maxY) {
+                continue;
+            }
+            
+            const first = this.firstChild[node];
+            if (first !== -1) {
+                stack[top++] = first + 3;
+                stack[top++] = first + 2;
+                stack[top++] = first + 1;
+                stack[top++] = first;
+                continue;
+            }
+            
+            for (let i = this.firstBody[node]; i !== -1; i = this.nextBody[i]) {
+                if (store.x[i] >= minX && store.x[i] <= maxX && store.y[i] >= minY && store.y[i] <= maxY) {
+                    out.push(i);
+                }
+            }
         }
         
-        return acceleration;
+        return out;
     }
 }
+
+// Cell-opening criteria for the tree walk (see acceptsNode)
+Quadtree.OPENING_CRITERIA = {
+    'bh-com': 'Barnes-Hut (centre of mass)',
+    'bh-geometric': 'Barnes-Hut (geometric centre)',
+    'bmax': 'Salmon-Warren b_max',
+    'relative': 'Relative force error (GADGET)'
+};
+
+// Maximum subdivision depth; bodies closer than root size / 2^MAX_DEPTH share a leaf
+Quadtree.MAX_DEPTH = 48;
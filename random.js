@@ -0,0 +1,61 @@
+// Random is a seedable pseudo-random number generator (xoshiro128**).
+// The same seed always gives the same sequence, so a seed identifies a
+// scenario exactly: generators draw all their numbers from it.
+// Seeds are unsigned 32-bit integers; the 128-bit state is expanded from
+// the seed with SplitMix32 so that nearby seeds give unrelated sequences.
+class Random {
+    constructor(seed = Random.randomSeed()) {
+        Random.checkSeed(seed);
+        this.seed = seed;
+        this.state = new Uint32Array(4);
+
+        let s = seed;
+        for (let k = 0; k < 4; k++) {
+            s = (s + 0x9e3779b9) | 0;
+            let z = s;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+            this.state[k] = z ^ (z >>> 16);
+        }
+
+        // Usable as a plain function, like Math.random
+        this.next = this.next.bind(this);
+    }
+
+    // Next unsigned 32-bit integer
+    nextUint32() {
+        const state = this.state;
+        const result = Math.imul(Random.rotl(Math.imul(state[1], 5), 7), 9);
+        const t = state[1] << 9;
+
+        state[2] ^= state[0];
+        state[3] ^= state[1];
+        state[1] ^= state[2];
+        state[0] ^= state[3];
+        state[2] ^= t;
+        state[3] = Random.rotl(state[3], 11);
+
+        return result >>> 0;
+    }
+
+    // Next number in [0, 1), with 32 random bits
+    next() {
+        return this.nextUint32() / 4294967296;
+    }
+
+    static rotl(x, k) {
+        return (x << k) | (x >>> (32 - k));
+    }
+
+    // Reject anything that isn't an unsigned 32-bit integer
+    static checkSeed(seed) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+            throw new Error(`Seed must be an integer between 0 and ${0xffffffff}: ${seed}`);
+        }
+    }
+
+    // A fresh seed for when none is given
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+}
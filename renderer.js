@@ -1,20 +1,62 @@
 // Renderer class handles drawing the simulation on a canvas
+// Bodies can also be drawn with WebGL2 into glCanvas, laid over the main canvas
 class Renderer {
-    constructor(canvas, simulation) {
+    constructor(canvas, simulation, glCanvas = null) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d', { alpha: false });  // alpha:false for optimization
         this.simulation = simulation;
         
-        // View parameters
-        this.viewPos = new Vec2(0, 0);
-        this.viewScale = 50;
+        // View parameters, taken from the camera every frame (see applyCamera)
+        this.camera = new Camera();
+        this.viewPos = new Vec2(0, 0);  // World position of the view centre
+        this.viewScale = 50;            // Half the width of the view in units of length
+        this.viewAngle = 0;             // Turn of the view, in a co-rotating camera frame
+        this._viewCos = 1;
+        this._viewSin = 0;
+        this._lastCameraTime = 0;
         
         // Visualization options
         this.showBodies = true;
         this.showQuadtree = false;
         
+        // Body drawing backend (see Renderer.BODY_RENDERERS); the WebGL one is created on first use
+        this.glCanvas = glCanvas;
+        this.webgl = null;
+        this.bodyRenderer = 'canvas';
+        
+        // Colouring: 'mass' (brightness), a ColorMode name or 'heatmap'; see Renderer.colorModes()
+        this.colorMode = 'mass';
+        this.colorMap = ColorMap.get('viridis');
+        this.colorRange = [0, 1];   // Values at the ends of the colour map, shown in the legend
+        this._legendKey = '';
+        
+        // Trails of past positions (see Renderer.TRAIL_MODES), sampled every trailInterval steps
+        this.trails = new TrailBuffer(100);
+        this.trailMode = 'off';
+        this.trailFraction = 0.05;  // Share of the bodies with a trail in 'subset' mode
+        this.trailInterval = 1;
+        this._trailFilter = null;
+        this._trailSteps = 0;
+        this._trailSetup = -1;      // simulation.setupCount the trails belong to
+        this._trailFrame = -1;      // camera.frameVersion of the frame the trails are kept in
+        
+        // Long exposure: frames are drawn over each other instead of clearing the canvas
+        this.longExposure = false;
+        this._exposureStale = true; // Clear once, e.g. after the view moved
+        
+        // Selected bodies by id (ids survive the store compacting), and the one clicked
+        // last, whose orbit and neighbours the inspector shows
+        this.selection = new Set();
+        this.primarySelection = -1;
+        this.onSelectionChange = null;  // Called after the selection changed
+        this._selectionSetup = -1;      // simulation.setupCount the selected ids belong to
+        this._pickTree = null;          // Quadtree of the current positions, built for hit tests
+        
         // Mouse interaction state
         this.isDragging = false;
+        this.dragDistance = 0;          // Pixels moved since the button went down; a short drag is a click
+        this.boxStart = null;           // Screen corners of the selection box being dragged
+        this.boxEnd = null;
         this.lastMousePos = new Vec2(0, 0);
         this.rightMouseDown = false;
         this.spawnBody = null;
@@ -44,6 +86,9 @@ class Renderer {
         this._tempVec1 = new Vec2();
         this._tempVec2 = new Vec2();
         
+        // 최적화: 재사용 그리기 버퍼 (see _ensureDrawBuffers)
+        this._screenX = null;
+        
         // 최적화: 미리 계산된 캐시
         this._screenPositionCache = new Map();
         this._worldBoundsCache = new Map();
@@ -64,6 +109,7 @@ class Renderer {
     
     // Resize canvas to window size
     resizeCanvas() {
+        this._exposureStale = true;
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
         this.ctx.imageSmoothingEnabled = false;
@@ -73,6 +119,10 @@ class Renderer {
         this.offscreenCanvas.height = this.canvas.height;
         this.offscreenCtx.imageSmoothingEnabled = false;
         
+        if (this.webgl) {
+            this.webgl.resize(this.canvas.width, this.canvas.height);
+        }
+        
         // 뷰포트 바운드 업데이트
         this.updateViewportBounds();
     }
@@ -80,8 +130,10 @@ class Renderer {
     // 뷰포트 바운드 업데이트
     updateViewportBounds() {
         // 뷰포트 크기 계산 (월드 좌표)
-        const halfWidth = this.canvas.width / 2 / (this.canvas.width / 2) * this.viewScale;
-        const halfHeight = this.canvas.height / 2 / (this.canvas.height / 2) * this.viewScale;
+        // A turned view reaches further along the world axes
+        const turn = Math.abs(this._viewCos) + Math.abs(this._viewSin);
+        const halfWidth = this.canvas.width / 2 / (this.canvas.width / 2) * this.viewScale * turn;
+        const halfHeight = this.canvas.height / 2 / (this.canvas.height / 2) * this.viewScale * turn;
         
         this.viewportBounds.minX = this.viewPos.x - halfWidth;
         this.viewportBounds.maxX = this.viewPos.x + halfWidth;
@@ -98,8 +150,10 @@ class Renderer {
             return this._worldBoundsCache.get(key);
         }
         
-        const x = (screenPos.x / this.canvas.width * 2 - 1) * this.viewScale + this.viewPos.x;
-        const y = (1 - screenPos.y / this.canvas.height * 2) * this.viewScale + this.viewPos.y;
+        const rx = (screenPos.x / this.canvas.width * 2 - 1) * this.viewScale;
+        const ry = (1 - screenPos.y / this.canvas.height * 2) * this.viewScale;
+        const x = this.viewPos.x + (this._viewCos * rx - this._viewSin * ry);
+        const y = this.viewPos.y + (this._viewSin * rx + this._viewCos * ry);
         
         // 결과를 임시 벡터에 저장
         const result = new Vec2(x, y);
@@ -124,8 +178,10 @@ class Renderer {
             return this._screenPositionCache.get(key);
         }
         
-        const x = ((worldPos.x - this.viewPos.x) / this.viewScale + 1) * this.canvas.width / 2;
-        const y = ((-worldPos.y + this.viewPos.y) / this.viewScale + 1) * this.canvas.height / 2;
+        const dx = worldPos.x - this.viewPos.x;
+        const dy = worldPos.y - this.viewPos.y;
+        const x = ((this._viewCos * dx + this._viewSin * dy) / this.viewScale + 1) * this.canvas.width / 2;
+        const y = ((this._viewSin * dx - this._viewCos * dy) / this.viewScale + 1) * this.canvas.height / 2;
         
         // 결과를 임시 벡터에 저장
         const result = new Vec2(x, y);
@@ -141,12 +197,44 @@ class Renderer {
         return result;
     }
     
+    // Position in camera frame coordinates of a point on the screen
+    screenToFrame(screenPos) {
+        return new Vec2(
+            this.camera.offset.x + (screenPos.x / this.canvas.width * 2 - 1) * this.camera.scale,
+            this.camera.offset.y + (1 - screenPos.y / this.canvas.height * 2) * this.camera.scale);
+    }
+    
+    // Take the view from the camera, and redo what depends on it if it moved
+    applyCamera() {
+        const center = this.camera.center();
+        const angle = this.camera.angle;
+        if (center.equals(this.viewPos) && this.camera.scale === this.viewScale && angle === this.viewAngle) {
+            return;
+        }
+        this.viewPos = center;
+        this.viewScale = this.camera.scale;
+        this.viewAngle = angle;
+        this._viewCos = Math.cos(angle);
+        this._viewSin = Math.sin(angle);
+        
+        // 뷰포트 바운드 업데이트
+        this.updateViewportBounds();
+        
+        // 캐시 비우기
+        this._screenPositionCache.clear();
+        this._worldBoundsCache.clear();
+    }
+    
     // Handle mouse down event
     onMouseDown(event) {
         const mousePos = new Vec2(event.clientX, event.clientY);
         
-        if (event.button === 0) { // Left mouse button
+        if (event.button === 0 && event.shiftKey) { // Shift + left drag: selection box
+            this.boxStart = mousePos;
+            this.boxEnd = mousePos;
+        } else if (event.button === 0) { // Left mouse button
             this.isDragging = true;
+            this.dragDistance = 0;
             this.lastMousePos = mousePos;
         } else if (event.button === 2) { // Right mouse button
             this.rightMouseDown = true;
@@ -163,20 +251,20 @@ class Renderer {
     onMouseMove(event) {
         const mousePos = new Vec2(event.clientX, event.clientY);
         
+        if (this.boxStart) {
+            this.boxEnd = mousePos;
+        }
+        
         if (this.isDragging) {
+            this.dragDistance += Math.hypot(mousePos.x - this.lastMousePos.x, mousePos.y - this.lastMousePos.y);
+            
             // Move view
             const dx = (mousePos.x - this.lastMousePos.x) / this.canvas.width * this.viewScale * 2;
             const dy = (mousePos.y - this.lastMousePos.y) / this.canvas.height * this.viewScale * 2;
-            this.viewPos.x -= dx;
-            this.viewPos.y += dy;
+            this.camera.pan(-dx, dy);
             this.lastMousePos = mousePos;
-            
-            // 뷰포트 바운드 업데이트
-            this.updateViewportBounds();
-            
-            // 캐시 비우기
-            this._screenPositionCache.clear();
-            this._worldBoundsCache.clear();
+            this.applyCamera();
+            this._exposureStale = true;
         }
         
         if (this.rightMouseDown && this.spawnBody) {
@@ -206,13 +294,37 @@ class Renderer {
     }
     
     // Handle mouse up event
+    // A click selects the body under the cursor (shift-click adds or removes it),
+    // a shift-drag the bodies in the box (added to the selection with ctrl / cmd)
     onMouseUp(event) {
-        if (event.button === 0) { // Left mouse button
+        if (event.button === 0 && this.boxStart) {
+            const mousePos = new Vec2(event.clientX, event.clientY);
+            const start = this.boxStart;
+            this.boxStart = null;
+            this.boxEnd = null;
+            
+            if (Math.hypot(mousePos.x - start.x, mousePos.y - start.y) < Renderer.CLICK_DISTANCE) {
+                const index = this.pickBody(mousePos);
+                if (index !== -1) this.selectBodies([index], 'toggle');
+            } else {
+                const add = event.ctrlKey || event.metaKey;
+                this.selectBodies(this.bodiesInScreenBox(start, mousePos), add ? 'add' : 'replace');
+            }
+        } else if (event.button === 0) { // Left mouse button
+            if (this.isDragging && this.dragDistance < Renderer.CLICK_DISTANCE) {
+                const index = this.pickBody(new Vec2(event.clientX, event.clientY));
+                if (index !== -1) {
+                    this.selectBodies([index], 'replace');
+                } else {
+                    this.clearSelection();
+                }
+            }
             this.isDragging = false;
         } else if (event.button === 2) { // Right mouse button
             if (this.spawnBody) {
-                // Add new body to simulation
-                this.simulation.addBody(this.spawnBody.clone());
+                // Add new body to simulation, after the step in progress
+                const body = this.spawnBody.clone();
+                this.simulation.whenIdle(() => this.simulation.addBody(body));
                 this.spawnBody = null;
             }
             this.rightMouseDown = false;
@@ -226,22 +338,223 @@ class Renderer {
         
         // Get mouse position
         const mousePos = new Vec2(event.clientX, event.clientY);
-        const worldBeforeZoom = this.screenToWorld(mousePos);
         
-        // Adjust zoom level based on scroll direction
+        // Adjust zoom level based on scroll direction, keeping the point under the cursor in place
         const zoomFactor = event.deltaY > 0 ? 1.1 : 0.9;
-        this.viewScale *= zoomFactor;
+        const anchor = this.screenToFrame(mousePos);
+        this.camera.zoom(zoomFactor, anchor.x, anchor.y);
+        this.applyCamera();
+        this._exposureStale = true;
+    }
+    
+    // Keyboard camera control: arrow keys pan, + and - zoom, F fits all bodies.
+    // Returns whether the key was used.
+    onKeyDown(event) {
+        const camera = this.camera;
+        const step = Renderer.KEY_PAN * camera.targetScale;
+        switch (event.code) {
+            case 'ArrowLeft': camera.pan(-step, 0, true); break;
+            case 'ArrowRight': camera.pan(step, 0, true); break;
+            case 'ArrowUp': camera.pan(0, step, true); break;
+            case 'ArrowDown': camera.pan(0, -step, true); break;
+            case 'Equal':
+            case 'NumpadAdd': camera.zoom(1 / Renderer.KEY_ZOOM, undefined, undefined, true); break;
+            case 'Minus':
+            case 'NumpadSubtract': camera.zoom(Renderer.KEY_ZOOM, undefined, undefined, true); break;
+            case 'KeyF': this.fitAll(); break;
+            default: return false;
+        }
+        event.preventDefault();
+        return true;
+    }
+    
+    // Switch what the camera follows (see Camera.MODES); 'body' follows the primary
+    // selection, and is refused without one. Returns the mode in use.
+    setCameraMode(mode) {
+        if (mode === 'body' && (this.selectedIndices().length === 0 || this.primarySelection === -1)) {
+            return this.camera.mode;
+        }
+        this.camera.setMode(mode, this.simulation, this.primarySelection);
+        return this.camera.mode;
+    }
+    
+    // Turn the camera frame at an angular speed in radians per unit of time (0 to stop)
+    setFrameRotation(speed) {
+        this.camera.setRotation(speed, this.simulation);
+    }
+    
+    // Ease the view onto all bodies
+    fitAll() {
+        this.camera.fit(this.simulation.store);
+    }
+    
+    // Tree over the current positions, for hit tests; the simulation's own tree
+    // may be out of date or hold other indices after collisions
+    _buildPickTree() {
+        if (!this._pickTree) this._pickTree = new Quadtree();
+        this._pickTree.build(this.simulation.store);
+        return this._pickTree;
+    }
+    
+    // Store index of the body drawn under a screen position, or -1. Bodies are hit
+    // within CLICK_DISTANCE pixels of their drawn disc; the one with the nearest centre wins.
+    pickBody(screenPos) {
+        const store = this.simulation.store;
+        if (store.count === 0) return -1;
         
-        // Adjust view position towards mouse cursor
-        const worldAfterZoom = this.screenToWorld(mousePos);
-        this.viewPos.addInPlace(worldBeforeZoom.sub(worldAfterZoom));
+        // Pixels per unit of length along each axis
+        const scaleX = this.canvas.width / 2 / this.viewScale;
+        const scaleY = this.canvas.height / 2 / this.viewScale;
+        let largestRadius = 0;
+        for (let i = 0; i < store.count; i++) {
+            largestRadius = Math.max(largestRadius, store.radius[i]);
+        }
+        const reach = Math.max(2, largestRadius / this.viewScale * 10) + Renderer.CLICK_DISTANCE;
         
-        // 뷰포트 바운드 업데이트
-        this.updateViewportBounds();
+        const world = this.screenToWorld(screenPos);
+        const candidates = this._buildPickTree().nearest(world.x, world.y, Renderer.PICK_CANDIDATES,
+            reach / Math.min(scaleX, scaleY));
+        let picked = -1;
+        let pickedDistance = Infinity;
+        const cos = this._viewCos;
+        const sin = this._viewSin;
+        for (const i of candidates) {
+            const dx = store.x[i] - world.x;
+            const dy = store.y[i] - world.y;
+            const distance = Math.hypot((cos * dx + sin * dy) * scaleX, (sin * dx - cos * dy) * scaleY);
+            const radius = Math.max(2, store.radius[i] / this.viewScale * 10);
+            if (distance <= radius + Renderer.CLICK_DISTANCE && distance < pickedDistance) {
+                picked = i;
+                pickedDistance = distance;
+            }
+        }
+        return picked;
+    }
+    
+    // Store indices of the bodies within a box given by two screen corners. In a
+    // turned view the box is a turned rectangle in the world: the tree is searched
+    // over its bounding box, and the bodies found are checked on screen.
+    bodiesInScreenBox(corner1, corner2) {
+        const corners = [
+            this.screenToWorld(corner1), this.screenToWorld(corner2),
+            this.screenToWorld(new Vec2(corner1.x, corner2.y)), this.screenToWorld(new Vec2(corner2.x, corner1.y))
+        ];
+        const xs = corners.map(corner => corner.x);
+        const ys = corners.map(corner => corner.y);
+        const found = this._buildPickTree().bodiesInBox(
+            Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+        if (this.viewAngle === 0) return found;
         
-        // 캐시 비우기
-        this._screenPositionCache.clear();
-        this._worldBoundsCache.clear();
+        const store = this.simulation.store;
+        const minX = Math.min(corner1.x, corner2.x);
+        const maxX = Math.max(corner1.x, corner2.x);
+        const minY = Math.min(corner1.y, corner2.y);
+        const maxY = Math.max(corner1.y, corner2.y);
+        return found.filter(i => {
+            const screen = this.worldToScreen(new Vec2(store.x[i], store.y[i]));
+            return screen.x >= minX && screen.x <= maxX && screen.y >= minY && screen.y <= maxY;
+        });
+    }
+    
+    // Change the selection by store indices: 'replace' it, 'add' to it, or
+    // 'toggle' each body. The last index becomes the primary selection.
+    selectBodies(indices, mode = 'replace') {
+        const store = this.simulation.store;
+        this._selectionSetup = this.simulation.setupCount;
+        if (mode === 'replace') {
+            this.selection.clear();
+            this.primarySelection = -1;
+        }
+        for (const i of indices) {
+            const id = store.id[i];
+            if (mode === 'toggle' && this.selection.has(id)) {
+                this.selection.delete(id);
+                if (this.primarySelection === id) this.primarySelection = -1;
+            } else {
+                this.selection.add(id);
+                this.primarySelection = id;
+            }
+        }
+        
+        // Fall back to any selected body as the primary one
+        if (this.primarySelection === -1 && this.selection.size > 0) {
+            this.primarySelection = this.selection.values().next().value;
+        }
+        this._selectionChanged();
+    }
+    
+    clearSelection() {
+        if (this.selection.size === 0) return;
+        this.selection.clear();
+        this.primarySelection = -1;
+        this._selectionChanged();
+    }
+    
+    _selectionChanged() {
+        if (this.onSelectionChange) this.onSelectionChange();
+    }
+    
+    // Store indices of the selected bodies that still exist, in store order.
+    // New bodies reuse the ids, so the selection is dropped when the bodies are replaced.
+    selectedIndices() {
+        if (this.selection.size > 0 && this._selectionSetup !== this.simulation.setupCount) {
+            this.clearSelection();
+        }
+        const indices = [];
+        if (this.selection.size === 0) return indices;
+        
+        const store = this.simulation.store;
+        for (let i = 0; i < store.count; i++) {
+            if (this.selection.has(store.id[i])) indices.push(i);
+        }
+        return indices;
+    }
+    
+    // Ring around each selected body, white for the primary one, and the selection box being dragged
+    drawSelection() {
+        const ctx = this.ctx;
+        const indices = this.selectedIndices();
+        if (indices.length > 0) {
+            const store = this.simulation.store;
+            const halfWidth = this.canvas.width / 2;
+            const halfHeight = this.canvas.height / 2;
+            const cos = this._viewCos;
+            const sin = this._viewSin;
+            const rings = new Path2D();
+            const primary = new Path2D();
+            for (const i of indices) {
+                const radius = Math.max(2, store.radius[i] / this.viewScale * 10) + 4;
+                const dx = store.x[i] - this.viewPos.x;
+                const dy = store.y[i] - this.viewPos.y;
+                const x = ((cos * dx + sin * dy) / this.viewScale + 1) * halfWidth;
+                const y = ((sin * dx - cos * dy) / this.viewScale + 1) * halfHeight;
+                if (x + radius < 0 || x - radius > this.canvas.width ||
+                    y + radius < 0 || y - radius > this.canvas.height) continue;
+                
+                const path = store.id[i] === this.primarySelection ? primary : rings;
+                path.moveTo(x + radius, y);
+                path.arc(x, y, radius, 0, 2 * Math.PI);
+            }
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = Renderer.SELECTION_COLOR;
+            ctx.stroke(rings);
+            ctx.strokeStyle = 'white';
+            ctx.stroke(primary);
+        }
+        
+        if (this.boxStart) {
+            const x = Math.min(this.boxStart.x, this.boxEnd.x);
+            const y = Math.min(this.boxStart.y, this.boxEnd.y);
+            const width = Math.abs(this.boxEnd.x - this.boxStart.x);
+            const height = Math.abs(this.boxEnd.y - this.boxStart.y);
+            ctx.fillStyle = 'rgba(255, 200, 60, 0.1)';
+            ctx.fillRect(x, y, width, height);
+            ctx.lineWidth = 1;
+            ctx.strokeStyle = Renderer.SELECTION_COLOR;
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(x, y, width, height);
+            ctx.setLineDash([]);
+        }
     }
     
     // 뷰포트 내 여부 확인 (컬링)
@@ -252,77 +565,507 @@ class Renderer {
                 pos.y - radius > this.viewportBounds.maxY);
     }
     
-    // Batch draw all bodies for performance
+    // Switch how bodies are drawn; returns the backend in use, which falls back to
+    // Canvas 2D when WebGL2 is unavailable
+    setBodyRenderer(name) {
+        if (!(name in Renderer.BODY_RENDERERS)) {
+            throw new Error(`Unknown body renderer: ${name}`);
+        }
+        if (name === 'webgl' && (!this.webgl || this.webgl.lost)) {
+            try {
+                if (!this.glCanvas) throw new Error('no canvas for WebGL');
+                this.webgl = new WebGLBodyRenderer(this.glCanvas);
+                this.webgl.resize(this.canvas.width, this.canvas.height);
+            } catch (error) {
+                console.warn('WebGL2 body renderer unavailable, using Canvas 2D:', error);
+                this.webgl = null;
+                name = 'canvas';
+            }
+        }
+        
+        this.bodyRenderer = name;
+        if (this.glCanvas) {
+            this.glCanvas.style.display = name === 'webgl' ? 'block' : 'none';
+        }
+        return name;
+    }
+    
+    // Whether the WebGL2 backend is drawing the bodies this frame
+    usesWebGL() {
+        return this.bodyRenderer === 'webgl' && this.webgl !== null && !this.webgl.lost;
+    }
+    
+    // Colouring modes, in the form of Integrator.list()
+    static colorModes() {
+        return [
+            { name: 'mass', label: 'Mass (brightness)' },
+            ...Object.values(ColorMode.modes).map(({ name, label }) => ({ name, label })),
+            { name: 'heatmap', label: 'Surface density heatmap' }
+        ];
+    }
+    
+    setColorMode(name) {
+        if (name !== 'mass' && name !== 'heatmap') {
+            ColorMode.get(name);
+        }
+        this.colorMode = name;
+    }
+    
+    setColorMap(name) {
+        this.colorMap = ColorMap.get(name);
+    }
+    
+    // Colour table entry of every body for the current mode, into _colorIndex.
+    // Returns the colour map the entries refer to.
+    computeColors() {
+        const store = this.simulation.store;
+        const n = store.count;
+        const colorIndex = this._colorIndex;
+        
+        // Brighter for heavier bodies, in steps of 10
+        if (this.colorMode === 'mass') {
+            for (let i = 0; i < n; i++) {
+                const brightness = Math.min(255, 100 + Math.log2(store.mass[i]) * 20);
+                colorIndex[i] = Math.max(0, Math.floor(brightness / 10)) * 10;
+            }
+            return ColorMap.maps.greys;
+        }
+        
+        // Other modes use 32 levels of the colour map, so Canvas 2D draws at most 32 batches
+        const mode = ColorMode.get(this.colorMode);
+        const values = this._colorValues;
+        mode.compute(this.simulation, values);
+        const [low, high] = this.colorRange = mode.range(values, n);
+        const colorMap = this.colorMap;
+        for (let i = 0; i < n; i++) {
+            colorIndex[i] = (colorMap.index(mode.normalize(values[i], low, high)) & ~7) | 4;
+        }
+        return colorMap;
+    }
+    
+    // Draw the bodies with the selected backend and colouring
     drawBodies() {
-        // Use batch drawing instead of drawing each body separately
-        const bodies = this.simulation.bodies;
+        if (this.colorMode === 'heatmap') {
+            this.drawHeatmap();
+            return;
+        }
+        
+        // Long exposure builds up on the Canvas 2D canvas, so it doesn't use WebGL
+        this._ensureDrawBuffers(this.simulation.store.count);
+        const colorMap = this.computeColors();
+        if (this.usesWebGL() && !this.longExposure) {
+            this.webgl.draw(this.simulation.store, this._colorIndex, colorMap,
+                this.viewPos, this.viewScale, this.viewAngle, this.viewportBounds);
+        } else {
+            this.drawBodiesCanvas(colorMap);
+        }
+    }
+    
+    // Batch draw all bodies for performance, one path per colour
+    drawBodiesCanvas(colorMap) {
+        // Iterate the body store directly so nothing is allocated per body
+        const store = this.simulation.store;
         const ctx = this.offscreenCtx; // 오프스크린 캔버스 사용
-        const len = bodies.length;
+        const len = store.count;
+        const colorIndex = this._colorIndex;
+        const palette = this._cssPalette(colorMap);
         
-        // 1. 배치 처리를 위해 모든 파티클을 먼저 그려질 순서대로 정렬
-        const visibleBodies = [];
+        const screenX = this._screenX;
+        const screenY = this._screenY;
+        const screenR = this._screenR;
+        const bucketOf = this._bucketOf;
+        const bucketCounts = this._bucketCounts;
+        bucketCounts.fill(0);
         
+        const halfWidth = this.canvas.width / 2;
+        const halfHeight = this.canvas.height / 2;
+        const bounds = this.viewportBounds;
+        const cos = this._viewCos;
+        const sin = this._viewSin;
+        
+        // 1. 화면에 보이는 물체의 화면 좌표와 색 버킷 계산
         for (let i = 0; i < len; i++) {
-            const body = bodies[i];
+            const x = store.x[i];
+            const y = store.y[i];
+            const radius = store.radius[i];
             
             // 뷰포트 컬링으로 화면 밖 물체 제외
-            if (!this.isInViewport(body.pos, body.radius)) {
+            if (x + radius < bounds.minX || x - radius > bounds.maxX ||
+                y + radius < bounds.minY || y - radius > bounds.maxY) {
+                bucketOf[i] = Renderer.CULLED;
                 continue;
             }
             
-            const screenPos = this.worldToScreen(body.pos);
-            const screenRadius = Math.max(2, body.radius / this.viewScale * 10);
-            
-            // Calculate color based on mass (brighter for heavier bodies)
-            const brightness = Math.min(255, 100 + Math.log2(body.mass) * 20);
+            const dx = x - this.viewPos.x;
+            const dy = y - this.viewPos.y;
+            screenX[i] = ((cos * dx + sin * dy) / this.viewScale + 1) * halfWidth;
+            screenY[i] = ((sin * dx - cos * dy) / this.viewScale + 1) * halfHeight;
+            screenR[i] = Math.max(2, radius / this.viewScale * 10);
             
-            // 화면에 보이는 물체를 저장
-            visibleBodies.push({
-                x: screenPos.x,
-                y: screenPos.y,
-                radius: screenRadius,
-                brightness: brightness
-            });
+            // One bucket per colour table entry
+            const bucket = colorIndex[i];
+            bucketOf[i] = bucket;
+            bucketCounts[bucket]++;
         }
         
         // 2. 성능 최적화: 배치 그리기 (최소한의 상태 변경)
         // 매 프레임마다 전체 그리기 대신 필요한 부분만 업데이트
         ctx.clearRect(0, 0, this.offscreenCanvas.width, this.offscreenCanvas.height);
         
-        // 크기/밝기별로 그룹화하여 최적화
-        const brightnessBuckets = {};
+        // 색 버킷별로 인덱스를 정렬 (counting sort)
+        const bucketStarts = this._bucketStarts;
+        let offset = 0;
+        for (let b = 0; b < bucketCounts.length; b++) {
+            bucketStarts[b] = offset;
+            offset += bucketCounts[b];
+        }
         
-        // 파티클을 밝기 버킷에 그룹화
-        for (let i = 0; i < visibleBodies.length; i++) {
-            const body = visibleBodies[i];
-            const bucket = Math.floor(body.brightness / 10) * 10;
-            
-            if (!brightnessBuckets[bucket]) {
-                brightnessBuckets[bucket] = [];
+        const order = this._drawOrder;
+        const cursor = this._bucketCursor;
+        cursor.set(bucketStarts);
+        for (let i = 0; i < len; i++) {
+            const bucket = bucketOf[i];
+            if (bucket !== Renderer.CULLED) {
+                order[cursor[bucket]++] = i;
             }
-            
-            brightnessBuckets[bucket].push(body);
         }
         
         // 각 버킷별로 파티클 일괄 그리기
-        Object.keys(brightnessBuckets).forEach(bucket => {
-            const bodies = brightnessBuckets[bucket];
-            const brightness = parseInt(bucket);
+        for (let b = 0; b < bucketCounts.length; b++) {
+            if (bucketCounts[b] === 0) continue;
             
-            ctx.fillStyle = `rgb(${brightness}, ${brightness}, ${brightness})`;
+            ctx.fillStyle = palette[b];
             ctx.beginPath();
             
-            for (let i = 0; i < bodies.length; i++) {
-                const body = bodies[i];
-                ctx.moveTo(body.x + body.radius, body.y);
-                ctx.arc(body.x, body.y, body.radius, 0, 2 * Math.PI);
+            const end = bucketStarts[b] + bucketCounts[b];
+            for (let k = bucketStarts[b]; k < end; k++) {
+                const i = order[k];
+                ctx.moveTo(screenX[i] + screenR[i], screenY[i]);
+                ctx.arc(screenX[i], screenY[i], screenR[i], 0, 2 * Math.PI);
             }
             
             ctx.fill();
-        });
+        }
         
-        // 결과를 메인 캔버스에 복사
+        // 결과를 메인 캔버스에 복사; a long exposure keeps the brightest value of every pixel
+        if (this.longExposure) {
+            this.ctx.globalCompositeOperation = 'lighten';
+        }
         this.ctx.drawImage(this.offscreenCanvas, 0, 0);
+        this.ctx.globalCompositeOperation = 'source-over';
+    }
+    
+    setTrailMode(mode) {
+        if (!(mode in Renderer.TRAIL_MODES)) {
+            throw new Error(`Unknown trail mode: ${mode}`);
+        }
+        this.trailMode = mode;
+        if (mode === 'subset') {
+            this._trailFilter = TrailBuffer.subset(this.trailFraction);
+        } else if (mode === 'selected') {
+            this._trailFilter = id => this.selection.has(id);
+        } else {
+            this._trailFilter = null;
+        }
+        this.trails.clear();
+    }
+    
+    setTrailFraction(fraction) {
+        this.trailFraction = fraction;
+        this.setTrailMode(this.trailMode);
+    }
+    
+    setLongExposure(enabled) {
+        this.longExposure = enabled;
+        this._exposureStale = true;
+    }
+    
+    // Sample the trails; called after every simulation step. Trails are kept in the
+    // camera frame, so they show the paths relative to what the camera follows.
+    recordTrails() {
+        if (this.trailMode === 'off') return;
+        
+        const simulation = this.simulation;
+        const camera = this.camera;
+        camera.updateFrame(simulation);
+        if (this._trailSetup !== simulation.setupCount || this._trailFrame !== camera.frameVersion) {
+            this._trailSetup = simulation.setupCount;
+            this._trailFrame = camera.frameVersion;
+            this._trailSteps = 0;
+            this.trails.clear();
+        }
+        if (this._trailSteps++ % this.trailInterval === 0) {
+            this.trails.record(simulation.store, this._trailFilter, camera.origin, camera.frameAngle);
+        }
+    }
+    
+    // Draw the trails from their oldest sample up to the body, fading out with age.
+    // Segments are batched into TRAIL_LEVELS paths of increasing opacity.
+    drawTrails() {
+        const trails = this.trails;
+        if (this.trailMode === 'off' || trails.samples === 0 ||
+            this._trailSetup !== this.simulation.setupCount || this._trailFrame !== this.camera.frameVersion) return;
+        
+        const store = this.simulation.store;
+        const levels = Renderer.TRAIL_LEVELS;
+        const paths = [];
+        for (let level = 0; level < levels; level++) {
+            paths.push(new Path2D());
+        }
+        
+        // Trail points are in the camera frame: turned by frameCos / frameSin about the frame origin
+        const halfWidth = this.canvas.width / 2;
+        const halfHeight = this.canvas.height / 2;
+        const cos = this._viewCos;
+        const sin = this._viewSin;
+        const frameX = this.camera.origin.x;
+        const frameY = this.camera.origin.y;
+        const frameCos = Math.cos(this.camera.frameAngle);
+        const frameSin = Math.sin(this.camera.frameAngle);
+        for (let i = 0; i < store.count; i++) {
+            const slot = trails.slotOf(store.id[i]);
+            if (slot === -1 || (this._trailFilter && !this._trailFilter(store.id[i]))) continue;
+            
+            // The newest point is the body's current position
+            const count = trails.pointCount(slot);
+            let previousX = 0;
+            let previousY = 0;
+            let previousLevel = -1;
+            for (let k = 0; k <= count; k++) {
+                let x = store.x[i];
+                let y = store.y[i];
+                if (k < count) {
+                    const point = trails.pointIndex(slot, k);
+                    x = frameX + (frameCos * trails.xs[point] - frameSin * trails.ys[point]);
+                    y = frameY + (frameSin * trails.xs[point] + frameCos * trails.ys[point]);
+                }
+                const dx = x - this.viewPos.x;
+                const dy = y - this.viewPos.y;
+                const screenX = ((cos * dx + sin * dy) / this.viewScale + 1) * halfWidth;
+                const screenY = ((sin * dx - cos * dy) / this.viewScale + 1) * halfHeight;
+                
+                if (k > 0) {
+                    // Age relative to the full trail length, so short trails are bright throughout
+                    const freshness = (k + trails.length - count) / trails.length;
+                    const level = Math.min(levels - 1, Math.floor(freshness * levels));
+                    if (level !== previousLevel) {
+                        paths[level].moveTo(previousX, previousY);
+                        previousLevel = level;
+                    }
+                    paths[level].lineTo(screenX, screenY);
+                }
+                previousX = screenX;
+                previousY = screenY;
+            }
+        }
+        
+        const ctx = this.ctx;
+        ctx.strokeStyle = Renderer.TRAIL_COLOR;
+        ctx.lineWidth = 1;
+        for (let level = 0; level < levels; level++) {
+            ctx.globalAlpha = (level + 1) / levels;
+            ctx.stroke(paths[level]);
+        }
+        ctx.globalAlpha = 1;
+    }
+    
+    // Grow the reusable per-body draw buffers
+    _ensureDrawBuffers(count) {
+        if (this._screenX && this._screenX.length >= count) return;
+        
+        const capacity = Math.max(1024, count * 2);
+        this._screenX = new Float32Array(capacity);
+        this._screenY = new Float32Array(capacity);
+        this._screenR = new Float32Array(capacity);
+        this._bucketOf = new Uint16Array(capacity);
+        this._drawOrder = new Uint32Array(capacity);
+        this._colorIndex = new Uint8Array(capacity);
+        this._colorValues = new Float64Array(capacity);
+        
+        // One bucket per colour table entry
+        this._bucketCounts = new Uint32Array(ColorMap.SIZE);
+        this._bucketStarts = new Uint32Array(ColorMap.SIZE);
+        this._bucketCursor = new Uint32Array(ColorMap.SIZE);
+    }
+    
+    // CSS colours of all entries of a colour map, cached for the last map used
+    _cssPalette(colorMap) {
+        if (this._cssPaletteMap !== colorMap) {
+            this._cssPaletteMap = colorMap;
+            this._cssPaletteColors = [];
+            for (let entry = 0; entry < ColorMap.SIZE; entry++) {
+                this._cssPaletteColors.push(colorMap.css(entry / (ColorMap.SIZE - 1)));
+            }
+        }
+        return this._cssPaletteColors;
+    }
+    
+    // Smoothed surface density of the bodies in view, on a grid of HEATMAP_CELL pixels:
+    // masses are spread over the nearest cells (cloud in cell), blurred, and coloured
+    // on a log scale
+    drawHeatmap() {
+        const store = this.simulation.store;
+        const cell = Renderer.HEATMAP_CELL;
+        const width = Math.ceil(this.canvas.width / cell);
+        const height = Math.ceil(this.canvas.height / cell);
+        if (!this._heatmapCanvas) {
+            this._heatmapCanvas = document.createElement('canvas');
+        }
+        const heatmapCanvas = this._heatmapCanvas;
+        if (heatmapCanvas.width !== width || heatmapCanvas.height !== height || !this._heatmapGrid) {
+            heatmapCanvas.width = width;
+            heatmapCanvas.height = height;
+            this._heatmapGrid = new Float64Array(width * height);
+            this._heatmapBlurred = new Float64Array(width * height);
+            this._heatmapImage = heatmapCanvas.getContext('2d').createImageData(width, height);
+        }
+        const grid = this._heatmapGrid;
+        const blurred = this._heatmapBlurred;
+        grid.fill(0);
+        
+        // Deposit the masses; grid coordinates have cell centres at whole numbers
+        const cellsPerUnitX = this.canvas.width / 2 / this.viewScale / cell;
+        const cellsPerUnitY = this.canvas.height / 2 / this.viewScale / cell;
+        const originX = this.canvas.width / 2 / cell - 0.5;
+        const originY = this.canvas.height / 2 / cell - 0.5;
+        const cos = this._viewCos;
+        const sin = this._viewSin;
+        for (let i = 0; i < store.count; i++) {
+            const dx = store.x[i] - this.viewPos.x;
+            const dy = store.y[i] - this.viewPos.y;
+            const gx = originX + (cos * dx + sin * dy) * cellsPerUnitX;
+            const gy = originY + (sin * dx - cos * dy) * cellsPerUnitY;
+            const ix = Math.floor(gx);
+            const iy = Math.floor(gy);
+            if (ix < -1 || iy < -1 || ix >= width || iy >= height) continue;
+            
+            const fx = gx - ix;
+            const fy = gy - iy;
+            const mass = store.mass[i];
+            const left = ix >= 0;
+            const right = ix + 1 < width;
+            if (iy >= 0) {
+                if (left) grid[iy * width + ix] += mass * (1 - fx) * (1 - fy);
+                if (right) grid[iy * width + ix + 1] += mass * fx * (1 - fy);
+            }
+            if (iy + 1 < height) {
+                if (left) grid[(iy + 1) * width + ix] += mass * (1 - fx) * fy;
+                if (right) grid[(iy + 1) * width + ix + 1] += mass * fx * fy;
+            }
+        }
+        
+        // Three box blurs in each direction approximate a Gaussian
+        const radius = Renderer.HEATMAP_BLUR;
+        for (let pass = 0; pass < 3; pass++) {
+            for (let row = 0; row < height; row++) {
+                Renderer.blurLine(grid, blurred, row * width, 1, width, radius);
+            }
+            for (let column = 0; column < width; column++) {
+                Renderer.blurLine(blurred, grid, column, width, height, radius);
+            }
+        }
+        
+        // Mass per cell into surface density
+        const cellArea = 1 / (cellsPerUnitX * cellsPerUnitY);
+        let peak = 0;
+        for (let k = 0; k < grid.length; k++) {
+            grid[k] /= cellArea;
+            peak = Math.max(peak, grid[k]);
+        }
+        
+        // The running sums leave rounding residue in empty cells; clear it so the
+        // range comes from cells that hold mass
+        for (let k = 0; k < grid.length; k++) {
+            if (grid[k] < peak * 1e-12) grid[k] = 0;
+        }
+        
+        // Colour HEATMAP_DECADES below the top of the range; emptier cells stay black
+        const scale = Renderer.HEATMAP_SCALE;
+        const high = scale.range(grid, grid.length)[1];
+        const low = high / 10 ** Renderer.HEATMAP_DECADES;
+        this.colorRange = [low, high];
+        const table = this.colorMap.table;
+        const pixels = this._heatmapImage.data;
+        for (let k = 0; k < grid.length; k++) {
+            const p = k * 4;
+            if (grid[k] < low) {
+                pixels[p] = pixels[p + 1] = pixels[p + 2] = 0;
+            } else {
+                const entry = this.colorMap.index(scale.normalize(grid[k], low, high)) * 3;
+                pixels[p] = table[entry];
+                pixels[p + 1] = table[entry + 1];
+                pixels[p + 2] = table[entry + 2];
+            }
+            pixels[p + 3] = 255;
+        }
+        heatmapCanvas.getContext('2d').putImageData(this._heatmapImage, 0, 0);
+        
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.drawImage(heatmapCanvas, 0, 0, width * cell, height * cell);
+        this.ctx.imageSmoothingEnabled = false;
+    }
+    
+    // Running-mean blur of one line of a grid: `length` values from `start`, `stride` apart.
+    // Cells beyond the edges count as empty.
+    static blurLine(source, target, start, stride, length, radius) {
+        const norm = 1 / (2 * radius + 1);
+        let sum = 0;
+        for (let k = 0; k <= radius && k < length; k++) {
+            sum += source[start + k * stride];
+        }
+        for (let k = 0; k < length; k++) {
+            target[start + k * stride] = sum * norm;
+            const add = k + radius + 1;
+            const remove = k - radius;
+            if (add < length) sum += source[start + add * stride];
+            if (remove >= 0) sum -= source[start + remove * stride];
+        }
+    }
+    
+    // Legend for the colour modes: the colour map with the values at its ends
+    drawLegend() {
+        const legend = document.getElementById('color-legend');
+        if (!legend) return;
+        
+        if (this.colorMode === 'mass' || !this.showBodies) {
+            legend.style.display = 'none';
+            this._legendKey = '';
+            return;
+        }
+        
+        const mode = this.colorMode === 'heatmap' ? Renderer.HEATMAP_SCALE : ColorMode.get(this.colorMode);
+        const units = this.simulation.units;
+        const [low, high] = this.colorRange.map(value => units.format(value, mode.dimension));
+        const title = `${mode.label}${mode.logarithmic ? ' (log scale)' : ''}`;
+        
+        // Redraw only when something shown changed
+        const key = `${title}|${this.colorMap.name}|${low}|${high}`;
+        if (key === this._legendKey) return;
+        this._legendKey = key;
+        legend.style.display = 'block';
+        
+        const ctx = legend.getContext('2d');
+        const barX = 10;
+        const barWidth = legend.width - 20;
+        ctx.clearRect(0, 0, legend.width, legend.height);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, 0, legend.width, legend.height);
+        
+        ctx.font = '12px Arial, sans-serif';
+        ctx.fillStyle = 'white';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, barX, 6);
+        
+        for (let x = 0; x < barWidth; x++) {
+            ctx.fillStyle = this.colorMap.css(x / (barWidth - 1));
+            ctx.fillRect(barX + x, 24, 1, 12);
+        }
+        
+        ctx.fillStyle = 'white';
+        ctx.fillText(low, barX, 40);
+        ctx.textAlign = 'right';
+        ctx.fillText(high, barX + barWidth, 40);
     }
     
     // Draw quadtree structure
@@ -331,62 +1074,69 @@ class Renderer {
         if (this._frameCounter % this._quadtreeRenderInterval !== 0) return;
         
         const ctx = this.ctx;
+        const tree = this.simulation.quadtree;
         
-        // Optimize quadtree visualization
-        const drawNode = (node, depth = 0) => {
-            if (node.isEmpty()) return;
+        // Walk the node pool directly; parents always come before their children
+        for (let node = 0; node < tree.nodeCount; node++) {
+            if (tree.isEmpty(node)) continue;
             
             // Skip nodes that are completely outside the viewport
-            const quad = node.quad;
-            const halfSize = quad.size * 0.5;
-            const minX = quad.center.x - halfSize;
-            const minY = quad.center.y - halfSize;
-            const maxX = quad.center.x + halfSize;
-            const maxY = quad.center.y + halfSize;
+            const halfSize = tree.size[node] * 0.5;
+            const minX = tree.centerX[node] - halfSize;
+            const minY = tree.centerY[node] - halfSize;
+            const maxX = tree.centerX[node] + halfSize;
+            const maxY = tree.centerY[node] + halfSize;
             
             // 뷰포트 컬링: 화면 밖 노드는 그리지 않음
             if (maxX < this.viewportBounds.minX || 
                 minX > this.viewportBounds.maxX || 
                 maxY < this.viewportBounds.minY || 
                 minY > this.viewportBounds.maxY) {
-                return;
+                continue;
             }
             
             // 화면 좌표로 변환
             const screenMin = this.worldToScreen(new Vec2(minX, minY));
             const screenMax = this.worldToScreen(new Vec2(maxX, maxY));
             
+            // A turned view shows the nodes as turned squares
+            let outline = null;
+            if (this.viewAngle !== 0) {
+                const corner1 = this.worldToScreen(new Vec2(minX, maxY));
+                const corner2 = this.worldToScreen(new Vec2(maxX, minY));
+                outline = new Path2D();
+                outline.moveTo(screenMin.x, screenMin.y);
+                outline.lineTo(corner1.x, corner1.y);
+                outline.lineTo(screenMax.x, screenMax.y);
+                outline.lineTo(corner2.x, corner2.y);
+                outline.closePath();
+            }
+            
             // Calculate color based on depth and mass
-            const hue = (180 + depth * 20) % 360;
-            const saturation = node.isLeaf() ? '100%' : '70%';
-            const lightness = node.isLeaf() ? '50%' : '30%';
+            const isLeaf = tree.isLeaf(node);
+            const hue = (180 + tree.depth[node] * 20) % 360;
+            const saturation = isLeaf ? '100%' : '70%';
+            const lightness = isLeaf ? '50%' : '30%';
             
             // Draw quad
             ctx.strokeStyle = `hsl(${hue}, ${saturation}, ${lightness})`;
             ctx.lineWidth = 1;
-            ctx.strokeRect(screenMin.x, screenMin.y, screenMax.x - screenMin.x, screenMax.y - screenMin.y);
+            if (outline) {
+                ctx.stroke(outline);
+            } else {
+                ctx.strokeRect(screenMin.x, screenMin.y, screenMax.x - screenMin.x, screenMax.y - screenMin.y);
+            }
             
             // Draw center of mass for branch nodes
-            if (node.isBranch()) {
-                const comPos = this.worldToScreen(node.centerOfMass);
+            if (!isLeaf) {
+                const comPos = this.worldToScreen(new Vec2(tree.comX[node], tree.comY[node]));
                 const radius = 2;
                 
                 ctx.beginPath();
                 ctx.arc(comPos.x, comPos.y, radius, 0, 2 * Math.PI);
                 ctx.fillStyle = `hsl(${hue}, 100%, 70%)`;
                 ctx.fill();
-                
-                // Recursively draw children
-                for (let i = 0; i < 4; i++) {
-                    const child = node.children[i];
-                    if (child) drawNode(child, depth + 1);
-                }
             }
-        };
-        
-        // Start drawing from the root
-        if (this.simulation.quadtree.root) {
-            drawNode(this.simulation.quadtree.root);
         }
     }
     
@@ -445,7 +1195,16 @@ class Renderer {
             // Update particle count display
             const particleCountElement = document.getElementById('particleCount');
             if (particleCountElement) {
-                particleCountElement.textContent = this.simulation.bodies.length;
+                particleCountElement.textContent = this.simulation.store.count;
+            }
+            
+            // Update simulation clock display
+            const timeElement = document.getElementById('simTime');
+            const dtElement = document.getElementById('simDt');
+            if (timeElement && dtElement) {
+                const units = this.simulation.units;
+                timeElement.textContent = units.format(this.simulation.time, 'time');
+                dtElement.textContent = units.format(this.simulation.lastDt, 'time');
             }
         }
     }
@@ -458,12 +1217,34 @@ class Renderer {
         // Update FPS
         this.updateFPS(currentTime);
         
+        // Move the camera; while it eases onto a new view, a long exposure starts over
+        const elapsed = Math.min(Renderer.MAX_CAMERA_STEP, Math.max(0, (currentTime - this._lastCameraTime) / 1000));
+        this._lastCameraTime = currentTime;
+        if (this.camera.update(this.simulation, elapsed)) {
+            this._exposureStale = true;
+        }
+        this.applyCamera();
+        
+        // A lost WebGL context falls back to Canvas 2D
+        if (this.bodyRenderer === 'webgl' && !this.usesWebGL()) {
+            this.setBodyRenderer('canvas');
+        }
+        
+        // The WebGL layer keeps its last frame until it is cleared
+        if (this.usesWebGL()) {
+            this.webgl.clear();
+        }
+        
         // Clear canvas - use fillRect instead of clearRect for better performance with black background
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        // A long exposure is only cleared when it starts or the view changes
+        if (!this.longExposure || this._exposureStale) {
+            this.ctx.fillStyle = '#000000';
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            this._exposureStale = false;
+        }
         
         // Check if there are bodies to draw
-        if (this.simulation.bodies.length === 0) {
+        if (this.simulation.store.count === 0) {
             // Draw a test circle if no bodies
             this.ctx.beginPath();
             this.ctx.arc(this.canvas.width/2, this.canvas.height/2, 50, 0, 2 * Math.PI);
@@ -472,17 +1253,76 @@ class Renderer {
             return;
         }
         
+        // Trails go under the bodies, but over the heatmap, which covers the whole canvas
+        const trailsOnTop = this.showBodies && this.colorMode === 'heatmap';
+        if (!trailsOnTop) {
+            this.drawTrails();
+        }
+        
         // Draw bodies if enabled
         if (this.showBodies) {
             this.drawBodies();
         }
+        if (trailsOnTop) {
+            this.drawTrails();
+        }
         
         // Draw quadtree if enabled
         if (this.showQuadtree) {
             this.drawQuadtree();
         }
         
+        this.drawSelection();
+        
         // Draw preview of body being created
         this.drawSpawnPreview();
+        
+        this.drawLegend();
     }
 }
+
+// Marks bodies outside the viewport in the draw buckets
+Renderer.CULLED = ColorMap.SIZE;
+
+// Heatmap grid cell in pixels, and box blur radius in cells
+Renderer.HEATMAP_CELL = 4;
+Renderer.HEATMAP_BLUR = 2;
+
+// Orders of magnitude of surface density shown by the heatmap
+Renderer.HEATMAP_DECADES = 3;
+
+// Scale of the heatmap colours, in the form of the ColorMode ones
+Renderer.HEATMAP_SCALE = new ColorMode('heatmap', 'Surface density', 'surfaceDensity', true, null);
+
+// Trail choices
+Renderer.TRAIL_MODES = {
+    off: 'Off',
+    all: 'All bodies',
+    subset: 'Random subset',
+    selected: 'Selected bodies'
+};
+
+// Mouse movement in pixels below which a press is a click, which is also how near
+// a click must be to a body's disc; nearest bodies considered for a click
+Renderer.CLICK_DISTANCE = 4;
+Renderer.PICK_CANDIDATES = 16;
+
+// Keyboard pan step as a fraction of the view, and zoom factor per key press
+Renderer.KEY_PAN = 0.2;
+Renderer.KEY_ZOOM = 1.25;
+
+// Longest camera easing step in seconds, so a stalled frame doesn't jump to the end
+Renderer.MAX_CAMERA_STEP = 0.1;
+
+// Outline of selected bodies and of the selection box
+Renderer.SELECTION_COLOR = 'rgb(255, 200, 60)';
+
+// Opacity steps of the trails, and their colour
+Renderer.TRAIL_LEVELS = 8;
+Renderer.TRAIL_COLOR = 'rgb(120, 170, 255)';
+
+// Body drawing backends
+Renderer.BODY_RENDERERS = {
+    canvas: 'Canvas 2D',
+    webgl: 'WebGL2 (instanced)'
+};
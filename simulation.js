@@ -2,236 +2,564 @@
 class Simulation {
     constructor(options = {}) {
         // Default simulation parameters
-        this.dt = options.dt || 0.01;                      // Time step
-        this.numBodies = options.numBodies || 1000;        // Number of bodies
-        this.theta = options.theta || 0.5;                 // Barnes-Hut approximation threshold
-        this.epsilon = options.epsilon || 1.0;             // Softening parameter
-        this.gravitationalConstant = options.g || 1.0;     // Gravitational constant
+        this.dt = options.dt ?? 0.01;                      // Time step
+        this.numBodies = options.numBodies ?? 1000;        // Number of bodies
+        this.theta = options.theta ?? 0.5;                 // Barnes-Hut approximation threshold
+        this.epsilon = options.epsilon ?? 1.0;             // Softening length
+        this.softening = options.softening || 'plummer';   // Softening kernel (see SofteningKernel)
+        this.quadrupole = options.quadrupole || false;     // Quadrupole moments in the tree's far field
+        this.openingCriterion = options.openingCriterion || 'bh-com'; // See Quadtree.OPENING_CRITERIA
+        this.forceAccuracy = options.forceAccuracy ?? 0.005; // α of the 'relative' opening criterion
+        this.forceMethod = options.forceMethod || 'tree';  // Force backend (see Simulation.FORCE_METHODS)
+        this.fmmOrder = options.fmmOrder ?? 4;             // Expansion order of the 'fmm' backend
+        this.units = UnitSystem.get(options.units || 'nbody'); // Physical units of all quantities
+        this.gravitationalConstant = options.g ?? this.units.G; // Gravitational constant
+        if (!(Number.isFinite(this.gravitationalConstant) && this.gravitationalConstant > 0)) {
+            throw new Error(`G must be a positive number: ${this.gravitationalConstant}`);
+        }
+        this.integrator = Integrator.create(options.integrator || 'euler');
+        this.generator = Generator.create(options.generator || 'spiral'); // Initial conditions
+        this.generatorParams = this.generator.resolveParameters(options.generatorParams); // All of its parameters
+        this.seed = options.seed !== undefined ? options.seed : Random.randomSeed(); // Seed of the generator
+        Random.checkSeed(this.seed);
+        
+        // Timestep control: 'fixed' uses dt, 'adaptive' and 'block' treat dt as the largest step
+        this.timestepMode = options.timestepMode || 'fixed';
+        if (!Simulation.TIMESTEP_MODES[this.timestepMode]) {
+            throw new Error(`Unknown timestep mode: ${this.timestepMode}`);
+        }
+        this.timestepAccuracy = options.eta ?? 0.025;          // eta in the timestep criterion
+        this.maxTimestepLevel = options.maxTimestepLevel ?? 6; // Smallest step is dt / 2^level
+        this.blockTimestepper = new BlockTimestepper();
+        this.lastDt = this.dt;                                 // Size of the last step taken
+        
+        // Elapsed simulation time
+        this.time = 0;
+        
+        // Whether store.ax/ay match the current positions (lets integrators reuse them)
+        this.forcesValid = false;
+        
+        // Whether stepAsync() is waiting on the workers, and the changes to the bodies
+        // held back until it is done (see whenIdle)
+        this.stepping = false;
+        this.pendingChanges = [];
         
         // Initialize collections
-        this.bodies = [];
-        this.quadtree = new Quadtree(this.theta, this.epsilon);
+        // Bodies live in typed arrays; `bodies` gives Body-compatible views of them
+        this.store = new BodyStore(this.numBodies);
+        this.quadtree = new Quadtree();
+        
+        // Distance of each body from the centre of mass when the bodies were set up,
+        // indexed by body id (see recordInitialRadii)
+        this.initialRadius = new Float64Array(0);
+        this.initialCenter = new Vec2(0, 0);
+        
+        // Counts how often the bodies were replaced; ids start over each time, so
+        // per-body state kept elsewhere (such as trails) must be dropped when it changes
+        this.setupCount = 0;
+        
+        // Force backends by method name; the quadtree is also kept for visualization
+        this.forceSolvers = {
+            tree: this.quadtree,
+            direct: new DirectSummation(),
+            fmm: new FastMultipole(this.quadtree)
+        };
+        if (!this.forceSolvers[this.forceMethod]) {
+            throw new Error(`Unknown force method: ${this.forceMethod}`);
+        }
+        for (const solver of Object.values(this.forceSolvers)) {
+            solver.setParameters(this.forceParameters());
+        }
+        
+        // Collisions: 'elastic' bounces with the given restitution, 'merge' combines bodies, 'none' ignores them
+        this.collisionMode = options.collisionMode || 'elastic';
+        this.restitution = options.restitution !== undefined ? options.restitution : 0.5;
+        this.removed = new Uint8Array(0);  // Bodies merged away during the current collision pass
+        this.removedCount = 0;
         
         // Performance optimization: Use a spatial hash grid for collision detection
-        this.gridSize = 10; // Approximate size of cells for spatial hashing
-        this.spatialGrid = new Map();
+        this.spatialHash = new SpatialHash();
+        this.collisionPairs = new CollisionPairs();
+        
+        // Conserved-quantity measurements (every k steps when an interval is set)
+        this.diagnostics = new Diagnostics(this, { interval: options.diagnosticsInterval });
+        
+        // Offload force computation to Web Workers for large simulations
+        this.workerThreshold = options.workerThreshold ?? 5000;
+        this.workerPool = options.useWorkers === false ? null : ForceWorkerPool.create(options.workers);
         
-        // Initialize simulation
-        this.reset();
+        // Initialize simulation; `generate: false` starts without bodies, for callers
+        // that load a snapshot straight away
+        if (options.generate !== false) {
+            this.reset();
+        }
+    }
+    
+    // Body-compatible views of all bodies, for code that still expects Body objects
+    get bodies() {
+        return this.store.views();
+    }
+    
+    // Replace all bodies with copies of the given Body objects
+    set bodies(bodies) {
+        this.store.clear();
+        for (const body of bodies) {
+            this.store.addBody(body);
+        }
+        this.forcesValid = false;
+        this.diagnostics.reset();
+        this.recordInitialRadii();
     }
     
     // Reset the simulation with new bodies
     reset() {
-        this.bodies = this.generateBodies(this.numBodies);
+        this.store.clear();
+        this.generateBodies(this.numBodies);
+        this.time = 0;
+        this.forcesValid = false;
+        this.diagnostics.reset();
+        this.recordInitialRadii();
+    }
+    
+    // Note how far every body is from the centre of mass, so bodies can be coloured
+    // by where they started to show how the system mixes.
+    // Called whenever the bodies are replaced.
+    recordInitialRadii() {
+        const store = this.store;
+        this.setupCount++;
+        let mass = 0;
+        let comX = 0;
+        let comY = 0;
+        for (let i = 0; i < store.count; i++) {
+            mass += store.mass[i];
+            comX += store.mass[i] * store.x[i];
+            comY += store.mass[i] * store.y[i];
+        }
+        if (mass > 0) {
+            comX /= mass;
+            comY /= mass;
+        }
+        this.initialCenter = new Vec2(comX, comY);
+        
+        this.initialRadius = new Float64Array(Math.max(store.nextId, store.capacity));
+        for (let i = 0; i < store.count; i++) {
+            this.initialRadius[store.id[i]] = Math.hypot(store.x[i] - comX, store.y[i] - comY);
+        }
     }
     
-    // Create a spiral galaxy formation
+    // Fill the body store from the current generator
+    // The random numbers restart from the seed, so a seed always gives the same bodies
     generateBodies(numBodies) {
-        const bodies = [];
-        
-        // Create a central massive body
-        const centralMass = 5000;
-        const centralBody = new Body(
-            Vec2.zero(),
-            Vec2.zero(),
-            centralMass,
-            Math.cbrt(centralMass) * 2  // Radius
-        );
-        bodies.push(centralBody);
-        
-        // Create spiral galaxy formation
-        const innerRadius = 10;
-        const outerRadius = Math.sqrt(numBodies) * 5;
-        
-        // For better performance, create an array upfront instead of multiple push operations
-        bodies.length = numBodies;
-        bodies[0] = centralBody;
-        
-        for (let i = 1; i < numBodies; i++) {
-            // Spiral distribution
-            const angle = i * 0.5;
-            const t = innerRadius / outerRadius;
-            const r = Math.random() * (1 - t * t) + t * t;
-            const radius = outerRadius * Math.sqrt(r);
-            
-            // Spiral position
-            const x = Math.cos(angle) * radius;
-            const y = Math.sin(angle) * radius;
-            const pos = new Vec2(x, y);
-            
-            // Stable orbital velocity (perpendicular to radial direction)
-            const orbitSpeed = Math.sqrt((centralMass + i) / radius) * 0.3;
-            const vx = -y / radius * orbitSpeed;
-            const vy = x / radius * orbitSpeed;
-            const vel = new Vec2(vx, vy);
-            
-            // Create body with mass between 0.1 and 2
-            const mass = 0.1 + Math.random() * 1.9;
-            const bodyRadius = Math.cbrt(mass);
-            
-            bodies[i] = new Body(pos, vel, mass, bodyRadius);
+        const store = this.store;
+        store.reserve(numBodies);
+        const random = new Random(this.seed);
+        this.generator.generate(store, numBodies, this.generatorParams, this.gravitationalConstant, random.next);
+    }
+    
+    // Parameters saved with a snapshot, in the form updateParameters() takes
+    snapshotParameters() {
+        return {
+            dt: this.dt,
+            theta: this.theta,
+            epsilon: this.epsilon,
+            g: this.gravitationalConstant,
+            units: this.units.name,
+            softening: this.softening,
+            quadrupole: this.quadrupole,
+            openingCriterion: this.openingCriterion,
+            forceAccuracy: this.forceAccuracy,
+            forceMethod: this.forceMethod,
+            fmmOrder: this.fmmOrder,
+            integrator: this.integrator.name,
+            timestepMode: this.timestepMode,
+            eta: this.timestepAccuracy,
+            collisionMode: this.collisionMode,
+            restitution: this.restitution,
+            generator: this.generator.name,
+            generatorParams: this.generatorParams,
+            seed: this.seed,
+            numBodies: this.numBodies
+        };
+    }
+    
+    // Replace the bodies, time and parameters with those of a Snapshot
+    loadSnapshot(snapshot) {
+        // The scenario only records where the bodies came from, so it is set without regenerating
+        const { generator, generatorParams, seed, numBodies, ...parameters } = snapshot.parameters;
+        const scenario = generator !== undefined ? Generator.create(generator) : this.generator;
+        if (seed !== undefined) Random.checkSeed(seed);
+        
+        this.updateParameters(parameters);
+        if (generator !== undefined) {
+            this.generator = scenario;
+            this.generatorParams = scenario.resolveParameters(generatorParams);
         }
+        if (seed !== undefined) this.seed = seed;
         
-        return bodies;
+        const store = this.store;
+        store.clear();
+        store.reserve(snapshot.count);
+        for (let i = 0; i < snapshot.count; i++) {
+            store.add(snapshot.x[i], snapshot.y[i], snapshot.vx[i], snapshot.vy[i], snapshot.mass[i], snapshot.radius[i]);
+        }
+        this.numBodies = numBodies !== undefined ? numBodies : snapshot.count;
+        this.time = snapshot.time;
+        this.forcesValid = false;
+        this.diagnostics.reset();
+        this.recordInitialRadii();
     }
     
-    // Add a body to the simulation
+    // Add a copy of a body to the simulation
     addBody(body) {
-        this.bodies.push(body);
+        const i = this.store.addBody(body);
+        this.forcesValid = false;
+        
+        // A new body starts where it is added
+        const id = this.store.id[i];
+        if (id >= this.initialRadius.length) {
+            const grown = new Float64Array(Math.max(2 * this.initialRadius.length, id + 1));
+            grown.set(this.initialRadius);
+            this.initialRadius = grown;
+        }
+        this.initialRadius[id] = Math.hypot(body.pos.x - this.initialCenter.x, body.pos.y - this.initialCenter.y);
+        
+        // The conserved quantities changed, so drifts restart from here
+        this.diagnostics.reset();
+    }
+    
+    // Change the mass and/or velocity of the body at a store index; fields left
+    // undefined keep their value. A new mass keeps the body's density; a body
+    // that had no mass gets the radius of generated bodies, Math.cbrt(mass).
+    updateBody(index, { mass, vx, vy }) {
+        const store = this.store;
+        if (mass !== undefined && mass !== store.mass[index]) {
+            if (!(mass > 0)) {
+                throw new Error(`Mass must be positive: ${mass}`);
+            }
+            store.radius[index] = store.mass[index] > 0
+                ? store.radius[index] * Math.cbrt(mass / store.mass[index])
+                : Math.cbrt(mass);
+            store.mass[index] = mass;
+            this.forcesValid = false;
+        }
+        if (vx !== undefined) store.vx[index] = vx;
+        if (vy !== undefined) store.vy[index] = vy;
+        this.diagnostics.reset();
     }
     
     // Simulation step
     step() {
-        this.calculateForces();
-        this.integrate();
-        
-        // Use spatial grid for collision detection only when there are many bodies
-        if (this.bodies.length > 500) {
-            this.handleCollisionsWithSpatialHash();
+        // Each yielded stage asks for accelerations at the current positions
+        const stages = this.stepStages();
+        for (let stage = stages.next(); !stage.done; stage = stages.next()) {
+            this.calculateForces(stage.value);
+        }
+        this.finishStep();
+    }
+    
+    // Simulation step with forces computed by the worker pool when worthwhile
+    // Falls back to the sequential path for small simulations or without workers
+    async stepAsync() {
+        this.stepping = true;
+        try {
+            const stages = this.stepStages();
+            for (let stage = stages.next(); !stage.done; stage = stages.next()) {
+                if (this.shouldUseWorkers(stage.value)) {
+                    await this.calculateForcesAsync(stage.value);
+                } else {
+                    this.calculateForces(stage.value);
+                }
+            }
+            this.finishStep();
+        } finally {
+            this.stepping = false;
+            this.applyPendingChanges();
+        }
+    }
+    
+    // Run a change to the bodies (reset, load, add, edit, ...) now, or once the
+    // step waiting on the workers is done. The integrators keep per-step state
+    // (body count, start positions, old accelerations), so a step resumed after
+    // the change would write its old bodies over the new ones.
+    whenIdle(change) {
+        if (this.stepping) {
+            this.pendingChanges.push(change);
         } else {
-            this.handleCollisions();
+            change();
+        }
+    }
+    
+    // Run the changes held back by whenIdle() in the order they were asked for.
+    // One that fails is reported without keeping the later ones from running, or
+    // failing the step it waited for.
+    applyPendingChanges() {
+        const changes = this.pendingChanges;
+        this.pendingChanges = [];
+        for (const change of changes) {
+            try {
+                change();
+            } catch (error) {
+                console.error('A change held back during a step failed:', error);
+            }
         }
     }
     
-    // Calculate gravitational forces (Barnes-Hut algorithm)
-    calculateForces() {
-        // Create quadtree containing all bodies
-        const quad = Quad.newContaining(this.bodies);
-        this.quadtree.clear(quad);
+    // Generator for one step: picks the timestep and runs the integrator
+    // Yields an active set ({ indices, count }) or undefined for all bodies
+    *stepStages() {
+        if (this.timestepMode === 'block') {
+            // Block steps always use per-level kick-drift-kick leapfrog
+            this.lastDt = this.dt;
+            yield* this.blockTimestepper.step(this, this.dt);
+            return;
+        }
         
-        // Insert bodies into quadtree
-        for (const body of this.bodies) {
-            this.quadtree.insert(body);
+        if (this.timestepMode === 'adaptive') {
+            if (!this.forcesValid) yield;
+            const dtMin = this.dt / (1 << this.maxTimestepLevel);
+            this.lastDt = AdaptiveTimestep.select(this, this.dt, dtMin);
+        } else {
+            this.lastDt = this.dt;
         }
         
-        // Calculate acceleration for each body
-        // Use parallel processing if available
-        if (typeof Worker !== 'undefined' && this.bodies.length > 5000) {
-            // Web Worker approach could be implemented here for large simulations
-            // For now, fallback to sequential processing
-            for (const body of this.bodies) {
-                body.acc = this.quadtree.calculateAcceleration(body);
+        yield* this.integrator.step(this, this.lastDt);
+    }
+    
+    // Advance the clock and resolve collisions once the bodies have moved
+    finishStep() {
+        this.time += this.lastDt;
+        
+        if (this.collisionMode !== 'none') {
+            const store = this.store;
+            if (this.removed.length < store.capacity) {
+                this.removed = new Uint8Array(store.capacity);
             }
-        } else {
-            // Standard sequential processing
-            for (const body of this.bodies) {
-                body.acc = this.quadtree.calculateAcceleration(body);
+            
+            // Use spatial grid for collision detection only when there are many bodies
+            if (store.count > 500) {
+                this.handleCollisionsWithSpatialHash();
+            } else {
+                this.handleCollisions();
+            }
+            
+            // Bodies merged away are only dropped once the pass is over, so indices stay valid during it
+            if (this.removedCount > 0) {
+                store.compact(this.removed);
+                this.removed.fill(0, 0, store.capacity);
+                this.removedCount = 0;
+                this.forcesValid = false;
             }
         }
+        
+        this.diagnostics.afterStep();
     }
     
-    // Update positions and velocities
-    integrate() {
-        for (const body of this.bodies) {
-            body.update(this.dt);
-        }
+    // Parameters of the force computation, as passed to Quadtree.setParameters
+    forceParameters() {
+        return {
+            forceMethod: this.forceMethod,
+            theta: this.theta,
+            epsilon: this.epsilon,
+            gravitationalConstant: this.gravitationalConstant,
+            softening: this.softening,
+            quadrupole: this.quadrupole,
+            openingCriterion: this.openingCriterion,
+            forceAccuracy: this.forceAccuracy,
+            fmmOrder: this.fmmOrder
+        };
     }
     
-    // Handle collisions (traditional O(n²) approach)
-    handleCollisions() {
-        const len = this.bodies.length;
+    // Check if the worker pool should handle the force computation
+    // The FMM evaluates all bodies in one pass, so it always runs on the main thread
+    shouldUseWorkers(active) {
+        const count = active ? active.count : this.store.count;
+        return this.workerPool !== null && this.forceMethod !== 'fmm' && count > this.workerThreshold;
+    }
+    
+    // Backend that computes the accelerations with the current force method
+    get forceSolver() {
+        return this.forceSolvers[this.forceMethod];
+    }
+    
+    // Rebuild the quadtree from the current body positions
+    buildQuadtree() {
+        this.quadtree.build(this.store);
+    }
+    
+    // Calculate gravitational forces with the selected backend
+    // With an active set, only those bodies get new accelerations
+    calculateForces(active) {
+        // The tree is rebuilt with every backend so it can still be drawn (the FMM shares it)
+        this.buildQuadtree();
+        const solver = this.forceSolver;
+        if (solver !== this.quadtree) {
+            solver.build(this.store, true);
+        }
         
-        for (let i = 0; i < len; i++) {
-            const bodyA = this.bodies[i];
-            
-            for (let j = i + 1; j < len; j++) {
-                const bodyB = this.bodies[j];
-                
-                // Quick distance check to avoid unnecessary calculations
-                const dx = bodyB.pos.x - bodyA.pos.x;
-                const dy = bodyB.pos.y - bodyA.pos.y;
-                const minDistance = bodyA.radius + bodyB.radius;
-                
-                // Square comparison to avoid square root calculation
-                if (dx * dx + dy * dy < minDistance * minDistance) {
-                    this.resolveCollision(bodyA, bodyB, dx, dy);
-                }
+        if (active) {
+            for (let k = 0; k < active.count; k++) {
+                solver.calculateAcceleration(active.indices[k]);
             }
+            return;
+        }
+        
+        // Calculate acceleration for each body
+        for (let i = 0; i < this.store.count; i++) {
+            solver.calculateAcceleration(i);
+        }
+        this.forcesValid = true;
+    }
+    
+    // Relative error of the approximate force backend against direct summation,
+    // on a random sample of bodies (see Diagnostics.forceError)
+    measureForceError(sampleCount = 256) {
+        return Diagnostics.forceError(this, sampleCount);
+    }
+    
+    // Calculate gravitational forces on the worker pool
+    async calculateForcesAsync(active) {
+        const store = this.store;
+        const targets = active ? active.indices : null;
+        const targetCount = active ? active.count : store.count;
+        let accelerations;
+        
+        try {
+            accelerations = await this.workerPool.compute(store, this.forceParameters(), targets, targetCount);
+        } catch (error) {
+            // Don't retry a broken pool every frame
+            console.warn('Disabling force workers:', error);
+            this.workerPool.terminate();
+            this.workerPool = null;
+            this.calculateForces(active);
+            return;
+        }
+        
+        // Keep the main-thread tree in step for visualization
+        this.buildQuadtree();
+        
+        // Bodies added while the workers were busy keep their previous acceleration
+        for (let k = 0; k < targetCount; k++) {
+            const i = targets ? targets[k] : k;
+            if (i >= store.count) continue;
+            store.ax[i] = accelerations[k * 2];
+            store.ay[i] = accelerations[k * 2 + 1];
+        }
+        if (!active) {
+            this.forcesValid = targetCount === store.count;
         }
     }
     
+    // Handle collisions (traditional O(n²) approach)
+    handleCollisions() {
+        SpatialHash.findPairsBruteForce(this.store, this.collisionPairs);
+        this.resolveCollisionPairs();
+    }
+    
     // Handle collisions using spatial hashing (more efficient for many bodies)
+    // Finds the same pairs as handleCollisions(), so both resolve identically
     handleCollisionsWithSpatialHash() {
-        // Clear previous grid
-        this.spatialGrid.clear();
-        
-        // Add bodies to grid
-        for (let i = 0; i < this.bodies.length; i++) {
-            const body = this.bodies[i];
-            const gridX = Math.floor(body.pos.x / this.gridSize);
-            const gridY = Math.floor(body.pos.y / this.gridSize);
-            
-            // Check 9 neighboring cells
-            for (let dx = -1; dx <= 1; dx++) {
-                for (let dy = -1; dy <= 1; dy++) {
-                    const key = `${gridX + dx},${gridY + dy}`;
-                    
-                    // Check for collisions with bodies in this cell
-                    if (this.spatialGrid.has(key)) {
-                        const cellBodies = this.spatialGrid.get(key);
-                        
-                        for (const otherBody of cellBodies) {
-                            // Avoid checking the same pair twice
-                            if (body === otherBody) continue;
-                            
-                            // Calculate distance
-                            const dx = otherBody.pos.x - body.pos.x;
-                            const dy = otherBody.pos.y - body.pos.y;
-                            const minDistance = body.radius + otherBody.radius;
-                            
-                            // Square comparison to avoid square root calculation
-                            if (dx * dx + dy * dy < minDistance * minDistance) {
-                                this.resolveCollision(body, otherBody, dx, dy);
-                            }
-                        }
-                    }
-                }
-            }
+        this.spatialHash.findPairs(this.store, this.collisionPairs);
+        this.collisionPairs.sort();
+        this.resolveCollisionPairs();
+    }
+    
+    // Resolve the detected pairs in (i, j) order
+    // Earlier resolutions move bodies, so each pair is checked again before resolving
+    resolveCollisionPairs() {
+        const store = this.store;
+        const pairs = this.collisionPairs;
+        
+        for (let k = 0; k < pairs.count; k++) {
+            const i = pairs.first(k);
+            const j = pairs.second(k);
+            const dx = store.x[j] - store.x[i];
+            const dy = store.y[j] - store.y[i];
+            const minDistance = store.radius[i] + store.radius[j];
             
-            // Add this body to the grid
-            const key = `${gridX},${gridY}`;
-            if (!this.spatialGrid.has(key)) {
-                this.spatialGrid.set(key, []);
+            if (dx * dx + dy * dy < minDistance * minDistance) {
+                this.resolveCollision(i, j, dx, dy);
             }
-            this.spatialGrid.get(key).push(body);
         }
     }
     
-    // Resolve a collision between two bodies
-    resolveCollision(bodyA, bodyB, dx, dy) {
+    // Resolve a collision between the bodies at store indices a and b
+    resolveCollision(a, b, dx, dy) {
+        // A body merged away earlier in this pass no longer collides
+        if (this.removed[a] || this.removed[b]) return;
+        
+        if (this.collisionMode === 'merge') {
+            this.mergeBodies(a, b);
+        } else {
+            this.bounceBodies(a, b, dx, dy);
+        }
+    }
+    
+    // Perfectly inelastic collision: the lighter body is merged into the heavier one
+    // Mass, momentum and the centre of mass are conserved; the radius is recomputed
+    // from the new mass as Math.cbrt(mass), like generated bodies
+    mergeBodies(a, b) {
+        const store = this.store;
+        const keep = store.mass[a] >= store.mass[b] ? a : b;
+        const gone = keep === a ? b : a;
+        
+        const massKeep = store.mass[keep];
+        const massGone = store.mass[gone];
+        const totalMass = massKeep + massGone;
+        const wKeep = massKeep / totalMass;
+        const wGone = massGone / totalMass;
+        
+        store.x[keep] = store.x[keep] * wKeep + store.x[gone] * wGone;
+        store.y[keep] = store.y[keep] * wKeep + store.y[gone] * wGone;
+        store.vx[keep] = store.vx[keep] * wKeep + store.vx[gone] * wGone;
+        store.vy[keep] = store.vy[keep] * wKeep + store.vy[gone] * wGone;
+        store.ax[keep] = store.ax[keep] * wKeep + store.ax[gone] * wGone;
+        store.ay[keep] = store.ay[keep] * wKeep + store.ay[gone] * wGone;
+        store.mass[keep] = totalMass;
+        store.radius[keep] = Math.cbrt(totalMass);
+        
+        this.removed[gone] = 1;
+        this.removedCount++;
+    }
+    
+    // Bounce two overlapping bodies off each other with the configured restitution
+    bounceBodies(a, b, dx, dy) {
+        const store = this.store;
+        
         // Calculate distance
         const distSq = dx * dx + dy * dy;
         const distance = Math.sqrt(distSq);
-        const minDistance = bodyA.radius + bodyB.radius;
+        const minDistance = store.radius[a] + store.radius[b];
         
         // Calculate normalized direction vector
         const nx = dx / distance;
         const ny = dy / distance;
         
         // Calculate relative velocity
-        const dvx = bodyB.vel.x - bodyA.vel.x;
-        const dvy = bodyB.vel.y - bodyA.vel.y;
+        const dvx = store.vx[b] - store.vx[a];
+        const dvy = store.vy[b] - store.vy[a];
         
         // Calculate velocity along normal
         const velAlongNormal = dvx * nx + dvy * ny;
         
         // Only process if bodies are moving toward each other
         if (velAlongNormal < 0) {
-            // Coefficient of restitution (elasticity)
-            const restitution = 0.5;
+            // Coefficient of restitution (1 = elastic, 0 = the normal velocities become equal)
+            const restitution = this.restitution;
             
             // Calculate impulse scalar
-            const totalMass = bodyA.mass + bodyB.mass;
+            const massA = store.mass[a];
+            const massB = store.mass[b];
+            const totalMass = massA + massB;
             const impulse = -(1 + restitution) * velAlongNormal / totalMass;
             
             // Apply impulse
             const impulseX = impulse * nx;
             const impulseY = impulse * ny;
             
-            bodyA.vel.x -= impulseX * bodyB.mass;
-            bodyA.vel.y -= impulseY * bodyB.mass;
-            bodyB.vel.x += impulseX * bodyA.mass;
-            bodyB.vel.y += impulseY * bodyA.mass;
+            store.vx[a] -= impulseX * massB;
+            store.vy[a] -= impulseY * massB;
+            store.vx[b] += impulseX * massA;
+            store.vy[b] += impulseY * massA;
             
             // Separate bodies
             const percent = 0.2; // Penetration resolution percentage (0-1)
@@ -239,30 +567,136 @@ class Simulation {
             const correctionX = nx * correction;
             const correctionY = ny * correction;
             
-            bodyA.pos.x -= correctionX * bodyB.mass;
-            bodyA.pos.y -= correctionY * bodyB.mass;
-            bodyB.pos.x += correctionX * bodyA.mass;
-            bodyB.pos.y += correctionY * bodyA.mass;
+            store.x[a] -= correctionX * massB;
+            store.y[a] -= correctionY * massB;
+            store.x[b] += correctionX * massA;
+            store.y[b] += correctionY * massA;
+            
+            // Positions moved, so the accelerations are stale
+            this.forcesValid = false;
         }
     }
     
     // Update simulation parameters
     updateParameters(params) {
+        // Everything is looked up and checked first, so a bad value leaves every
+        // parameter as it was (a bad G would turn positions NaN within a step)
+        if (params.g !== undefined && !(Number.isFinite(params.g) && params.g > 0)) {
+            throw new Error(`G must be a positive number: ${params.g}`);
+        }
+        if (params.seed !== undefined) Random.checkSeed(params.seed);
+        const generator = params.generator !== undefined && params.generator !== this.generator.name
+            ? Generator.create(params.generator)
+            : null;
+        const integrator = params.integrator !== undefined && params.integrator !== this.integrator.name
+            ? Integrator.create(params.integrator)
+            : null;
+        const units = params.units !== undefined ? UnitSystem.get(params.units) : null;
+        if (params.collisionMode !== undefined && !Simulation.COLLISION_MODES[params.collisionMode]) {
+            throw new Error(`Unknown collision mode: ${params.collisionMode}`);
+        }
+        if (params.timestepMode !== undefined && !Simulation.TIMESTEP_MODES[params.timestepMode]) {
+            throw new Error(`Unknown timestep mode: ${params.timestepMode}`);
+        }
+        if (params.softening !== undefined) SofteningKernel.get(params.softening);
+        if (params.openingCriterion !== undefined && !Quadtree.OPENING_CRITERIA[params.openingCriterion]) {
+            throw new Error(`Unknown opening criterion: ${params.openingCriterion}`);
+        }
+        if (params.fmmOrder !== undefined) FastMultipole.checkOrder(params.fmmOrder);
+        if (params.forceMethod !== undefined && !this.forceSolvers[params.forceMethod]) {
+            throw new Error(`Unknown force method: ${params.forceMethod}`);
+        }
+        
+        // What the energy depends on besides the bodies, to tell whether it changes
+        const energyDefinition = [this.epsilon, this.softening, this.units, this.gravitationalConstant];
+        
+        // A new scenario, seed or body count regenerates the bodies (once, after all are applied)
+        let regenerate = false;
+        if (params.seed !== undefined && params.seed !== this.seed) {
+            this.seed = params.seed;
+            regenerate = true;
+        }
+        if (generator) {
+            this.generator = generator;
+            this.generatorParams = generator.resolveParameters(params.generatorParams);
+            regenerate = true;
+        } else if (params.generatorParams !== undefined) {
+            const next = this.generator.resolveParameters({ ...this.generatorParams, ...params.generatorParams });
+            if (Object.keys(next).some(key => next[key] !== this.generatorParams[key])) {
+                this.generatorParams = next;
+                regenerate = true;
+            }
+        }
         if (params.numBodies !== undefined && params.numBodies !== this.numBodies) {
             this.numBodies = params.numBodies;
-            this.reset();
+            regenerate = true;
         }
         if (params.dt !== undefined) this.dt = params.dt;
-        if (params.theta !== undefined) {
-            this.theta = params.theta;
-            this.quadtree.theta = params.theta;
-            this.quadtree.thetaSquared = params.theta * params.theta;
-        }
-        if (params.epsilon !== undefined) {
-            this.epsilon = params.epsilon;
-            this.quadtree.epsilon = params.epsilon;
-            this.quadtree.epsilonSquared = params.epsilon * params.epsilon;
+        if (params.collisionMode !== undefined) this.collisionMode = params.collisionMode;
+        if (params.restitution !== undefined) this.restitution = params.restitution;
+        if (params.timestepMode !== undefined) this.timestepMode = params.timestepMode;
+        if (params.eta !== undefined) this.timestepAccuracy = params.eta;
+        if (integrator) this.integrator = integrator;
+        if (params.theta !== undefined) this.theta = params.theta;
+        if (params.epsilon !== undefined) this.epsilon = params.epsilon;
+        if (params.softening !== undefined) this.softening = params.softening;
+        if (params.quadrupole !== undefined) this.quadrupole = params.quadrupole;
+        if (params.openingCriterion !== undefined) this.openingCriterion = params.openingCriterion;
+        if (params.forceAccuracy !== undefined) this.forceAccuracy = params.forceAccuracy;
+        if (params.fmmOrder !== undefined) this.fmmOrder = params.fmmOrder;
+        if (params.forceMethod !== undefined) this.forceMethod = params.forceMethod;
+        
+        // A unit system brings its own G unless one is given explicitly
+        if (units) {
+            this.units = units;
+            this.gravitationalConstant = units.G;
         }
         if (params.g !== undefined) this.gravitationalConstant = params.g;
+        
+        if (params.theta !== undefined || params.epsilon !== undefined || params.softening !== undefined ||
+            params.quadrupole !== undefined || params.openingCriterion !== undefined ||
+            params.forceAccuracy !== undefined || params.forceMethod !== undefined || params.fmmOrder !== undefined ||
+            params.units !== undefined || params.g !== undefined) {
+            for (const solver of Object.values(this.forceSolvers)) {
+                solver.setParameters(this.forceParameters());
+            }
+            this.forcesValid = false;
+        }
+        
+        // Energy is defined differently afterwards, so drifts restart
+        // (dt and theta are kept: judging them is what the drifts are for)
+        const definition = [this.epsilon, this.softening, this.units, this.gravitationalConstant];
+        if (definition.some((value, k) => value !== energyDefinition[k])) {
+            this.diagnostics.reset();
+        }
+        if (params.diagnosticsInterval !== undefined) {
+            this.diagnostics.interval = params.diagnosticsInterval;
+        }
+        
+        // Last, so the new bodies get the new G
+        if (regenerate) {
+            this.reset();
+        }
     }
 }
+
+// Selectable force backends
+Simulation.FORCE_METHODS = {
+    tree: 'Barnes-Hut tree',
+    direct: 'Direct summation (exact)',
+    fmm: 'Fast multipole (FMM)'
+};
+
+// How the step size is chosen (see stepStages)
+Simulation.TIMESTEP_MODES = {
+    fixed: 'Fixed',
+    adaptive: 'Adaptive',
+    block: 'Block (per body)'
+};
+
+// Ways to resolve overlapping bodies
+Simulation.COLLISION_MODES = {
+    elastic: 'Bounce',
+    merge: 'Merge',
+    none: 'None'
+};
@@ -0,0 +1,195 @@
+// Snapshot holds the complete state of a simulation: every body's position,
+// velocity, mass and radius, the elapsed time and the parameters.
+// It converts to a readable JSON format and a compact binary format.
+//
+// Binary layout (little-endian):
+//   0   'NBSN' magic, uint32 version, uint32 body count, uint32 unit system
+//   16  float64 time, dt, theta, epsilon, G
+//   56  float64 arrays of x, y, vx, vy, mass and radius, one after another
+// The unit system is 1 + its index in Snapshot.UNIT_SYSTEMS (0 if not stored).
+// The binary format keeps only these parameters; JSON keeps all of them.
+// Both formats are checked alike when read (see validate).
+class Snapshot {
+    constructor(time, parameters, count) {
+        this.time = time;
+        this.parameters = parameters;  // As accepted by Simulation.updateParameters
+        this.count = count;
+        for (const key of Snapshot.BODY_FIELDS) {
+            this[key] = new Float64Array(count);
+        }
+    }
+
+    // Copy the state of a simulation
+    static capture(simulation) {
+        const store = simulation.store;
+        const snapshot = new Snapshot(simulation.time, simulation.snapshotParameters(), store.count);
+        for (const key of Snapshot.BODY_FIELDS) {
+            snapshot[key].set(store[key].subarray(0, store.count));
+        }
+        return snapshot;
+    }
+
+    // Readable JSON: parameters, then one object per body
+    toJSON() {
+        const bodies = [];
+        for (let i = 0; i < this.count; i++) {
+            const body = {};
+            for (const key of Snapshot.BODY_FIELDS) {
+                body[key] = this[key][i];
+            }
+            bodies.push(body);
+        }
+        return {
+            format: Snapshot.FORMAT,
+            version: Snapshot.VERSION,
+            time: this.time,
+            parameters: this.parameters,
+            bodies
+        };
+    }
+
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== Snapshot.FORMAT) {
+            throw new Error('Not a simulation snapshot');
+        }
+        if (data.version > Snapshot.VERSION) {
+            throw new Error(`Unsupported snapshot version: ${data.version}`);
+        }
+        if (!Array.isArray(data.bodies)) {
+            throw new Error('Snapshot has no bodies');
+        }
+
+        // Anything but a number (NaN is written as null) fails validate()
+        const time = typeof data.time === 'number' ? data.time : NaN;
+        const snapshot = new Snapshot(time, data.parameters || {}, data.bodies.length);
+        data.bodies.forEach((body, i) => {
+            for (const key of Snapshot.BODY_FIELDS) {
+                snapshot[key][i] = Number(body[key]);
+            }
+        });
+        return snapshot.validate();
+    }
+
+    // Reject a time, numeric parameter or body value the simulation can't run with.
+    // Masses may be 0 (test particles). Returns the snapshot.
+    validate() {
+        if (!Number.isFinite(this.time)) {
+            throw new Error(`Snapshot has an invalid time: ${this.time}`);
+        }
+        for (const key of ['dt', 'theta', 'epsilon', 'g']) {
+            const value = this.parameters[key];
+            if (value === undefined) continue;
+            const positive = key === 'dt' || key === 'g';
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (positive && value === 0)) {
+                throw new Error(`Snapshot has an invalid ${key}: ${value}`);
+            }
+        }
+        for (const key of Snapshot.BODY_FIELDS) {
+            const values = this[key];
+            const nonNegative = key === 'mass' || key === 'radius';
+            for (let i = 0; i < this.count; i++) {
+                if (!Number.isFinite(values[i]) || (nonNegative && values[i] < 0)) {
+                    throw new Error(`Body ${i} has an invalid ${key}: ${values[i]}`);
+                }
+            }
+        }
+        return this;
+    }
+
+    // Compact binary encoding, as an ArrayBuffer
+    toBinary() {
+        const fields = Snapshot.BODY_FIELDS;
+        const buffer = new ArrayBuffer(Snapshot.HEADER_SIZE + fields.length * this.count * 8);
+        const view = new DataView(buffer);
+
+        for (let k = 0; k < 4; k++) {
+            view.setUint8(k, Snapshot.MAGIC.charCodeAt(k));
+        }
+        view.setUint32(4, Snapshot.VERSION, true);
+        view.setUint32(8, this.count, true);
+        view.setUint32(12, Snapshot.UNIT_SYSTEMS.indexOf(this.parameters.units) + 1, true);
+
+        const p = this.parameters;
+        const header = [this.time, p.dt, p.theta, p.epsilon, p.g];
+        header.forEach((value, k) => view.setFloat64(16 + k * 8, value, true));
+
+        let offset = Snapshot.HEADER_SIZE;
+        for (const key of fields) {
+            const values = this[key];
+            for (let i = 0; i < this.count; i++) {
+                view.setFloat64(offset, values[i], true);
+                offset += 8;
+            }
+        }
+        return buffer;
+    }
+
+    static fromBinary(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < Snapshot.HEADER_SIZE || !Snapshot.isBinary(buffer)) {
+            throw new Error('Not a binary simulation snapshot');
+        }
+        const version = view.getUint32(4, true);
+        if (version > Snapshot.VERSION) {
+            throw new Error(`Unsupported snapshot version: ${version}`);
+        }
+        const count = view.getUint32(8, true);
+        const fields = Snapshot.BODY_FIELDS;
+        if (buffer.byteLength < Snapshot.HEADER_SIZE + fields.length * count * 8) {
+            throw new Error('Snapshot file is truncated');
+        }
+
+        const [time, dt, theta, epsilon, g] = [0, 1, 2, 3, 4].map(k => view.getFloat64(16 + k * 8, true));
+        const parameters = { dt, theta, epsilon, g };
+        const units = view.getUint32(12, true);
+        if (units > Snapshot.UNIT_SYSTEMS.length) {
+            throw new Error(`Unknown unit system in snapshot: ${units}`);
+        }
+        if (units > 0) {
+            parameters.units = Snapshot.UNIT_SYSTEMS[units - 1];
+        }
+        const snapshot = new Snapshot(time, parameters, count);
+
+        let offset = Snapshot.HEADER_SIZE;
+        for (const key of fields) {
+            const values = snapshot[key];
+            for (let i = 0; i < count; i++) {
+                values[i] = view.getFloat64(offset, true);
+                offset += 8;
+            }
+        }
+        return snapshot.validate();
+    }
+
+    // Check for the binary magic bytes
+    static isBinary(buffer) {
+        if (buffer.byteLength < 4) return false;
+        const bytes = new Uint8Array(buffer, 0, 4);
+        for (let k = 0; k < 4; k++) {
+            if (bytes[k] !== Snapshot.MAGIC.charCodeAt(k)) return false;
+        }
+        return true;
+    }
+
+    // Decode the contents of a snapshot file in either format
+    static decode(buffer) {
+        if (Snapshot.isBinary(buffer)) {
+            return Snapshot.fromBinary(buffer);
+        }
+        return Snapshot.fromJSON(new TextDecoder().decode(buffer));
+    }
+}
+
+// Per-body quantities stored in a snapshot (BodyStore array names)
+Snapshot.BODY_FIELDS = ['x', 'y', 'vx', 'vy', 'mass', 'radius'];
+
+Snapshot.FORMAT = 'n-body-snapshot';
+Snapshot.VERSION = 1;
+Snapshot.MAGIC = 'NBSN';
+Snapshot.HEADER_SIZE = 56;
+
+// Unit systems a binary snapshot can name; new ones go at the end so stored ids keep their meaning
+Snapshot.UNIT_SYSTEMS = ['nbody', 'si', 'solar', 'galactic'];
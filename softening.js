@@ -0,0 +1,75 @@
+// SofteningKernel describes how gravity is softened at small separations.
+// For a source of mass m at separation d (vector from target to source, r = |d|):
+//   acceleration = G * m * force(r², ε) * d
+//   potential    = -G * m * potential(r², ε)
+// ε is the Plummer-equivalent softening length for every kernel, so values
+// can be compared directly with the literature.
+class SofteningKernel {
+    constructor(name, label, force, potential) {
+        this.name = name;
+        this.label = label;
+        this.force = force;
+        this.potential = potential;
+    }
+
+    // Look up a kernel by name
+    static get(name) {
+        const kernel = SofteningKernel.kernels[name];
+        if (!kernel) {
+            throw new Error(`Unknown softening kernel: ${name}`);
+        }
+        return kernel;
+    }
+}
+
+// GADGET-2 cubic spline: kernel support h = 2.8 ε, exactly Newtonian beyond h
+SofteningKernel.SPLINE_SUPPORT = 2.8;
+
+SofteningKernel.kernels = {
+    // Plain Newtonian gravity
+    none: new SofteningKernel('none', 'None (Newtonian)',
+        r2 => {
+            const r = Math.sqrt(r2);
+            return 1 / (r2 * r);
+        },
+        r2 => 1 / Math.sqrt(r2)
+    ),
+
+    // Plummer sphere: 1 / (r² + ε²)^(3/2)
+    plummer: new SofteningKernel('plummer', 'Plummer',
+        (r2, epsilon) => {
+            const s2 = r2 + epsilon * epsilon;
+            return 1 / (s2 * Math.sqrt(s2));
+        },
+        (r2, epsilon) => 1 / Math.sqrt(r2 + epsilon * epsilon)
+    ),
+
+    // Monaghan & Lattanzio cubic spline, with the coefficients used in GADGET-2
+    spline: new SofteningKernel('spline', 'Cubic spline (GADGET)',
+        (r2, epsilon) => {
+            const h = SofteningKernel.SPLINE_SUPPORT * epsilon;
+            const r = Math.sqrt(r2);
+            if (r >= h) return 1 / (r2 * r);
+
+            const u = r / h;
+            const h3 = h * h * h;
+            if (u < 0.5) {
+                return (10.666666666667 + u * u * (32.0 * u - 38.4)) / h3;
+            }
+            return (21.333333333333 - 48.0 * u + 38.4 * u * u - 10.666666666667 * u * u * u -
+                0.066666666667 / (u * u * u)) / h3;
+        },
+        (r2, epsilon) => {
+            const h = SofteningKernel.SPLINE_SUPPORT * epsilon;
+            const r = Math.sqrt(r2);
+            if (r >= h) return 1 / r;
+
+            const u = r / h;
+            if (u < 0.5) {
+                return -(-2.8 + u * u * (5.333333333333 + u * u * (6.4 * u - 9.6))) / h;
+            }
+            return -(-3.2 + 0.066666666667 / u +
+                u * u * (10.666666666667 + u * (-16.0 + u * (9.6 - 2.133333333333 * u)))) / h;
+        }
+    )
+};
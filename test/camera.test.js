@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Camera, Simulation, Body, Vec2, TrailBuffer, Random } = require('../headless');
+
+// Simulation holding the given bodies, without collisions
+function simulationOf(bodies) {
+    const simulation = new Simulation({ numBodies: 1, useWorkers: false, collisionMode: 'none' });
+    simulation.bodies = bodies;
+    return simulation;
+}
+
+// Let the camera settle over `seconds` of 60 Hz frames
+function settle(camera, simulation, seconds = 3) {
+    for (let frame = 0; frame < seconds * 60; frame++) {
+        camera.update(simulation, 1 / 60);
+    }
+}
+
+function near(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual.x - expected.x) < tolerance && Math.abs(actual.y - expected.y) < tolerance,
+        `(${actual.x}, ${actual.y}) is not (${expected.x}, ${expected.y})`);
+}
+
+test('switching the camera mode keeps the view, then eases onto the target', () => {
+    const simulation = simulationOf([
+        new Body(new Vec2(10, 0), new Vec2(0, 1), 3, 1),
+        new Body(new Vec2(50, 20), new Vec2(0, 0), 1, 1)
+    ]);
+    const camera = new Camera();
+    camera.pan(-5, 7);
+    const before = camera.center();
+
+    camera.setMode('centerOfMass', simulation);
+    near(camera.center(), before);
+    assert.strictEqual(camera.update(simulation, 1 / 60), true);
+    settle(camera, simulation);
+    near(camera.center(), new Vec2(20, 5));
+    assert.strictEqual(camera.update(simulation, 1 / 60), false);
+
+    // Following a body keeps it centred as it moves
+    camera.setMode('body', simulation, simulation.store.id[1]);
+    settle(camera, simulation);
+    simulation.store.x[1] += 3;
+    camera.update(simulation, 1 / 60);
+    near(camera.center(), new Vec2(53, 20));
+
+    // When it is gone the camera stays free where it was
+    simulation.store.compact(Uint8Array.from([0, 1]));
+    camera.update(simulation, 1 / 60);
+    assert.strictEqual(camera.mode, 'free');
+    near(camera.center(), new Vec2(53, 20));
+    assert.throws(() => camera.setMode('orbit', simulation), /Unknown camera mode: orbit/);
+});
+
+test('fit eases the view onto all bodies', () => {
+    const simulation = simulationOf([
+        new Body(new Vec2(-100, 40), Vec2.zero(), 1, 1),
+        new Body(new Vec2(300, 10), Vec2.zero(), 1, 1),
+        new Body(new Vec2(0, -60), Vec2.zero(), 1, 1)
+    ]);
+    const camera = new Camera();
+    camera.fit(simulation.store);
+    settle(camera, simulation);
+
+    const center = camera.center();
+    const store = simulation.store;
+    for (let i = 0; i < store.count; i++) {
+        assert.ok(Math.abs(store.x[i] - center.x) < camera.scale && Math.abs(store.y[i] - center.y) < camera.scale);
+    }
+    // The widest extent fills most of the view
+    assert.ok(Math.abs(camera.scale - 1.1 * 402 / 2) < 1e-6, `scale ${camera.scale}`);
+});
+
+test('the densest region is found among scattered bodies', () => {
+    const random = new Random(3).next;
+    const bodies = [];
+    for (let i = 0; i < 200; i++) {
+        bodies.push(new Body(new Vec2(1000 * random() - 500, 1000 * random() - 500), Vec2.zero(), 1, 1));
+    }
+    for (let i = 0; i < 100; i++) {
+        bodies.push(new Body(new Vec2(200 + 10 * random(), -300 + 10 * random()), Vec2.zero(), 1, 1));
+    }
+    const simulation = simulationOf(bodies);
+    const camera = new Camera();
+    near(camera.densestPoint(simulation.store), new Vec2(205, -295), 20);
+
+    camera.setMode('densest', simulation);
+    settle(camera, simulation);
+    near(camera.center(), new Vec2(205, -295), 20);
+});
+
+test('a co-rotating frame turns with simulation time and keeps its trails', () => {
+    const simulation = simulationOf([new Body(new Vec2(10, 0), Vec2.zero(), 1, 1)]);
+    const camera = new Camera();
+    camera.setRotation(0.5, simulation);
+    assert.strictEqual(camera.angle, 0);
+
+    simulation.time += 2;
+    camera.update(simulation, 1 / 60);
+    assert.ok(Math.abs(camera.frameAngle - 1) < 1e-12);
+
+    // A body at rest in the world goes round the frame the other way
+    const trails = new TrailBuffer(4);
+    trails.record(simulation.store, null, camera.origin, camera.frameAngle);
+    const x = trails.xs[trails.pointIndex(0, 0)];
+    const y = trails.ys[trails.pointIndex(0, 0)];
+    assert.ok(Math.abs(x - 10 * Math.cos(1)) < 1e-5 && Math.abs(y + 10 * Math.sin(1)) < 1e-5);
+
+    // Stopping the rotation turns the view back to the world axes
+    const version = camera.frameVersion;
+    camera.setRotation(0, simulation);
+    assert.ok(Math.abs(camera.angle - 1) < 1e-12);
+    assert.notStrictEqual(camera.frameVersion, version);
+    settle(camera, simulation);
+    assert.strictEqual(camera.angle, 0);
+});
@@ -0,0 +1,246 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BodyStore, SpatialHash, CollisionPairs, Simulation } = require('../headless');
+
+// Small seeded generator so failures can be reproduced
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Sorted pair keys from both broad phases
+function bothPairSets(store) {
+    const bruteForce = new CollisionPairs();
+    SpatialHash.findPairsBruteForce(store, bruteForce);
+
+    const hashed = new CollisionPairs();
+    new SpatialHash().findPairs(store, hashed);
+    hashed.sort();
+
+    return [
+        Array.from(bruteForce.keys.subarray(0, bruteForce.count)),
+        Array.from(hashed.keys.subarray(0, hashed.count))
+    ];
+}
+
+function randomStore(rand, count, { extent, radius, oversized = 0, offset = 0 }) {
+    const store = new BodyStore(count);
+    for (let i = 0; i < count; i++) {
+        const r = i < oversized ? radius() * (20 + 50 * rand()) : radius();
+        store.add(offset + (rand() - 0.5) * extent, offset + (rand() - 0.5) * extent, 0, 0, 1, r);
+    }
+    return store;
+}
+
+test('spatial hash finds the same pairs as the O(n²) scan on random configurations', () => {
+    const rand = random(12345);
+    const configurations = [
+        { extent: 100, radius: () => Math.cbrt(0.1 + 1.9 * rand()) },
+        { extent: 40, radius: () => Math.cbrt(0.1 + 1.9 * rand()), oversized: 3 },
+        { extent: 60, radius: () => 0.2 + 3 * rand() ** 4, oversized: 10 },
+        { extent: 30, radius: () => (rand() < 0.5 ? 0 : 1) },
+        { extent: 50, radius: () => 1, offset: 1e7 },
+        { extent: 50, radius: () => 0.5 + rand(), offset: -2500.5 }
+    ];
+
+    for (const configuration of configurations) {
+        for (const count of [2, 37, 600, 2000]) {
+            const store = randomStore(rand, count, configuration);
+            const [expected, actual] = bothPairSets(store);
+            assert.deepStrictEqual(actual, expected);
+        }
+    }
+});
+
+test('spatial hash handles coincident, touching and zero-radius bodies', () => {
+    const store = new BodyStore();
+    store.add(0, 0, 0, 0, 1, 1);
+    store.add(0, 0, 0, 0, 1, 1);     // Coincident with body 0
+    store.add(2, 0, 0, 0, 1, 1);     // Exactly touching body 0: not overlapping
+    store.add(2.5, 0, 0, 0, 1, 0);   // Point inside body 2
+    store.add(2.5, 0, 0, 0, 1, 0);   // Two coincident points don't overlap
+    store.add(-3, -3, 0, 0, 1, 1);
+
+    const [expected, actual] = bothPairSets(store);
+    assert.deepStrictEqual(actual, expected);
+    assert.deepStrictEqual(actual, [0 * 6 + 1, 2 * 6 + 3, 2 * 6 + 4]);
+});
+
+test('points without radius do not make every other body oversized', () => {
+    const rand = random(14);
+    const store = new BodyStore();
+    for (let i = 0; i < 3000; i++) {
+        store.add(200 * rand(), 200 * rand(), 0, 0, 1, i % 3 === 0 ? 0.5 + rand() : 0);
+    }
+
+    const hash = new SpatialHash();
+    hash.findPairs(store, new CollisionPairs());
+    assert.strictEqual(hash.oversizedCount, 0);
+
+    const [expected, actual] = bothPairSets(store);
+    assert.ok(expected.length > 0);
+    assert.deepStrictEqual(actual, expected);
+});
+
+test('a population of large bodies goes into the grid rather than the oversized pass', () => {
+    const rand = random(15);
+    const store = new BodyStore();
+    for (let i = 0; i < 3000; i++) {
+        // Most bodies are small and set the median; a third are 10-20 times larger
+        const radius = i % 3 === 0 ? 2 + 2 * rand() : 0.2;
+        store.add(300 * rand(), 300 * rand(), 0, 0, 1, radius);
+    }
+    store.add(150, 150, 0, 0, 1000, 30);      // And one much larger still
+
+    const hash = new SpatialHash();
+    hash.findPairs(store, new CollisionPairs());
+    assert.strictEqual(hash.oversizedCount, SpatialHash.MAX_OVERSIZED);
+    assert.ok(Array.from(hash.oversized.subarray(0, hash.oversizedCount)).includes(store.count - 1));
+
+    const [expected, actual] = bothPairSets(store);
+    assert.ok(expected.length > 0);
+    assert.deepStrictEqual(actual, expected);
+});
+
+test('bodies larger than a cell still collide with the central body', () => {
+    const store = new BodyStore();
+    store.add(0, 0, 0, 0, 5000, Math.cbrt(5000) * 2);
+    for (let i = 0; i < 1000; i++) {
+        const angle = i * 0.5;
+        const distance = 20 + i * 0.1;
+        store.add(Math.cos(angle) * distance, Math.sin(angle) * distance, 0, 0, 1, 1);
+    }
+
+    const hashed = new CollisionPairs();
+    new SpatialHash().findPairs(store, hashed);
+    hashed.sort();
+    const withCentral = Array.from(hashed.keys.subarray(0, hashed.count)).filter(key => key < store.count);
+    assert.ok(withCentral.length > 0);
+
+    const [expected, actual] = bothPairSets(store);
+    assert.deepStrictEqual(actual, expected);
+});
+
+test('both collision paths evolve a simulation identically', () => {
+    const simulations = [0, 1].map(() => {
+        const simulation = new Simulation({ numBodies: 1, useWorkers: false, collisionMode: 'merge' });
+        const rand = random(99);
+        simulation.store.clear();
+        simulation.store.add(0, 0, 0, 0, 5000, Math.cbrt(5000) * 2);
+        for (let i = 1; i < 800; i++) {
+            simulation.store.add((rand() - 0.5) * 120, (rand() - 0.5) * 120, rand() - 0.5, rand() - 0.5, 1, 1);
+        }
+        return simulation;
+    });
+
+    for (let step = 0; step < 3; step++) {
+        for (const [index, simulation] of simulations.entries()) {
+            simulation.time += simulation.dt;
+            if (index === 0) {
+                simulation.handleCollisions();
+            } else {
+                simulation.handleCollisionsWithSpatialHash();
+            }
+        }
+    }
+
+    const [a, b] = simulations.map(simulation => simulation.store);
+    assert.strictEqual(a.count, b.count);
+    assert.deepStrictEqual(Array.from(a.x.subarray(0, a.count)), Array.from(b.x.subarray(0, b.count)));
+    assert.deepStrictEqual(Array.from(a.mass.subarray(0, a.count)), Array.from(b.mass.subarray(0, b.count)));
+});
+
+// Two overlapping bodies approaching each other at an angle, with unequal masses
+function collidingPair(collisionMode, restitution) {
+    const simulation = new Simulation({ numBodies: 1, useWorkers: false, collisionMode, restitution });
+    const store = simulation.store;
+    store.clear();
+    store.add(0, 0, 1.5, 0.4, 3, 1);
+    store.add(1.2, 0.9, -2, -0.7, 1.25, 1);
+    simulation.removed = new Uint8Array(store.capacity);
+    return simulation;
+}
+
+function totals(store) {
+    let mass = 0;
+    let momentumX = 0;
+    let momentumY = 0;
+    let kinetic = 0;
+    let comX = 0;
+    for (let i = 0; i < store.count; i++) {
+        const m = store.mass[i];
+        mass += m;
+        momentumX += m * store.vx[i];
+        momentumY += m * store.vy[i];
+        kinetic += 0.5 * m * (store.vx[i] ** 2 + store.vy[i] ** 2);
+        comX += m * store.x[i];
+    }
+    return { mass, momentumX, momentumY, kinetic, comX: comX / mass };
+}
+
+test('bounces conserve momentum, and kinetic energy when the restitution is 1', () => {
+    for (const restitution of [0, 0.3, 0.5, 1]) {
+        const simulation = collidingPair('elastic', restitution);
+        const store = simulation.store;
+        const before = totals(store);
+        const dx = store.x[1] - store.x[0];
+        const dy = store.y[1] - store.y[0];
+        const approach = (store.vx[1] - store.vx[0]) * dx + (store.vy[1] - store.vy[0]) * dy;
+
+        simulation.resolveCollision(0, 1, dx, dy);
+        const after = totals(store);
+        assert.ok(Math.abs(after.momentumX - before.momentumX) < 1e-12, `restitution ${restitution}`);
+        assert.ok(Math.abs(after.momentumY - before.momentumY) < 1e-12, `restitution ${restitution}`);
+        assert.ok(Math.abs(after.comX - before.comX) < 1e-12, `restitution ${restitution}`);
+        assert.ok(after.kinetic <= before.kinetic + 1e-12, `restitution ${restitution}`);
+        if (restitution === 1) {
+            assert.ok(Math.abs(after.kinetic - before.kinetic) < 1e-12 * before.kinetic);
+        }
+
+        // The normal velocity is reversed and scaled by the restitution
+        const separation = (store.vx[1] - store.vx[0]) * dx + (store.vy[1] - store.vy[0]) * dy;
+        assert.ok(Math.abs(separation + restitution * approach) < 1e-12, `restitution ${restitution}`);
+        assert.strictEqual(simulation.forcesValid, false);
+    }
+});
+
+test('bodies moving apart do not bounce', () => {
+    const simulation = collidingPair('elastic', 0.5);
+    const store = simulation.store;
+    for (const key of ['vx', 'vy']) {
+        store[key][0] = -store[key][0];
+        store[key][1] = -store[key][1];
+    }
+    const velocities = [store.vx[0], store.vy[0], store.vx[1], store.vy[1]];
+    simulation.resolveCollision(0, 1, store.x[1] - store.x[0], store.y[1] - store.y[0]);
+    assert.deepStrictEqual([store.vx[0], store.vy[0], store.vx[1], store.vy[1]], velocities);
+});
+
+test('merging conserves mass, momentum and the centre of mass, and sizes the body by its mass', () => {
+    const simulation = collidingPair('merge');
+    const store = simulation.store;
+    const before = totals(store);
+
+    simulation.resolveCollision(0, 1, store.x[1] - store.x[0], store.y[1] - store.y[0]);
+    assert.strictEqual(simulation.removedCount, 1);
+    assert.strictEqual(simulation.removed[1], 1, 'the lighter body is merged away');
+
+    // A merged-away body takes no part in later collisions of the pass
+    const survivor = [store.x[0], store.y[0], store.vx[0], store.vy[0], store.mass[0]];
+    simulation.resolveCollision(0, 1, 1, 0);
+    assert.deepStrictEqual([store.x[0], store.y[0], store.vx[0], store.vy[0], store.mass[0]], survivor);
+
+    store.compact(simulation.removed);
+    const after = totals(store);
+    assert.strictEqual(store.count, 1);
+    assert.ok(Math.abs(after.mass - before.mass) < 1e-12);
+    assert.ok(Math.abs(after.momentumX - before.momentumX) < 1e-12);
+    assert.ok(Math.abs(after.momentumY - before.momentumY) < 1e-12);
+    assert.ok(Math.abs(after.comX - before.comX) < 1e-12);
+    assert.strictEqual(store.radius[0], Math.cbrt(4.25));
+});
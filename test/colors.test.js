@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ColorMap, ColorMode, Quadtree, BodyStore, Simulation, Random, UnitSystem, Vec2, Body } = require('../headless');
+
+test('colour maps run from their first to their last stop', () => {
+    const viridis = ColorMap.get('viridis');
+    assert.strictEqual(viridis.css(0), 'rgb(68, 1, 84)');
+    assert.strictEqual(viridis.css(1), 'rgb(253, 231, 37)');
+    assert.strictEqual(viridis.css(-3), viridis.css(0));
+    assert.strictEqual(viridis.css(7), viridis.css(1));
+    assert.strictEqual(viridis.css(NaN), viridis.css(0));
+
+    // Two stops give a linear ramp
+    const greys = ColorMap.get('greys');
+    for (const entry of [0, 37, 128, 255]) {
+        assert.deepStrictEqual(Array.from(greys.table.subarray(entry * 3, entry * 3 + 3)), [entry, entry, entry]);
+    }
+    assert.throws(() => ColorMap.get('rainbow'), /Unknown colour map: rainbow/);
+});
+
+test('colour ranges ignore the extreme percent on each side', () => {
+    const values = new Float64Array(1000);
+    for (let i = 0; i < values.length; i++) values[i] = i + 1;
+    values[999] = 1e9;   // One outlier, like a central body
+
+    const speed = ColorMode.get('speed');
+    const [low, high] = speed.range(values, values.length);
+    assert.ok(low >= 1 && low <= 12, `low ${low}`);
+    assert.ok(high >= 985 && high <= 1000, `high ${high}`);
+    assert.strictEqual(speed.normalize(low, low, high), 0);
+    assert.strictEqual(speed.normalize(1e9, low, high), 1);
+    assert.strictEqual(speed.normalize((low + high) / 2, low, high), 0.5);
+
+    // Logarithmic modes split the range by ratio, and skip zeros
+    const energy = ColorMode.get('kineticEnergy');
+    const logValues = Float64Array.from([0, 1, 10, 100, 1000]);
+    const [logLow, logHigh] = energy.range(logValues, logValues.length);
+    assert.deepStrictEqual([logLow, logHigh], [1, 1000]);
+    assert.ok(Math.abs(energy.normalize(10, logLow, logHigh) - 1 / 3) < 1e-12);
+
+    // A constant quantity still gets a usable range
+    const [flatLow, flatHigh] = speed.range(new Float64Array(10).fill(2), 10);
+    assert.ok(flatLow < 2 && flatHigh > 2);
+});
+
+test('leaf density is higher in the crowded parts and covers every body', () => {
+    const random = new Random(5).next;
+    const store = new BodyStore();
+    for (let i = 0; i < 1000; i++) {
+        store.add(random() * 10, random() * 10, 0, 0, 1, 1);        // Dense square
+        store.add(100 + random() * 100, random() * 100, 0, 0, 1, 1); // Sparse square
+    }
+
+    const values = new Float64Array(store.count).fill(NaN);
+    const tree = new Quadtree();
+    tree.build(store);
+    ColorMode.leafDensity(tree, values);
+    assert.ok(values.every(value => value > 0));
+
+    let dense = 0;
+    let sparse = 0;
+    for (let i = 0; i < store.count; i++) {
+        if (store.x[i] < 50) dense += values[i];
+        else sparse += values[i];
+    }
+    assert.ok(dense / sparse > 30, `density ratio ${dense / sparse}`);
+});
+
+test('the density mode reuses the simulation tree while its forces are current', () => {
+    const simulation = new Simulation({
+        numBodies: 500, seed: 4, integrator: 'leapfrog', collisionMode: 'none', useWorkers: false
+    });
+    simulation.step();
+    assert.strictEqual(ColorMode.densityTree(simulation), simulation.quadtree);
+
+    const values = new Float64Array(simulation.store.count);
+    ColorMode.get('density').compute(simulation, values);
+    const tree = new Quadtree();
+    tree.build(simulation.store);
+    const expected = new Float64Array(simulation.store.count);
+    ColorMode.leafDensity(tree, expected);
+    assert.deepStrictEqual(values, expected);
+
+    // Otherwise its own tree is rebuilt every few frames, or as soon as the bodies change
+    simulation.updateBody(0, { mass: 2 });
+    const own = ColorMode.densityTree(simulation);
+    assert.notStrictEqual(own, simulation.quadtree);
+    let builds = 0;
+    const build = own.build;
+    own.build = function (...args) {
+        builds++;
+        return build.apply(this, args);
+    };
+    for (let frame = 1; frame < ColorMode.DENSITY_REBUILD_FRAMES; frame++) ColorMode.densityTree(simulation);
+    assert.strictEqual(builds, 0);
+    ColorMode.densityTree(simulation);
+    assert.strictEqual(builds, 1);
+    simulation.addBody(new Body(new Vec2(1, 1), Vec2.zero(), 1, 1));
+    ColorMode.densityTree(simulation);
+    assert.strictEqual(builds, 2);
+
+    assert.strictEqual(ColorMode.get('density').dimension, 'surfaceDensity');
+    assert.strictEqual(UnitSystem.get('solar').symbol('surfaceDensity'), 'M☉/AU²');
+});
+
+test('every colour mode is labelled with its unit', () => {
+    const si = UnitSystem.get('si');
+    for (const mode of Object.values(ColorMode.modes)) {
+        assert.notStrictEqual(si.symbol(mode.dimension), '', mode.name);
+    }
+    assert.strictEqual(si.symbol(ColorMode.get('kineticEnergy').dimension), 'kg·m²/s²');
+
+    const solar = UnitSystem.get('solar');
+    const energy = 1.98847e30 * (1.495978707e11 / 3.15576e7) ** 2;
+    assert.ok(Math.abs(solar.siFactor('energy') / energy - 1) < 1e-12);
+});
+
+test('initial radii follow the bodies by id', () => {
+    const simulation = new Simulation({ numBodies: 1, useWorkers: false, collisionMode: 'none' });
+    simulation.bodies = [
+        new Body(new Vec2(-3, 0), Vec2.zero(), 1, 1),
+        new Body(new Vec2(3, 0), Vec2.zero(), 1, 1),
+        new Body(new Vec2(0, 4), Vec2.zero(), 2, 1)
+    ];
+    // Centre of mass at (0, 2)
+    const values = new Float64Array(4);
+    const initialRadius = ColorMode.get('initialRadius');
+    initialRadius.compute(simulation, values);
+    assert.deepStrictEqual(Array.from(values.subarray(0, 3)), [Math.hypot(3, 2), Math.hypot(3, 2), 2]);
+
+    // Removing a body moves the later ones down, but their values go with them
+    simulation.store.compact(Uint8Array.from([1, 0, 0]));
+    simulation.addBody(new Body(new Vec2(1, 1), Vec2.zero(), 1, 1));
+    initialRadius.compute(simulation, values);
+    assert.deepStrictEqual(Array.from(values.subarray(0, 3)), [Math.hypot(3, 2), 2, Math.SQRT2]);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BodyFormat, Snapshot, Simulation, UnitSystem } = require('../headless');
+
+function fields(snapshot, keys = Snapshot.BODY_FIELDS) {
+    return Object.fromEntries(keys.map(key => [key, Array.from(snapshot[key])]));
+}
+
+// GADGET format-1 file with the given particle counts and header masses per type
+function gadgetFile({ npart, massarr, time, positions, velocities, masses, littleEndian = true, size = 4 }) {
+    const count = npart.reduce((sum, n) => sum + n, 0);
+    const blocks = [256, 3 * count * size, 3 * count * size, 4 * count];
+    if (masses.length > 0) blocks.push(masses.length * size);
+    const buffer = new ArrayBuffer(blocks.reduce((sum, length) => sum + length + 8, 0));
+    const view = new DataView(buffer);
+    const setFloat = (offset, value) => (size === 4
+        ? view.setFloat32(offset, value, littleEndian)
+        : view.setFloat64(offset, value, littleEndian));
+
+    let offset = 0;
+    const values = [
+        null,
+        positions,
+        velocities,
+        Array.from({ length: count }, (_, i) => i),
+        masses
+    ];
+    blocks.forEach((length, b) => {
+        view.setInt32(offset, length, littleEndian);
+        const start = offset + 4;
+        if (b === 0) {
+            npart.forEach((n, type) => view.setInt32(start + 4 * type, n, littleEndian));
+            massarr.forEach((m, type) => view.setFloat64(start + 24 + 8 * type, m, littleEndian));
+            view.setFloat64(start + 72, time, littleEndian);
+        } else if (b === 3) {
+            values[b].forEach((id, i) => view.setUint32(start + 4 * i, id, littleEndian));
+        } else {
+            values[b].forEach((value, i) => setFloat(start + size * i, value));
+        }
+        view.setInt32(start + length, length, littleEndian);
+        offset = start + length + 4;
+    });
+    return buffer;
+}
+
+test('delimited and NEMO exports read back the same bodies', () => {
+    const simulation = new Simulation({ numBodies: 100, seed: 5, useWorkers: false });
+    const snapshot = Snapshot.capture(simulation);
+
+    for (const name of ['csv', 'tsv']) {
+        const format = BodyFormat.get(name);
+        assert.deepStrictEqual(fields(format.readSnapshot(format.write(snapshot))), fields(snapshot), name);
+    }
+
+    // NEMO files have no radii
+    const nemo = BodyFormat.get('nemo');
+    const restored = nemo.readSnapshot(nemo.write(snapshot));
+    assert.deepStrictEqual(fields(restored, ['x', 'y', 'vx', 'vy', 'mass']),
+        fields(snapshot, ['x', 'y', 'vx', 'vy', 'mass']));
+});
+
+test('delimited files map columns by header name or position and scale units', () => {
+    const csv = BodyFormat.get('csv');
+
+    const named = csv.readSnapshot('# bodies\nID,Mass,PosX,PosY\n7,2,1,3\n8,4,5,6\n', {
+        columns: { x: 'posx', y: 'PosY', mass: 1 },
+        lengthScale: 10,
+        massScale: 0.5
+    });
+    assert.deepStrictEqual(fields(named), {
+        x: [10, 50], y: [30, 60], vx: [0, 0], vy: [0, 0], mass: [1, 2], radius: [1, Math.cbrt(2)]
+    });
+
+    // Without a header the columns are x, y, vx, vy, m, r
+    const positional = csv.readSnapshot('1, 2, 3, 4, 5\n', { velocityScale: 2 });
+    assert.deepStrictEqual(fields(positional), {
+        x: [1], y: [2], vx: [6], vy: [8], mass: [5], radius: [Math.cbrt(5)]
+    });
+
+    assert.throws(() => csv.readSnapshot('a,b\n1,2\n'), /No column for x/);
+    assert.throws(() => csv.readSnapshot('x,y\n1,2\n', { columns: { mass: 'm' } }), /No column "m" for mass/);
+    assert.throws(() => csv.readSnapshot('x,y\n1,oops\n'), /Invalid number "oops" in row 1, column 2/);
+});
+
+test('imported values are checked like snapshot ones', () => {
+    const csv = BodyFormat.get('csv');
+    assert.throws(() => csv.readSnapshot('x,y,vx,vy,mass,radius\n0,0,0,0,-5,1\n'), /Body 0 has an invalid mass/);
+    assert.throws(() => csv.readSnapshot('x,y,vx,vy,mass,radius\n0,0,0,0,1,1\n1,1,0,0,1,-2\n'),
+        /Body 1 has an invalid radius/);
+
+    const gadget = BodyFormat.get('gadget');
+    assert.throws(() => gadget.readSnapshot(gadgetFile({
+        npart: [1, 0, 0, 0, 0, 0],
+        massarr: [0, 0, 0, 0, 0, 0],
+        time: 0,
+        positions: [1, NaN, 3],
+        velocities: [0, 0, 0],
+        masses: [1]
+    })), /Body 0 has an invalid y/);
+});
+
+test('files in physical units are converted into the simulation units', () => {
+    const csv = BodyFormat.get('csv');
+    const text = 'x,y,vx,vy,m\n1.495978707e11,0,0,2.9784e4,5.9722e24\n';
+
+    // The Earth in SI, read into AU, M☉ and years
+    const solar = csv.readSnapshot(text, { fileUnits: 'si', units: 'solar' });
+    const close = (actual, expected) => Math.abs(actual / expected - 1) < 1e-12;
+    assert.ok(close(solar.x[0], 1));
+    assert.ok(close(solar.vy[0], 2.9784e4 * 3.15576e7 / 1.495978707e11));
+    assert.ok(close(solar.mass[0], 5.9722e24 / 1.98847e30));
+    assert.deepStrictEqual(solar.parameters, {});
+
+    // Scale-free simulations take the file's units, so the values stay as they are
+    const simulation = new Simulation({ numBodies: 10, useWorkers: false });
+    const si = csv.readSnapshot(text, { fileUnits: 'si', units: 'nbody', lengthScale: 2 });
+    assert.strictEqual(si.x[0], 2 * 1.495978707e11);
+    simulation.loadSnapshot(si);
+    assert.strictEqual(simulation.units.name, 'si');
+    assert.strictEqual(simulation.gravitationalConstant, UnitSystem.G_SI);
+
+    assert.deepStrictEqual(fields(csv.readSnapshot(text, { units: 'solar' })), fields(csv.readSnapshot(text)));
+    assert.throws(() => csv.readSnapshot(text, { fileUnits: 'imperial' }), /Unknown unit system/);
+});
+
+test('3D NEMO snapshots are projected by choosing the columns', () => {
+    const text = '2 3 1.5\n0.5 0.25\n1 2 3\n4 5 6\n0.1 0.2 0.3\n0.4 0.5 0.6\n';
+    const snapshot = BodyFormat.get('nemo').readSnapshot(text, { columns: { y: 'z', vy: 'vz' } });
+    assert.strictEqual(snapshot.time, 1.5);
+    assert.deepStrictEqual(fields(snapshot, ['x', 'y', 'vx', 'vy', 'mass']), {
+        x: [1, 4], y: [3, 6], vx: [0.1, 0.4], vy: [0.3, 0.6], mass: [0.5, 0.25]
+    });
+    assert.throws(() => BodyFormat.get('nemo').readSnapshot('2 3 0\n1\n'), /Invalid number/);
+});
+
+test('GADGET format-1 snapshots are read in either byte order and precision', () => {
+    // Two gas particles with individual masses, one halo particle with a header mass
+    const file = {
+        npart: [2, 1, 0, 0, 0, 0],
+        massarr: [0, 8, 0, 0, 0, 0],
+        time: 0.25,
+        positions: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+        velocities: [-1, -2, -3, -4, -5, -6, -7, -8, -9],
+        masses: [0.5, 1.5]
+    };
+    const expected = {
+        x: [1, 4, 7], y: [2, 5, 8], vx: [-1, -4, -7], vy: [-2, -5, -8], mass: [0.5, 1.5, 8]
+    };
+    const gadget = BodyFormat.get('gadget');
+
+    for (const littleEndian of [true, false]) {
+        for (const size of [4, 8]) {
+            const snapshot = gadget.readSnapshot(gadgetFile({ ...file, littleEndian, size }));
+            assert.strictEqual(snapshot.time, 0.25);
+            assert.deepStrictEqual(fields(snapshot, ['x', 'y', 'vx', 'vy', 'mass']), expected);
+        }
+    }
+
+    const buffer = gadgetFile(file);
+    assert.throws(() => gadget.readSnapshot(buffer.slice(0, buffer.byteLength - 4)), /mass block is corrupt/);
+    assert.throws(() => gadget.readSnapshot(new ArrayBuffer(300)), /Not a GADGET/);
+    assert.strictEqual(gadget.canWrite(), false);
+});
+
+test('imported bodies replace the simulation state', () => {
+    const simulation = new Simulation({ numBodies: 100, useWorkers: false });
+    simulation.loadSnapshot(BodyFormat.get('nemo').readSnapshot('3 2 4\n1 1 1\n0 0\n10 0\n0 10\n0 0\n0 1\n-1 0\n'));
+    assert.strictEqual(simulation.store.count, 3);
+    assert.strictEqual(simulation.time, 4);
+    simulation.step();
+    assert.strictEqual(simulation.store.count, 3);
+});
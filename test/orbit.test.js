@@ -0,0 +1,309 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Vec2, Body, Simulation, Diagnostics, OrbitalElements } = require('../headless');
+
+// Two bodies on a Kepler ellipse with semi-major axis a and eccentricity e,
+// starting at pericentre in the centre-of-mass frame
+function keplerSimulation({ m1, m2, a, e, g, stepsPerPeriod, integrator, timestepMode, eta }) {
+    const totalMass = m1 + m2;
+    const period = 2 * Math.PI * Math.sqrt(a ** 3 / (g * totalMass));
+    const pericentre = a * (1 - e);
+    const speed = Math.sqrt(g * totalMass * (1 + e) / pericentre);
+
+    const simulation = new Simulation({
+        numBodies: 2,
+        dt: period / stepsPerPeriod,
+        g,
+        softening: 'none',
+        forceMethod: 'direct',
+        collisionMode: 'none',
+        integrator,
+        timestepMode,
+        eta,
+        useWorkers: false
+    });
+    simulation.bodies = [
+        new Body(new Vec2(-pericentre * m2 / totalMass, 0), new Vec2(0, -speed * m2 / totalMass), m1, 0.1),
+        new Body(new Vec2(pericentre * m1 / totalMass, 0), new Vec2(0, speed * m1 / totalMass), m2, 0.1)
+    ];
+    return { simulation, period, energy: -g * m1 * m2 / (2 * a) };
+}
+
+// Angle of body 1 as seen from body 0
+function relativeAngle(store) {
+    return Math.atan2(store.y[1] - store.y[0], store.x[1] - store.x[0]);
+}
+
+test('leapfrog keeps the Kepler period and conserves energy over several orbits', () => {
+    const { simulation, period, energy } = keplerSimulation({
+        m1: 10, m2: 1, a: 10, e: 0.5, g: 1, stepsPerPeriod: 2000, integrator: 'leapfrog'
+    });
+    const store = simulation.store;
+    const initial = Diagnostics.compute(simulation, true);
+    assert.ok(Math.abs(initial.totalEnergy - energy) < 1e-12 * Math.abs(energy));
+
+    // Unwrap the relative angle and note the times at which it completes each turn
+    const orbits = 3;
+    const crossings = [];
+    let angle = 0;
+    let previous = relativeAngle(store);
+    let maxEnergyError = 0;
+    while (crossings.length < orbits) {
+        const before = angle;
+        simulation.step();
+        const current = relativeAngle(store);
+        let change = current - previous;
+        if (change > Math.PI) change -= 2 * Math.PI;
+        if (change < -Math.PI) change += 2 * Math.PI;
+        angle += change;
+        previous = current;
+
+        const turn = 2 * Math.PI * (crossings.length + 1);
+        if (angle >= turn) {
+            crossings.push(simulation.time - simulation.dt * (angle - turn) / (angle - before));
+        }
+        const total = Diagnostics.compute(simulation, true).totalEnergy;
+        maxEnergyError = Math.max(maxEnergyError, Math.abs((total - energy) / energy));
+    }
+
+    crossings.forEach((time, k) => {
+        assert.ok(Math.abs(time - (k + 1) * period) < 2e-4 * period, `orbit ${k + 1} ends at ${time}, not ${(k + 1) * period}`);
+    });
+    assert.ok(maxEnergyError < 1e-4, `energy error ${maxEnergyError}`);
+
+    // The momentum stays zero and the angular momentum stays put
+    const diagnostics = Diagnostics.compute(simulation, true);
+    assert.ok(Math.abs(diagnostics.momentumX) < 1e-12 && Math.abs(diagnostics.momentumY) < 1e-12);
+    assert.ok(Math.abs(diagnostics.angularMomentum / initial.angularMomentum - 1) < 1e-12);
+});
+
+test('the leapfrog energy error stays bounded and falls as dt²', () => {
+    // Largest relative energy error during each orbit
+    const errorsPerOrbit = (stepsPerPeriod, orbits) => {
+        const { simulation, energy } = keplerSimulation({
+            m1: 1, m2: 1, a: 1, e: 0.3, g: 1, stepsPerPeriod, integrator: 'leapfrog'
+        });
+        const errors = [];
+        for (let orbit = 0; orbit < orbits; orbit++) {
+            let maxError = 0;
+            for (let step = 0; step < stepsPerPeriod; step++) {
+                simulation.step();
+                const total = Diagnostics.compute(simulation, true).totalEnergy;
+                maxError = Math.max(maxError, Math.abs((total - energy) / energy));
+            }
+            errors.push(maxError);
+        }
+        return errors;
+    };
+
+    const coarse = errorsPerOrbit(250, 20);
+    assert.ok(coarse[19] < 1.1 * coarse[0], `error grows from ${coarse[0]} to ${coarse[19]}`);
+
+    const fine = errorsPerOrbit(500, 1);
+    const ratio = coarse[0] / fine[0];
+    assert.ok(ratio > 3.5 && ratio < 4.5, `halving dt divides the error by ${ratio}`);
+});
+
+test('orbital elements of the Kepler ellipse, from any point of the orbit', () => {
+    const { simulation, period } = keplerSimulation({
+        m1: 10, m2: 1, a: 10, e: 0.5, g: 1, stepsPerPeriod: 2000, integrator: 'leapfrog'
+    });
+    const store = simulation.store;
+    assert.strictEqual(OrbitalElements.centralBody(store), 0);
+
+    for (let step = 0; step < 1000; step += 250) {
+        const orbit = OrbitalElements.of(store, 1, 0, 1);
+        assert.ok(orbit.bound);
+        assert.ok(Math.abs(orbit.semiMajorAxis - 10) < 1e-3, `a ${orbit.semiMajorAxis}`);
+        assert.ok(Math.abs(orbit.eccentricity - 0.5) < 1e-3, `e ${orbit.eccentricity}`);
+        assert.ok(Math.abs(orbit.periapsis - 5) < 1e-3);
+        assert.ok(Math.abs(orbit.apoapsis - 15) < 1e-3);
+        assert.ok(Math.abs(orbit.period - period) < 1e-3 * period);
+        assert.ok(orbit.angularMomentum > 0, 'counter-clockwise');
+        for (let k = 0; k < 250; k++) simulation.step();
+    }
+
+    // A circle has no eccentricity; escape speed or more is unbound
+    const circle = new OrbitalElements(0, 4, -0.5, 0, 1);
+    assert.ok(circle.eccentricity < 1e-12 && Math.abs(circle.semiMajorAxis - 4) < 1e-12);
+    assert.ok(circle.angularMomentum > 0);
+    const escape = new OrbitalElements(4, 0, 0, -1, 1);
+    assert.ok(!escape.bound && escape.eccentricity > 1);
+    assert.strictEqual(escape.period, Infinity);
+    assert.strictEqual(escape.apoapsis, Infinity);
+});
+
+// Count the force evaluations a simulation makes
+function countForces(simulation) {
+    const counter = { count: 0 };
+    const calculateForces = simulation.calculateForces.bind(simulation);
+    simulation.calculateForces = active => {
+        counter.count++;
+        calculateForces(active);
+    };
+    return counter;
+}
+
+test('adaptive steps evaluate the forces as often as fixed ones', () => {
+    for (const integrator of ['euler', 'leapfrog', 'verlet']) {
+        const { simulation } = keplerSimulation({
+            m1: 10, m2: 1, a: 10, e: 0.5, g: 1, stepsPerPeriod: 100, integrator, timestepMode: 'adaptive'
+        });
+        const forces = countForces(simulation);
+        simulation.step();
+        forces.count = 0;
+        for (let k = 0; k < 50; k++) simulation.step();
+        assert.strictEqual(forces.count, 50, integrator);
+    }
+});
+
+test('block timesteps conserve energy on a Kepler orbit', () => {
+    const { simulation, period, energy } = keplerSimulation({
+        m1: 10, m2: 1, a: 10, e: 0.5, g: 1, stepsPerPeriod: 100, integrator: 'leapfrog',
+        timestepMode: 'block', eta: 0.01
+    });
+    const forces = countForces(simulation);
+    const steps = 300;
+    for (let k = 0; k < steps; k++) simulation.step();
+
+    // Every block step lasts dt; near pericentre the bodies take smaller steps inside it
+    assert.ok(Math.abs(simulation.time - 3 * period) < 1e-9 * period);
+    assert.ok(forces.count > steps, 'some steps are split');
+    const drift = Math.abs(Diagnostics.compute(simulation, true).totalEnergy / energy - 1);
+    assert.ok(drift < 1e-3, `energy drift ${drift}`);
+});
+
+test('editing a body keeps its density and restarts the drift measurements', () => {
+    const { simulation } = keplerSimulation({
+        m1: 10, m2: 1, a: 10, e: 0.5, g: 1, stepsPerPeriod: 2000, integrator: 'leapfrog'
+    });
+    const store = simulation.store;
+    simulation.step();
+    const radius = store.radius[1];
+
+    simulation.updateBody(1, { mass: 8, vx: 0.25 });
+    assert.strictEqual(store.mass[1], 8);
+    assert.ok(Math.abs(store.radius[1] - 2 * radius) < 1e-12);
+    assert.strictEqual(store.vx[1], 0.25);
+    assert.strictEqual(simulation.forcesValid, false);
+
+    // A velocity change keeps the forces
+    simulation.step();
+    simulation.updateBody(1, { vy: 0 });
+    assert.strictEqual(store.vy[1], 0);
+    assert.strictEqual(simulation.forcesValid, true);
+    assert.throws(() => simulation.updateBody(1, { mass: 0 }), /Mass must be positive/);
+    assert.strictEqual(store.mass[1], 8);
+});
+
+test('giving a massless body a mass sizes it like a generated body', () => {
+    const simulation = new Simulation({ numBodies: 1, useWorkers: false, generate: false });
+    simulation.bodies = [
+        new Body(new Vec2(0, 0), Vec2.zero(), 0, 0.5),
+        new Body(new Vec2(5, 0), Vec2.zero(), 0, 0)
+    ];
+    simulation.updateBody(0, { mass: 8 });
+    simulation.updateBody(1, { mass: 27 });
+    assert.deepStrictEqual(Array.from(simulation.store.radius.subarray(0, 2)), [2, 3]);
+});
+
+test('changes asked for during a worker step wait until it is done', async () => {
+    const { simulation } = keplerSimulation({
+        m1: 10, m2: 1, a: 10, e: 0.5, g: 1, stepsPerPeriod: 2000, integrator: 'rk4'
+    });
+    // A pool that answers only when told to, like workers still busy
+    const answers = [];
+    simulation.workerThreshold = 1;
+    simulation.workerPool = {
+        compute: (store, params, targets, count) => new Promise(resolve => {
+            answers.push(() => resolve(new Float64Array(count * 2)));
+        }),
+        terminate() {}
+    };
+
+    const stepping = simulation.stepAsync();
+    assert.strictEqual(simulation.stepping, true);
+    const fresh = [new Body(new Vec2(3, 4), new Vec2(0.5, 0), 2, 0.1)];
+    simulation.whenIdle(() => simulation.updateBody(0, { mass: -1 }));
+    simulation.whenIdle(() => { simulation.bodies = fresh; });
+    assert.strictEqual(simulation.store.count, 2, 'held back while the step waits');
+
+    // A change that fails is reported, and neither drops the later ones nor fails the step
+    const reported = [];
+    const consoleError = console.error;
+    console.error = (...args) => reported.push(args);
+    try {
+        while (simulation.stepping) {
+            answers.shift()();
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        await stepping;
+    } finally {
+        console.error = consoleError;
+    }
+    assert.strictEqual(reported.length, 1);
+    assert.match(reported[0][1].message, /Mass must be positive/);
+    const store = simulation.store;
+    assert.strictEqual(store.count, 1);
+    assert.deepStrictEqual([store.x[0], store.y[0], store.vx[0], store.vy[0]], [3, 4, 0.5, 0]);
+
+    // Without a step in progress a change runs at once
+    simulation.whenIdle(() => simulation.updateBody(0, { vx: 1 }));
+    assert.strictEqual(store.vx[0], 1);
+});
+
+test('an update with a bad option applies none of the others', () => {
+    const simulation = new Simulation({ numBodies: 50, seed: 1, useWorkers: false });
+    const before = simulation.snapshotParameters();
+    const bad = [
+        { integrator: 'bogus' }, { generator: 'bogus' }, { units: 'bogus' }, { softening: 'bogus' },
+        { collisionMode: 'bogus' }, { openingCriterion: 'bogus' }, { fmmOrder: 0 }, { forceMethod: 'bogus' },
+        { seed: -1 }, { timestepMode: 'bogus' }
+    ];
+    for (const option of bad) {
+        assert.throws(() => simulation.updateParameters({ dt: 0.5, numBodies: 20, epsilon: 3, ...option }));
+        assert.deepStrictEqual(simulation.snapshotParameters(), before, JSON.stringify(option));
+    }
+    assert.strictEqual(simulation.store.count, 50);
+    assert.throws(() => new Simulation({ numBodies: 10, timestepMode: 'bogus', useWorkers: false }),
+        /Unknown timestep mode: bogus/);
+});
+
+test('options of 0 are taken as given, not replaced by the defaults', () => {
+    const simulation = new Simulation({ numBodies: 10, theta: 0, epsilon: 0, maxTimestepLevel: 0, useWorkers: false });
+    assert.strictEqual(simulation.theta, 0);
+    assert.strictEqual(simulation.epsilon, 0);
+    assert.strictEqual(simulation.maxTimestepLevel, 0);
+    assert.throws(() => new Simulation({ numBodies: 10, g: NaN, useWorkers: false }), /G must be a positive number/);
+});
+
+test('a G that is not a positive number is refused', () => {
+    const { simulation } = keplerSimulation({
+        m1: 10, m2: 1, a: 10, e: 0.5, g: 2, stepsPerPeriod: 2000, integrator: 'leapfrog'
+    });
+    for (const g of [NaN, Infinity, 0, -1]) {
+        assert.throws(() => simulation.updateParameters({ dt: 1, g }), /G must be a positive number/);
+    }
+    assert.strictEqual(simulation.gravitationalConstant, 2);
+    assert.notStrictEqual(simulation.dt, 1, 'nothing else applied');
+    simulation.step();
+    assert.ok(Number.isFinite(simulation.store.x[0]));
+});
+
+test('drift measurements restart only when the energy is defined differently', () => {
+    const { simulation } = keplerSimulation({
+        m1: 10, m2: 1, a: 10, e: 0.5, g: 1, stepsPerPeriod: 2000, integrator: 'leapfrog'
+    });
+    const diagnostics = simulation.diagnostics;
+    diagnostics.measure();
+    simulation.step();
+    diagnostics.measure();
+
+    // The settings panel sends every value, changed or not
+    const unchanged = simulation.snapshotParameters();
+    simulation.updateParameters({ ...unchanged, dt: unchanged.dt / 2, theta: 0.7 });
+    assert.strictEqual(diagnostics.history.length, 2);
+
+    simulation.updateParameters({ ...unchanged, epsilon: 0.5 });
+    assert.strictEqual(diagnostics.history.length, 0);
+});
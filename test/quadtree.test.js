@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Vec2, Body, BodyStore, Quad, Quadtree, DirectSummation, FastMultipole, Random, Simulation } = require('../headless');
+
+// Bodies scattered around a dense centre, with unequal masses
+function clusteredStore(count, seed) {
+    const random = new Random(seed).next;
+    const store = new BodyStore(count);
+    for (let i = 0; i < count; i++) {
+        const r = 200 * random() ** 2;
+        const angle = 2 * Math.PI * random();
+        store.add(r * Math.cos(angle), r * Math.sin(angle), 0, 0, 0.1 + 10 * random() ** 3, 1);
+    }
+    return store;
+}
+
+function inside(quad, x, y) {
+    const half = quad.size / 2;
+    return x >= quad.center.x - half && x <= quad.center.x + half &&
+        y >= quad.center.y - half && y <= quad.center.y + half;
+}
+
+test('Quad.newContaining encloses all bodies in a square, from bodies or a store', () => {
+    const bodies = [
+        new Body(new Vec2(-10, 5), Vec2.zero(), 1, 1),
+        new Body(new Vec2(30, -2), Vec2.zero(), 1, 1),
+        new Body(new Vec2(4, 12), Vec2.zero(), 1, 1)
+    ];
+    const quad = Quad.newContaining(bodies);
+
+    // 40 wide plus a margin of 1 on each side
+    assert.strictEqual(quad.size, 42);
+    assert.deepStrictEqual([quad.center.x, quad.center.y], [10, 5]);
+    for (const body of bodies) {
+        assert.ok(inside(quad, body.pos.x, body.pos.y));
+    }
+
+    const store = new BodyStore();
+    for (const body of bodies) store.addBody(body);
+    const fromStore = Quad.newContaining(store);
+    assert.strictEqual(fromStore.size, quad.size);
+    assert.ok(fromStore.center.equals(quad.center));
+
+    // A single body still gets a non-empty square
+    const single = Quad.newContaining([bodies[0]]);
+    assert.strictEqual(single.size, 2);
+    assert.ok(single.center.equals(bodies[0].pos));
+});
+
+test('findQuadrant and intoQuadrant agree on NW, NE, SW and SE', () => {
+    const quad = new Quad(new Vec2(10, 20), 8);
+    const points = [[8, 18], [12, 18], [8, 22], [12, 22]];
+
+    points.forEach(([x, y], quadrant) => {
+        assert.strictEqual(quad.findQuadrant(new Vec2(x, y)), quadrant);
+        assert.strictEqual(quad.findQuadrantXY(x, y), quadrant);
+
+        const child = quad.intoQuadrant(quadrant);
+        assert.strictEqual(child.size, 4);
+        assert.deepStrictEqual([child.center.x, child.center.y], [x, y]);
+    });
+
+    // Points on the centre lines belong to the west and north halves
+    assert.strictEqual(quad.findQuadrantXY(10, 20), 0);
+    assert.strictEqual(quad.findQuadrantXY(10, 25), 2);
+    assert.strictEqual(quad.findQuadrantXY(15, 20), 1);
+
+    // subdivide() lists the quadrants in the same order
+    quad.subdivide().forEach((child, quadrant) => {
+        const expected = quad.intoQuadrant(quadrant);
+        assert.ok(child.center.equals(expected.center));
+        assert.strictEqual(child.size, expected.size);
+    });
+});
+
+test('every body sits in the tree leaf that Quad geometry puts it in', () => {
+    const store = clusteredStore(500, 1);
+    const tree = new Quadtree();
+    tree.build(store);
+
+    for (let i = 0; i < store.count; i++) {
+        let quad = Quad.newContaining(store);
+        let node = tree.root;
+        while (!tree.isLeaf(node)) {
+            const quadrant = quad.findQuadrantXY(store.x[i], store.y[i]);
+            quad = quad.intoQuadrant(quadrant);
+            node = tree.firstChild[node] + quadrant;
+            assert.strictEqual(tree.centerX[node], quad.center.x);
+            assert.strictEqual(tree.centerY[node], quad.center.y);
+            assert.strictEqual(tree.size[node], quad.size);
+        }
+
+        let found = false;
+        for (let j = tree.firstBody[node]; j !== -1; j = tree.nextBody[j]) {
+            if (j === i) found = true;
+        }
+        assert.ok(found, `body ${i} is not in its leaf`);
+        assert.ok(inside(quad, store.x[i], store.y[i]));
+    }
+});
+
+test('node masses and centres of mass add up to the bodies they contain', () => {
+    const store = clusteredStore(2000, 2);
+
+    // Coincident bodies are chained in one leaf at the maximum depth
+    for (let k = 0; k < 3; k++) store.add(5, 5, 0, 0, 2, 1);
+
+    const tree = new Quadtree();
+    tree.build(store);
+
+    let totalMass = 0;
+    let comX = 0;
+    let comY = 0;
+    for (let i = 0; i < store.count; i++) {
+        totalMass += store.mass[i];
+        comX += store.mass[i] * store.x[i];
+        comY += store.mass[i] * store.y[i];
+    }
+    const root = tree.root;
+    assert.ok(Math.abs(tree.mass[root] - totalMass) <= 1e-12 * totalMass);
+    assert.ok(Math.abs(tree.comX[root] - comX / totalMass) < 1e-9);
+    assert.ok(Math.abs(tree.comY[root] - comY / totalMass) < 1e-9);
+
+    const seen = new Uint8Array(store.count);
+    for (let node = 0; node < tree.nodeCount; node++) {
+        let mass = 0;
+        if (tree.isLeaf(node)) {
+            for (let i = tree.firstBody[node]; i !== -1; i = tree.nextBody[i]) {
+                assert.strictEqual(seen[i], 0, `body ${i} is in two leaves`);
+                seen[i] = 1;
+                mass += store.mass[i];
+            }
+        } else {
+            for (let child = tree.firstChild[node]; child < tree.firstChild[node] + 4; child++) {
+                mass += tree.mass[child];
+            }
+        }
+        assert.ok(Math.abs(tree.mass[node] - mass) <= 1e-12 * Math.max(mass, 1), `node ${node}`);
+    }
+    assert.ok(seen.every(flag => flag === 1), 'every body is in a leaf');
+});
+
+// Relative force errors of an approximate backend (the tree by default) against direct summation
+function forceErrors(store, params, solver = new Quadtree()) {
+    const direct = new DirectSummation();
+    direct.setParameters(params);
+    direct.build(store);
+    solver.setParameters(params);
+    solver.build(store);
+
+    const errors = [];
+    for (let i = 0; i < store.count; i++) {
+        direct.accelerationAt(store.x[i], store.y[i]);
+        solver.calculateAcceleration(i);
+        const dx = store.ax[i] - direct.accX;
+        const dy = store.ay[i] - direct.accY;
+        errors.push(Math.sqrt((dx * dx + dy * dy) / (direct.accX ** 2 + direct.accY ** 2)));
+    }
+    const rms = Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length);
+    return { rms, max: Math.max(...errors) };
+}
+
+test('Barnes-Hut forces converge to direct summation as theta shrinks', () => {
+    const store = clusteredStore(1500, 3);
+    const params = { epsilon: 0.5, softening: 'plummer', gravitationalConstant: 1 };
+
+    const coarse = forceErrors(store, { ...params, theta: 1 });
+    const standard = forceErrors(store, { ...params, theta: 0.5 });
+    const fine = forceErrors(store, { ...params, theta: 0.2 });
+    assert.ok(standard.rms < 0.02, `θ = 0.5: RMS ${standard.rms}`);
+    assert.ok(fine.rms < standard.rms && standard.rms < coarse.rms);
+    assert.ok(fine.max < 0.05, `θ = 0.2: max ${fine.max}`);
+
+    // θ = 0 opens every cell, which is direct summation up to rounding
+    assert.ok(forceErrors(store, { ...params, theta: 0 }).max < 1e-10);
+
+    // Quadrupoles make the far field more accurate at the same θ
+    assert.ok(forceErrors(store, { ...params, theta: 0.5, quadrupole: true }).rms < standard.rms / 2);
+});
+
+test('FMM forces converge to direct summation as the order grows', () => {
+    const store = new Simulation({ generator: 'plummer', numBodies: 2000, seed: 3, useWorkers: false }).store;
+    const params = { epsilon: 0.5, softening: 'plummer', gravitationalConstant: 1, theta: 0.5 };
+
+    const errors = [2, 4, 6, 8].map(fmmOrder => forceErrors(store, { ...params, fmmOrder }, new FastMultipole()));
+    for (let k = 1; k < errors.length; k++) {
+        assert.ok(errors[k].rms < errors[k - 1].rms / 3, `order ${2 * k + 2}: RMS ${errors[k].rms}`);
+    }
+    assert.ok(errors[1].rms < 1e-2, `order 4: RMS ${errors[1].rms}`);
+    assert.ok(errors[3].rms < 3e-4, `order 8: RMS ${errors[3].rms}`);
+    assert.ok(errors[3].max < 1e-2, `order 8: max ${errors[3].max}`);
+});
+
+test('the tree includes the gravitational constant and skips the body itself', () => {
+    const store = new BodyStore();
+    store.add(0, 0, 0, 0, 5, 1);
+    store.add(10, 0, 0, 0, 2, 1);
+    const tree = new Quadtree();
+    tree.setParameters({ softening: 'none', gravitationalConstant: 3 });
+    tree.build(store);
+
+    tree.calculateAcceleration(0);
+    assert.ok(Math.abs(store.ax[0] - 3 * 2 / 100) < 1e-15);
+    assert.strictEqual(store.ay[0], 0);
+    tree.calculateAcceleration(1);
+    assert.ok(Math.abs(store.ax[1] + 3 * 5 / 100) < 1e-15);
+});
+
+test('nearest and box queries match a brute-force scan', () => {
+    const store = clusteredStore(3000, 11);
+    store.add(store.x[5], store.y[5], 0, 0, 1, 1);      // Coincident with body 5
+    const tree = new Quadtree();
+    tree.build(store);
+    const random = new Random(12).next;
+
+    const byDistance = (x, y) => Array.from({ length: store.count }, (_, i) => i)
+        .map(i => [i, Math.hypot(store.x[i] - x, store.y[i] - y)])
+        .sort((a, b) => a[1] - b[1]);
+
+    for (let trial = 0; trial < 20; trial++) {
+        const x = 400 * random() - 200;
+        const y = 400 * random() - 200;
+        const expected = byDistance(x, y);
+        const nearest = tree.nearest(x, y, 7);
+        assert.deepStrictEqual(nearest.map(i => Math.hypot(store.x[i] - x, store.y[i] - y)),
+            expected.slice(0, 7).map(([, distance]) => distance));
+
+        const within = tree.nearest(x, y, 1000, 5);
+        assert.strictEqual(within.length, expected.filter(([, distance]) => distance <= 5).length);
+
+        const box = tree.bodiesInBox(x - 30, y - 10, x + 30, y + 40).sort((a, b) => a - b);
+        const inBox = [];
+        for (let i = 0; i < store.count; i++) {
+            if (Math.abs(store.x[i] - x) <= 30 && store.y[i] >= y - 10 && store.y[i] <= y + 40) inBox.push(i);
+        }
+        assert.deepStrictEqual(box, inBox);
+    }
+
+    // Excluding a body still finds its coincident twin
+    assert.deepStrictEqual(tree.nearest(store.x[5], store.y[5], 1, Infinity, 5), [store.count - 1]);
+    assert.deepStrictEqual(tree.nearest(1e6, 1e6, 3, 10), []);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Random, Generator, Simulation, BodyStore } = require('../headless');
+
+// Copies of all per-body arrays of a simulation
+function snapshot(simulation) {
+    const store = simulation.store;
+    return ['x', 'y', 'vx', 'vy', 'ax', 'ay', 'mass', 'radius']
+        .map(key => Array.from(store[key].subarray(0, store.count)));
+}
+
+test('a seed always gives the same sequence of numbers in [0, 1)', () => {
+    const a = new Random(42);
+    const b = new Random(42);
+    const c = new Random(43);
+    let differences = 0;
+    for (let k = 0; k < 10000; k++) {
+        const value = a.next();
+        assert.ok(value >= 0 && value < 1);
+        assert.strictEqual(value, b.next());
+        if (value !== c.next()) differences++;
+    }
+    assert.ok(differences > 9990);
+});
+
+test('seeds must be unsigned 32-bit integers', () => {
+    for (const seed of [0, 1, 0xffffffff]) {
+        assert.doesNotThrow(() => new Random(seed));
+    }
+    for (const seed of [-1, 0x100000000, 1.5, NaN, '12']) {
+        assert.throws(() => new Random(seed), /Seed must be/);
+    }
+});
+
+test('every generator reproduces its bodies from the seed', () => {
+    for (const { name } of Generator.list()) {
+        const options = { numBodies: 300, generator: name, seed: 7, useWorkers: false };
+        const first = new Simulation(options);
+        const second = new Simulation(options);
+        assert.deepStrictEqual(snapshot(first), snapshot(second), name);
+
+        // Resetting starts over from the same seed
+        first.step();
+        first.reset();
+        assert.deepStrictEqual(snapshot(first), snapshot(second), name);
+    }
+});
+
+test('runs with the same seed, dt and force backend are bit-identical', () => {
+    for (const forceMethod of ['tree', 'direct', 'fmm']) {
+        const options = {
+            numBodies: 400,
+            seed: 2024,
+            dt: 0.01,
+            forceMethod,
+            integrator: 'leapfrog',
+            collisionMode: 'merge',
+            useWorkers: false
+        };
+        const first = new Simulation(options);
+        const second = new Simulation(options);
+        for (let k = 0; k < 20; k++) {
+            first.step();
+            second.step();
+        }
+        assert.deepStrictEqual(snapshot(first), snapshot(second), forceMethod);
+    }
+});
+
+test('changing the seed regenerates the bodies', () => {
+    const simulation = new Simulation({ numBodies: 200, seed: 1, useWorkers: false });
+    const before = snapshot(simulation);
+    simulation.updateParameters({ seed: 2 });
+    assert.strictEqual(simulation.seed, 2);
+    assert.notDeepStrictEqual(snapshot(simulation), before);
+    assert.throws(() => simulation.updateParameters({ seed: -3 }), /Seed must be/);
+    assert.strictEqual(simulation.seed, 2);
+});
+
+test('every generator makes exactly the requested number of bodies', () => {
+    for (const { name } of Generator.list()) {
+        const generator = Generator.create(name);
+        for (const count of [0, 1, 2, 3, 50]) {
+            const store = new BodyStore();
+            generator.generate(store, count, generator.resolveParameters(), 1, new Random(3).next);
+            assert.strictEqual(store.count, count, `${name} with ${count} bodies`);
+        }
+    }
+});
+
+test('colliding galaxies spin with or against their orbit', () => {
+    // Angular momentum of the second galaxy's disk about its central body
+    const spinOf = spinB => {
+        const simulation = new Simulation({
+            numBodies: 600, generator: 'collision', generatorParams: { spinB }, seed: 5, useWorkers: false
+        });
+        const store = simulation.store;
+        // Each galaxy is its central body followed by its disk
+        const centres = [];
+        for (let i = 0; i < store.count; i++) {
+            if (store.radius[i] > 2) centres.push(i);
+        }
+        assert.strictEqual(centres.length, 2);
+        const centre = centres[1];
+        let momentum = 0;
+        for (let i = centre + 1; i < store.count; i++) {
+            const dx = store.x[i] - store.x[centre];
+            const dy = store.y[i] - store.y[centre];
+            momentum += store.mass[i] * (dx * (store.vy[i] - store.vy[centre]) - dy * (store.vx[i] - store.vx[centre]));
+        }
+        return momentum;
+    };
+    assert.ok(spinOf(1) > 0);
+    assert.ok(spinOf(-1) < 0);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Snapshot, Simulation } = require('../headless');
+
+function bodies(simulation) {
+    const store = simulation.store;
+    return ['x', 'y', 'vx', 'vy', 'mass', 'radius']
+        .map(key => Array.from(store[key].subarray(0, store.count)));
+}
+
+function evolvedSimulation(units) {
+    const simulation = new Simulation({
+        numBodies: 300,
+        seed: 99,
+        dt: 0.02,
+        theta: 0.7,
+        epsilon: 0.5,
+        units,
+        integrator: 'leapfrog',
+        useWorkers: false
+    });
+    for (let k = 0; k < 10; k++) simulation.step();
+    return simulation;
+}
+
+test('JSON snapshots restore bodies, time and all parameters exactly', () => {
+    const original = evolvedSimulation();
+    const text = JSON.stringify(Snapshot.capture(original));
+
+    const restored = new Simulation({ numBodies: 50, useWorkers: false });
+    restored.loadSnapshot(Snapshot.fromJSON(text));
+    assert.deepStrictEqual(bodies(restored), bodies(original));
+    assert.strictEqual(restored.time, original.time);
+    assert.deepStrictEqual(restored.snapshotParameters(), original.snapshotParameters());
+});
+
+test('binary snapshots restore bodies, time, units and the numeric parameters exactly', () => {
+    const original = evolvedSimulation('solar');
+    original.updateParameters({ g: 40 });
+    const buffer = Snapshot.capture(original).toBinary();
+    assert.strictEqual(buffer.byteLength, Snapshot.HEADER_SIZE + 6 * 8 * original.store.count);
+
+    const restored = new Simulation({ numBodies: 50, useWorkers: false });
+    restored.loadSnapshot(Snapshot.decode(buffer));
+    assert.deepStrictEqual(bodies(restored), bodies(original));
+    assert.strictEqual(restored.time, original.time);
+    for (const key of ['dt', 'theta', 'epsilon', 'g', 'units']) {
+        assert.strictEqual(restored.snapshotParameters()[key], original.snapshotParameters()[key], key);
+    }
+});
+
+test('a restored run continues exactly like the original', () => {
+    const original = evolvedSimulation();
+    const restored = new Simulation({ useWorkers: false, generate: false });
+    assert.strictEqual(restored.store.count, 0);
+    restored.loadSnapshot(Snapshot.fromJSON(JSON.stringify(Snapshot.capture(original))));
+
+    for (let k = 0; k < 10; k++) {
+        original.step();
+        restored.step();
+    }
+    assert.deepStrictEqual(bodies(restored), bodies(original));
+});
+
+test('malformed snapshots are rejected', () => {
+    assert.throws(() => Snapshot.fromJSON('{"format": "something else"}'), /Not a simulation snapshot/);
+    assert.throws(() => Snapshot.fromJSON({ format: Snapshot.FORMAT, version: 1, time: 0, bodies: [{ x: 1 }] }),
+        /Body 0 has an invalid y/);
+    for (const time of [undefined, null, 'soon']) {
+        assert.throws(() => Snapshot.fromJSON({ format: Snapshot.FORMAT, version: 1, time, bodies: [] }),
+            /Snapshot has an invalid time/);
+    }
+
+    const buffer = Snapshot.capture(evolvedSimulation()).toBinary();
+    assert.throws(() => Snapshot.fromBinary(buffer.slice(0, buffer.byteLength - 8)), /truncated/);
+
+    // A corrupt binary file is refused like the same values in JSON
+    const corrupt = (offset, value) => {
+        const copy = buffer.slice(0);
+        new DataView(copy).setFloat64(offset, value, true);
+        return copy;
+    };
+    const massOffset = Snapshot.HEADER_SIZE + 4 * 8 * new DataView(buffer).getUint32(8, true);
+    assert.throws(() => Snapshot.fromBinary(corrupt(massOffset, NaN)), /Body 0 has an invalid mass/);
+    assert.throws(() => Snapshot.fromBinary(corrupt(massOffset + 8, -1)), /Body 1 has an invalid mass/);
+    assert.throws(() => Snapshot.fromBinary(corrupt(16 + 8, 0)), /invalid dt/);
+    assert.throws(() => Snapshot.fromBinary(corrupt(16 + 32, Infinity)), /invalid g/);
+    assert.throws(() => Snapshot.fromJSON({ format: Snapshot.FORMAT, version: 1, time: 0, bodies: [
+        { x: 0, y: 0, vx: 0, vy: 0, mass: -1, radius: 1 }
+    ] }), /Body 0 has an invalid mass/);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TrailBuffer, BodyStore } = require('../headless');
+
+// Points of a body's trail, oldest first
+function trail(trails, id) {
+    const slot = trails.slotOf(id);
+    const points = [];
+    for (let k = 0; k < trails.pointCount(slot); k++) {
+        const index = trails.pointIndex(slot, k);
+        points.push([trails.xs[index], trails.ys[index]]);
+    }
+    return points;
+}
+
+test('trails keep the latest samples in order as the ring wraps', () => {
+    const store = new BodyStore();
+    store.add(0, 0, 0, 0, 1, 1);
+    store.add(0, 100, 0, 0, 1, 1);
+    const trails = new TrailBuffer(4);
+
+    for (let step = 1; step <= 3; step++) {
+        store.x[0] = step;
+        store.x[1] = -step;
+        trails.record(store);
+    }
+    assert.deepStrictEqual(trail(trails, 0), [[1, 0], [2, 0], [3, 0]]);
+
+    for (let step = 4; step <= 10; step++) {
+        store.x[0] = step;
+        store.x[1] = -step;
+        trails.record(store);
+    }
+    assert.deepStrictEqual(trail(trails, 0), [[7, 0], [8, 0], [9, 0], [10, 0]]);
+    assert.deepStrictEqual(trail(trails, 1), [[-7, 100], [-8, 100], [-9, 100], [-10, 100]]);
+});
+
+test('trails follow ids, and bodies added later start their own', () => {
+    const store = new BodyStore();
+    store.add(1, 1, 0, 0, 1, 1);
+    store.add(2, 2, 0, 0, 1, 1);
+    const trails = new TrailBuffer(5);
+    trails.record(store);
+    trails.record(store);
+
+    // Body 0 is removed, so body 1 moves to index 0; a new body gets id 2
+    store.compact(Uint8Array.from([1, 0]));
+    store.add(3, 3, 0, 0, 1, 1);
+    trails.record(store);
+
+    assert.deepStrictEqual(trail(trails, 1), [[2, 2], [2, 2], [2, 2]]);
+    assert.deepStrictEqual(trail(trails, 2), [[3, 3]]);
+
+    // The removed body's trail ends where it was removed
+    assert.deepStrictEqual(trail(trails, 0), [[1, 1], [1, 1]]);
+    assert.strictEqual(trails.slotOf(7), -1);
+
+    // A new length starts over
+    trails.setLength(10);
+    assert.strictEqual(trails.slotOf(1), -1);
+    assert.strictEqual(trails.samples, 0);
+});
+
+test('the random subset keeps about the given fraction, always the same ids', () => {
+    const include = TrailBuffer.subset(0.05);
+    const kept = [];
+    for (let id = 0; id < 20000; id++) {
+        if (include(id)) kept.push(id);
+    }
+    assert.ok(Math.abs(kept.length - 1000) < 60, `${kept.length} of 20000`);
+    assert.ok(kept.every(id => TrailBuffer.subset(0.05)(id)));
+    assert.ok(kept.every(id => TrailBuffer.subset(0.2)(id)), 'a larger subset contains the smaller one');
+
+    const store = new BodyStore();
+    for (let i = 0; i < 200; i++) store.add(i, 0, 0, 0, 1, 1);
+    const trails = new TrailBuffer(3);
+    trails.record(store, include);
+    assert.strictEqual(trails.slotCount, kept.filter(id => id < 200).length);
+});
+
+test('a trail skipped by the filter starts over when it is recorded again', () => {
+    const store = new BodyStore();
+    store.add(0, 0, 0, 0, 1, 1);
+    const trails = new TrailBuffer(10);
+    let selected = true;
+    const include = () => selected;
+
+    for (let step = 1; step <= 3; step++) {
+        store.x[0] = step;
+        if (step === 2) selected = false;
+        if (step === 3) selected = true;
+        trails.record(store, include);
+    }
+    assert.deepStrictEqual(trail(trails, 0), [[3, 0]]);
+});
+
+test('trails stop taking bodies once MAX_SAMPLES positions are kept', () => {
+    const maxSamples = TrailBuffer.MAX_SAMPLES;
+    TrailBuffer.MAX_SAMPLES = 1000;
+    try {
+        const store = new BodyStore();
+        for (let i = 0; i < 600; i++) store.add(i, 0, 0, 0, 1, 1);
+        const trails = new TrailBuffer(4);
+        trails.record(store);
+        trails.record(store);
+
+        // 250 trails of 4 samples, and no room allocated beyond them
+        assert.strictEqual(trails.slotCount, 250);
+        assert.strictEqual(trails.xs.length, 1000);
+        assert.deepStrictEqual(trail(trails, 249), [[249, 0], [249, 0]]);
+        assert.strictEqual(trails.slotOf(250), -1);
+    } finally {
+        TrailBuffer.MAX_SAMPLES = maxSamples;
+    }
+});
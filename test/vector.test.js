@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Vec2 } = require('../headless');
+
+function assertVector(vector, x, y) {
+    assert.ok(vector instanceof Vec2);
+    assert.strictEqual(vector.x, x);
+    assert.strictEqual(vector.y, y);
+}
+
+test('arithmetic returns new vectors and leaves the operands alone', () => {
+    const a = new Vec2(3, -4);
+    const b = new Vec2(0.5, 2);
+
+    assertVector(a.add(b), 3.5, -2);
+    assertVector(a.sub(b), 2.5, -6);
+    assertVector(a.mul(-2), -6, 8);
+    assertVector(a.div(4), 0.75, -1);
+    assert.strictEqual(a.dot(b), -6.5);
+    assert.strictEqual(a.magSq(), 25);
+    assert.strictEqual(a.mag(), 5);
+
+    assertVector(a, 3, -4);
+    assertVector(b, 0.5, 2);
+});
+
+test('constructors, copies and equality', () => {
+    assertVector(new Vec2(), 0, 0);
+    assertVector(Vec2.zero(), 0, 0);
+    assertVector(Vec2.one(), 1, 1);
+
+    const a = new Vec2(1, 2);
+    const copy = a.clone();
+    assert.notStrictEqual(copy, a);
+    assert.ok(copy.equals(a));
+    copy.x = 7;
+    assert.ok(!copy.equals(a));
+    assertVector(a, 1, 2);
+});
+
+test('normalize gives unit length and keeps the zero vector', () => {
+    const unit = new Vec2(-6, 8).normalize();
+    assertVector(unit, -0.6, 0.8);
+    assert.ok(Math.abs(unit.mag() - 1) < 1e-15);
+
+    const zero = Vec2.zero();
+    const normalized = zero.normalize();
+    assertVector(normalized, 0, 0);
+    assert.notStrictEqual(normalized, zero);
+});
+
+test('in-place operations mutate and return the vector itself', () => {
+    const a = new Vec2(1, 2);
+    assert.strictEqual(a.addInPlace(new Vec2(2, 3)), a);
+    assertVector(a, 3, 5);
+    assert.strictEqual(a.subInPlace(new Vec2(1, 1)), a);
+    assertVector(a, 2, 4);
+    assert.strictEqual(a.mulInPlace(1.5), a);
+    assertVector(a, 3, 6);
+    assert.strictEqual(a.divInPlace(3), a);
+    assertVector(a, 1, 2);
+});
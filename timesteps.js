@@ -0,0 +1,124 @@
+// AdaptiveTimestep picks step sizes from accelerations and the softening length
+class AdaptiveTimestep {
+    // Per-body criterion: dt = sqrt(2 * eta * epsilon / |a|) as in GADGET
+    // Bodies without acceleration get Infinity (callers clamp to their dtMax)
+    static ideal(ax, ay, eta, epsilon) {
+        const acc = Math.sqrt(ax * ax + ay * ay);
+        return acc > 0 ? Math.sqrt(2 * eta * epsilon / acc) : Infinity;
+    }
+
+    // One global step for all bodies: the smallest per-body step, within [dtMin, dtMax]
+    static select(sim, dtMax, dtMin) {
+        const store = sim.store;
+        let dt = dtMax;
+        for (let i = 0; i < store.count; i++) {
+            dt = Math.min(dt, AdaptiveTimestep.ideal(store.ax[i], store.ay[i], sim.timestepAccuracy, sim.epsilon));
+        }
+        return Math.max(dtMin, dt);
+    }
+}
+
+// BlockTimestepper advances a Simulation with hierarchical (block) timesteps.
+// Each body gets a level L and steps with dtMax / 2^L using kick-drift-kick
+// leapfrog. Time is counted in ticks of the finest level, so every body's step
+// boundaries line up and all bodies are synchronised again after dtMax.
+class BlockTimestepper {
+    constructor() {
+        this.capacity = 0;
+
+        // Bodies whose step ends at the current tick, yielded for force evaluation
+        this.active = { indices: new Int32Array(0), count: 0 };
+    }
+
+    // Per-body level and the tick at which its current step ends
+    _ensureCapacity(capacity) {
+        if (this.capacity >= capacity) return;
+        this.level = new Uint8Array(capacity);
+        this.nextTick = new Float64Array(capacity);
+        this.active.indices = new Int32Array(capacity);
+        this.capacity = capacity;
+    }
+
+    // Coarsest level whose step fits the timestep criterion of body i
+    _levelFor(sim, i, dtMax, maxLevel) {
+        const store = sim.store;
+        const ideal = AdaptiveTimestep.ideal(store.ax[i], store.ay[i], sim.timestepAccuracy, sim.epsilon);
+        let level = 0;
+        while (level < maxLevel && dtMax / (1 << level) > ideal) {
+            level++;
+        }
+        return level;
+    }
+
+    // Advance all bodies by dtMax, yielding the active set whenever forces are needed
+    *step(sim, dtMax) {
+        const store = sim.store;
+        if (!sim.forcesValid) yield;
+
+        const n = store.count;
+        const maxLevel = sim.maxTimestepLevel;
+        const totalTicks = 1 << maxLevel;
+        const tickDt = dtMax / totalTicks;
+        this._ensureCapacity(store.capacity);
+
+        // Opening half kick for every body with its own step size
+        for (let i = 0; i < n; i++) {
+            const level = this._levelFor(sim, i, dtMax, maxLevel);
+            const span = totalTicks >> level;
+            this.level[i] = level;
+            this.nextTick[i] = span;
+            const halfDt = 0.5 * span * tickDt;
+            store.vx[i] += store.ax[i] * halfDt;
+            store.vy[i] += store.ay[i] * halfDt;
+        }
+
+        let tick = 0;
+        while (tick < totalTicks) {
+            // Jump straight to the next tick where some body finishes its step
+            let eventTick = totalTicks;
+            for (let i = 0; i < n; i++) {
+                if (this.nextTick[i] < eventTick) eventTick = this.nextTick[i];
+            }
+
+            Integrator.drift(store, n, (eventTick - tick) * tickDt);
+            sim.forcesValid = false;
+            tick = eventTick;
+
+            const active = this.active;
+            active.count = 0;
+            for (let i = 0; i < n; i++) {
+                if (this.nextTick[i] === tick) {
+                    active.indices[active.count++] = i;
+                }
+            }
+
+            // At the end of the block every body is active
+            yield tick === totalTicks ? undefined : active;
+
+            for (let k = 0; k < active.count; k++) {
+                const i = active.indices[k];
+
+                // Closing half kick of the step that just ended
+                let halfDt = 0.5 * (totalTicks >> this.level[i]) * tickDt;
+                store.vx[i] += store.ax[i] * halfDt;
+                store.vy[i] += store.ay[i] * halfDt;
+
+                if (tick === totalTicks) continue;
+
+                // Pick the next level; a longer step must start on a tick it divides
+                let level = this._levelFor(sim, i, dtMax, maxLevel);
+                while (tick % (totalTicks >> level) !== 0) {
+                    level++;
+                }
+                const span = totalTicks >> level;
+                this.level[i] = level;
+                this.nextTick[i] = tick + span;
+
+                // Opening half kick of the next step
+                halfDt = 0.5 * span * tickDt;
+                store.vx[i] += store.ax[i] * halfDt;
+                store.vy[i] += store.ay[i] * halfDt;
+            }
+        }
+    }
+}
@@ -0,0 +1,115 @@
+// TrailBuffer records the recent positions of bodies, by id, in a ring buffer
+// of `length` samples per body. All trails are sampled together: sample k of
+// every trail was taken at the same time. At most MAX_SAMPLES positions are kept
+// over all trails; bodies first recorded once that many are taken get no trail.
+class TrailBuffer {
+    constructor(length = 100) {
+        this.length = length;
+        this.clear();
+    }
+
+    // Forget all trails
+    clear() {
+        this.samples = 0;                       // Samples recorded so far
+        this.slotCount = 0;                     // Bodies with a trail
+        this.slotOfId = new Int32Array(0);      // Trail slot of each body id, -1 for none
+        this.since = new Int32Array(0);         // Sample number at which each slot started
+        this.last = new Int32Array(0);          // Sample number last recorded in each slot
+        this.xs = new Float32Array(0);          // Positions, `length` per slot
+        this.ys = new Float32Array(0);
+    }
+
+    // Change the number of samples kept; the recorded trails are dropped
+    setLength(length) {
+        if (length === this.length) return;
+        this.length = length;
+        this.clear();
+    }
+
+    // Slot of a body id, or -1 if it has no trail
+    slotOf(id) {
+        return id < this.slotOfId.length ? this.slotOfId[id] : -1;
+    }
+
+    // Most trails that fit in MAX_SAMPLES at the current length
+    get maxSlots() {
+        return Math.floor(TrailBuffer.MAX_SAMPLES / this.length);
+    }
+
+    // Slot for a body id, created on first use; -1 once all slots are taken
+    _slotFor(id) {
+        if (id >= this.slotOfId.length) {
+            const grown = new Int32Array(Math.max(1024, 2 * this.slotOfId.length, id + 1)).fill(-1);
+            grown.set(this.slotOfId);
+            this.slotOfId = grown;
+        }
+        let slot = this.slotOfId[id];
+        if (slot !== -1) return slot;
+        if (this.slotCount >= this.maxSlots) return -1;
+
+        slot = this.slotCount++;
+        if (slot >= this.since.length) {
+            const capacity = Math.min(Math.max(256, 2 * this.since.length), this.maxSlots);
+            const grow = (old, size) => {
+                const array = new old.constructor(size);
+                array.set(old);
+                return array;
+            };
+            this.since = grow(this.since, capacity);
+            this.last = grow(this.last, capacity);
+            this.xs = grow(this.xs, capacity * this.length);
+            this.ys = grow(this.ys, capacity * this.length);
+        }
+        this.slotOfId[id] = slot;
+        this.since[slot] = this.samples;
+        this.last[slot] = this.samples - 1;     // No samples yet
+        return slot;
+    }
+
+    // Append the current position of every body for which include(id) is true
+    // (every body without a filter); the filter may change between samples.
+    // Positions are taken in a frame with its origin at `origin` and its axes
+    // turned by `angle`, if given, so trails can follow a moving frame.
+    record(store, include = null, origin = null, angle = 0) {
+        const position = this.samples % this.length;
+        const originX = origin ? origin.x : 0;
+        const originY = origin ? origin.y : 0;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        for (let i = 0; i < store.count; i++) {
+            const id = store.id[i];
+            if (include && !include(id)) continue;
+            const slot = this._slotFor(id);
+            if (slot === -1) continue;
+            if (this.last[slot] !== this.samples - 1) {
+                // Skipped by the filter for a while: a trail can't have gaps, so it starts over
+                this.since[slot] = this.samples;
+            }
+            const dx = store.x[i] - originX;
+            const dy = store.y[i] - originY;
+            this.xs[slot * this.length + position] = cos * dx + sin * dy;
+            this.ys[slot * this.length + position] = cos * dy - sin * dx;
+            this.last[slot] = this.samples;
+        }
+        this.samples++;
+    }
+
+    // Number of samples in a slot's trail (a removed body's trail ends where it was removed)
+    pointCount(slot) {
+        return Math.min(this.length, this.last[slot] - this.since[slot] + 1);
+    }
+
+    // Offset into xs / ys of a slot's k-th sample, oldest first
+    pointIndex(slot, k) {
+        const sample = this.last[slot] - this.pointCount(slot) + 1 + k;
+        return slot * this.length + sample % this.length;
+    }
+
+    // Filter that keeps a fixed fraction of the ids, the same ones every time
+    static subset(fraction) {
+        return id => Math.imul(id + 1, 0x9E3779B1) >>> 0 < fraction * 4294967296;
+    }
+}
+
+// Positions kept over all trails (two Float32 coordinates each, so 64 MB)
+TrailBuffer.MAX_SAMPLES = 8000000;
@@ -0,0 +1,117 @@
+// UnitSystem describes the physical units of simulation quantities.
+// Each system gives its unit of length, mass and time in SI; the value of G
+// in those units follows from the SI gravitational constant.
+class UnitSystem {
+    constructor(name, label, units) {
+        this.name = name;
+        this.label = label;
+        this.length = units.length;   // { symbol, si } - si is metres per unit (null if scale-free)
+        this.mass = units.mass;       // { symbol, si } - kilograms per unit
+        this.time = units.time;       // { symbol, si } - seconds per unit
+        this.G = units.G !== undefined ? units.G : UnitSystem.gravitationalConstantFor(units);
+    }
+
+    // G in units of length³ / (mass · time²)
+    static gravitationalConstantFor(units) {
+        const length = units.length.si;
+        return UnitSystem.G_SI * units.mass.si * units.time.si * units.time.si / (length * length * length);
+    }
+
+    // Look up a preset by name
+    static get(name) {
+        const system = UnitSystem.presets[name];
+        if (!system) {
+            throw new Error(`Unknown unit system: ${name}`);
+        }
+        return system;
+    }
+
+    // Check if values in this system can be converted to SI
+    isPhysical() {
+        return this.length.si !== null;
+    }
+
+    // SI factor for a quantity: 'length', 'mass', 'time', 'velocity', 'acceleration',
+    // 'surfaceDensity' or 'energy'
+    siFactor(dimension) {
+        if (!this.isPhysical()) {
+            throw new Error(`${this.label} have no physical scale`);
+        }
+
+        switch (dimension) {
+            case 'length': return this.length.si;
+            case 'mass': return this.mass.si;
+            case 'time': return this.time.si;
+            case 'velocity': return this.length.si / this.time.si;
+            case 'acceleration': return this.length.si / (this.time.si * this.time.si);
+            case 'surfaceDensity': return this.mass.si / (this.length.si * this.length.si);
+            case 'energy': return this.mass.si * (this.length.si / this.time.si) ** 2;
+            default: throw new Error(`Unknown dimension: ${dimension}`);
+        }
+    }
+
+    // Convert a value of the given dimension from this system into another one
+    convert(value, dimension, target) {
+        if (target === this) return value;
+        return value * this.siFactor(dimension) / target.siFactor(dimension);
+    }
+
+    // Unit symbol for a quantity
+    symbol(dimension) {
+        if (!this.isPhysical()) return '';
+
+        switch (dimension) {
+            case 'length': return this.length.symbol;
+            case 'mass': return this.mass.symbol;
+            case 'time': return this.time.symbol;
+            case 'velocity': return `${this.length.symbol}/${this.time.symbol}`;
+            case 'acceleration': return `${this.length.symbol}/${this.time.symbol}²`;
+            case 'surfaceDensity': return `${this.mass.symbol}/${this.length.symbol}²`;
+            case 'energy': return `${this.mass.symbol}·${this.length.symbol}²/${this.time.symbol}²`;
+            default: return '';
+        }
+    }
+
+    // Format a value with its unit symbol for display
+    format(value, dimension, digits = 3) {
+        const magnitude = Math.abs(value);
+        let text;
+        if (magnitude === 0) {
+            text = '0';
+        } else if (magnitude >= 1e5 || magnitude < 1e-3) {
+            text = value.toExponential(digits - 1);
+        } else {
+            text = value.toFixed(Math.max(0, digits - 1 - Math.floor(Math.log10(magnitude))));
+        }
+        const symbol = this.symbol(dimension);
+        return symbol ? `${text} ${symbol}` : text;
+    }
+}
+
+// SI gravitational constant (CODATA 2018), m³ kg⁻¹ s⁻²
+UnitSystem.G_SI = 6.67430e-11;
+
+// Built-in unit systems
+UnitSystem.presets = {
+    nbody: new UnitSystem('nbody', 'N-body units', {
+        length: { symbol: '', si: null },
+        mass: { symbol: '', si: null },
+        time: { symbol: '', si: null },
+        G: 1
+    }),
+    si: new UnitSystem('si', 'SI (m, kg, s)', {
+        length: { symbol: 'm', si: 1 },
+        mass: { symbol: 'kg', si: 1 },
+        time: { symbol: 's', si: 1 }
+    }),
+    solar: new UnitSystem('solar', 'AU, M☉, yr', {
+        length: { symbol: 'AU', si: 1.495978707e11 },
+        mass: { symbol: 'M☉', si: 1.98847e30 },
+        time: { symbol: 'yr', si: 3.15576e7 }
+    }),
+    galactic: new UnitSystem('galactic', 'kpc, 10¹⁰ M☉, Gyr', {
+        length: { symbol: 'kpc', si: 3.0856775814913673e19 },
+        mass: { symbol: '10¹⁰ M☉', si: 1.98847e40 },
+        time: { symbol: 'Gyr', si: 3.15576e16 }
+    })
+};
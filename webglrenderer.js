@@ -0,0 +1,197 @@
+// Draws the bodies with WebGL2 as instanced point sprites: one small quad per body,
+// shaded as a disc, into a transparent canvas laid over the Canvas 2D one.
+// Sizes and colours are those of the Canvas 2D path; overlapping bodies add up.
+class WebGLBodyRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        const gl = canvas.getContext('webgl2', {
+            alpha: true,
+            premultipliedAlpha: true,
+            antialias: false,
+            depth: false,
+            stencil: false
+        });
+        if (!gl) {
+            throw new Error('WebGL2 is not available');
+        }
+        this.gl = gl;
+        this.lost = false;
+        canvas.addEventListener('webglcontextlost', event => {
+            event.preventDefault();
+            this.lost = true;
+        });
+
+        this.program = WebGLBodyRenderer.createProgram(gl,
+            WebGLBodyRenderer.VERTEX_SHADER, WebGLBodyRenderer.FRAGMENT_SHADER);
+        this.uniforms = {
+            viewScale: gl.getUniformLocation(this.program, 'viewScale'),
+            viewTurn: gl.getUniformLocation(this.program, 'viewTurn'),
+            pixelSize: gl.getUniformLocation(this.program, 'pixelSize'),
+            palette: gl.getUniformLocation(this.program, 'palette')
+        };
+
+        // Colour map as a 256 × 1 texture, uploaded when it changes
+        this.paletteTexture = gl.createTexture();
+        this.colorMap = null;
+
+        // Per-instance data: x and y relative to the view centre, radius, colour table entry.
+        // Positions are made relative in double precision so float32 doesn't blur
+        // a zoomed-in view far from the origin.
+        this.instances = new Float32Array(0);
+        this.instanceCount = 0;
+        this.vertexArray = gl.createVertexArray();
+        gl.bindVertexArray(this.vertexArray);
+
+        // The four corners of the quad, shared by all instances
+        const cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        const corner = gl.getAttribLocation(this.program, 'corner');
+        gl.enableVertexAttribArray(corner);
+        gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+
+        this.instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        const body = gl.getAttribLocation(this.program, 'body');
+        gl.enableVertexAttribArray(body);
+        gl.vertexAttribPointer(body, 4, gl.FLOAT, false, 0, 0);
+        gl.vertexAttribDivisor(body, 1);
+        gl.bindVertexArray(null);
+
+        // Additive blending of premultiplied colours
+        gl.disable(gl.DEPTH_TEST);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.clearColor(0, 0, 0, 0);
+    }
+
+    static createProgram(gl, vertexSource, fragmentSource) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Shader compilation failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader linking failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    // Match the size of the Canvas 2D canvas
+    resize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.gl.viewport(0, 0, width, height);
+    }
+
+    clear() {
+        if (this.lost) return;
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    }
+
+    _uploadPalette(colorMap) {
+        const gl = this.gl;
+        const pixels = new Uint8Array(ColorMap.SIZE * 4);
+        for (let entry = 0; entry < ColorMap.SIZE; entry++) {
+            pixels.set(colorMap.table.subarray(entry * 3, entry * 3 + 3), entry * 4);
+            pixels[entry * 4 + 3] = 255;
+        }
+        gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, ColorMap.SIZE, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        this.colorMap = colorMap;
+    }
+
+    // Draw the bodies of the store that lie within the viewport bounds, each in the
+    // colour of its entry of colorIndex (indexed like the store) in the colour map.
+    // The view is centred on viewPos and turned by viewAngle (see Renderer.worldToScreen).
+    draw(store, colorIndex, colorMap, viewPos, viewScale, viewAngle, bounds) {
+        if (this.lost) return;
+        const gl = this.gl;
+        const n = store.count;
+        if (this.instances.length < n * 4) {
+            this.instances = new Float32Array(Math.max(4096, n * 8));
+        }
+
+        // Collect the visible bodies, culled like the Canvas 2D path
+        const instances = this.instances;
+        let count = 0;
+        for (let i = 0; i < n; i++) {
+            const x = store.x[i];
+            const y = store.y[i];
+            const radius = store.radius[i];
+            if (x + radius < bounds.minX || x - radius > bounds.maxX ||
+                y + radius < bounds.minY || y - radius > bounds.maxY) {
+                continue;
+            }
+            const k = count * 4;
+            instances[k] = x - viewPos.x;
+            instances[k + 1] = y - viewPos.y;
+            instances[k + 2] = radius;
+            instances[k + 3] = colorIndex[i];
+            count++;
+        }
+        this.instanceCount = count;
+        if (count === 0) return;
+
+        if (colorMap !== this.colorMap) {
+            this._uploadPalette(colorMap);
+        }
+        gl.useProgram(this.program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+        gl.uniform1i(this.uniforms.palette, 0);
+        gl.uniform1f(this.uniforms.viewScale, viewScale);
+        gl.uniform2f(this.uniforms.viewTurn, Math.cos(viewAngle), Math.sin(viewAngle));
+        gl.uniform2f(this.uniforms.pixelSize, 2 / this.canvas.width, 2 / this.canvas.height);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, instances.subarray(0, count * 4), gl.STREAM_DRAW);
+        gl.bindVertexArray(this.vertexArray);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+        gl.bindVertexArray(null);
+    }
+}
+
+// Same view transform as Renderer.worldToScreen, in clip space, and the screen radius
+// of Renderer.drawBodiesCanvas; the quad gets half a pixel of margin for the antialiased edge.
+WebGLBodyRenderer.VERTEX_SHADER = `#version 300 es
+in vec2 corner;
+in vec4 body;
+uniform float viewScale;
+uniform vec2 viewTurn;
+uniform vec2 pixelSize;
+uniform sampler2D palette;
+out vec2 offset;
+out float radius;
+out vec3 bodyColor;
+void main() {
+    radius = max(2.0, body.z / viewScale * 10.0);
+    offset = corner * (radius + 0.5);
+    bodyColor = texelFetch(palette, ivec2(int(body.w), 0), 0).rgb;
+    vec2 turned = vec2(viewTurn.x * body.x + viewTurn.y * body.y, viewTurn.x * body.y - viewTurn.y * body.x);
+    gl_Position = vec4(turned / viewScale + offset * pixelSize, 0.0, 1.0);
+}`;
+
+// Premultiplied colour; the alpha only matters where the page shows through
+WebGLBodyRenderer.FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+in vec2 offset;
+in float radius;
+in vec3 bodyColor;
+out vec4 color;
+void main() {
+    float coverage = clamp(radius + 0.5 - length(offset), 0.0, 1.0);
+    if (coverage == 0.0) discard;
+    vec3 rgb = bodyColor * coverage;
+    color = vec4(rgb, max(rgb.r, max(rgb.g, rgb.b)));
+}`;
@@ -0,0 +1,154 @@
+// ForceWorkerPool splits the acceleration pass across several Web Workers
+class ForceWorkerPool {
+    constructor(size = ForceWorkerPool.defaultSize(), scriptUrl = 'forceworker.js') {
+        this.size = size;
+        this.workers = [];
+
+        // Reusable transferable buffers, one per worker (handed back after each job),
+        // and the bodies packed once per job to be copied into each of them
+        this.buffers = new Array(size).fill(null);
+        this.packed = new Float64Array(0);
+
+        // State of the job currently in flight
+        this.jobId = 0;
+        this.pending = 0;
+        this.result = null;
+        this.resolve = null;
+        this.reject = null;
+
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker(scriptUrl);
+            worker.onmessage = e => this._onMessage(i, e.data);
+            worker.onerror = e => this._onError(e);
+            this.workers.push(worker);
+        }
+    }
+
+    // Check if the environment supports Web Workers
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    // Leave one core for the main thread (integration and rendering)
+    static defaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+        return Math.max(1, Math.min(8, cores - 1));
+    }
+
+    // Create a pool, or return null if workers can't be started (e.g. file:// pages)
+    static create(size) {
+        if (!ForceWorkerPool.isSupported()) return null;
+
+        try {
+            return new ForceWorkerPool(size || ForceWorkerPool.defaultSize());
+        } catch (error) {
+            console.warn('Web Workers unavailable, using sequential force computation:', error);
+            return null;
+        }
+    }
+
+    // Check if a job is still running
+    get busy() {
+        return this.pending > 0;
+    }
+
+    // Compute accelerations for bodies in a BodyStore
+    // params are passed to Quadtree.setParameters (theta, epsilon, gravitationalConstant, ...)
+    // targets optionally lists the store indices to compute (default: all bodies)
+    // Resolves with a Float64Array of interleaved (ax, ay) pairs, one per target
+    compute(store, params, targets = null, targetCount = store.count) {
+        if (this.busy) {
+            return Promise.reject(new Error('ForceWorkerPool is already computing forces'));
+        }
+
+        const count = store.count;
+        const jobId = ++this.jobId;
+
+        if (this.result === null || this.result.length !== targetCount * 2) {
+            this.result = new Float64Array(targetCount * 2);
+        }
+
+        // Pack positions, masses and the previous |a| (for the relative opening criterion)
+        // as (x, y, m, |a|) records
+        if (this.packed.length !== count * 4) {
+            this.packed = new Float64Array(count * 4);
+        }
+        const packed = this.packed;
+        for (let i = 0; i < count; i++) {
+            const ax = store.ax[i];
+            const ay = store.ay[i];
+            packed[i * 4] = store.x[i];
+            packed[i * 4 + 1] = store.y[i];
+            packed[i * 4 + 2] = store.mass[i];
+            packed[i * 4 + 3] = Math.sqrt(ax * ax + ay * ay);
+        }
+
+        const sliceSize = Math.ceil(targetCount / this.size);
+        const promise = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+
+        for (let w = 0; w < this.size; w++) {
+            const start = w * sliceSize;
+            const end = Math.min(targetCount, start + sliceSize);
+            if (start >= end) break;
+
+            let positions = this.buffers[w];
+            if (positions === null || positions.length !== count * 4) {
+                positions = new Float64Array(count * 4);
+            }
+            this.buffers[w] = null;  // Detached once transferred
+            positions.set(packed);
+
+            // Each worker gets its own slice of the target list
+            const sliceTargets = targets ? targets.slice(start, end) : null;
+            const transfer = sliceTargets ? [positions.buffer, sliceTargets.buffer] : [positions.buffer];
+
+            this.pending++;
+            this.workers[w].postMessage(
+                { jobId, positions, count, start, end, targets: sliceTargets, params },
+                transfer
+            );
+        }
+
+        if (this.pending === 0) {
+            this.resolve(this.result);
+        }
+
+        return promise;
+    }
+
+    // Collect a finished slice from a worker
+    _onMessage(index, data) {
+        // Keep the buffer for the next job
+        this.buffers[index] = data.positions;
+
+        if (data.jobId !== this.jobId || this.pending === 0) return;
+
+        this.result.set(data.accelerations, data.start * 2);
+        this.pending--;
+
+        if (this.pending === 0) {
+            this.resolve(this.result);
+        }
+    }
+
+    // Fail the current job if any worker errors
+    _onError(event) {
+        event.preventDefault();
+
+        if (this.pending > 0) {
+            this.pending = 0;
+            this.reject(new Error(`Force worker failed: ${event.message}`));
+        }
+    }
+
+    // Stop all workers
+    terminate() {
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = [];
+    }
+}